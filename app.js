@@ -1,573 +1,376 @@
-// ==================== UTILITY FUNCTIONS ====================
+// ==================== BROWSER UTILITIES ====================
 
 /**
- * Escapes HTML special characters to prevent XSS
+ * Offers text for download as a file
  */
-function escapeHtml(text) {
-    if (text == null) return '';
-    const div = document.createElement('div');
-    div.textContent = String(text);
-    return div.innerHTML;
+function downloadText(fileName, text, mimeType = 'text/plain') {
+    const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
-// ==================== LCS ALGORITHM FOR CHARACTER-LEVEL DIFF ====================
+/**
+ * Copies text to the clipboard, falling back to a hidden textarea where the Clipboard API is unavailable
+ */
+async function copyText(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    document.execCommand('copy');
+    textarea.remove();
+}
 
 /**
- * Computes the Longest Common Subsequence matrix for two strings
+ * Briefly replaces a button's label to acknowledge an action
  */
-function computeLCS(str1, str2) {
-    str1 = str1 || '';
-    str2 = str2 || '';
-    const m = str1.length;
-    const n = str2.length;
-    const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
-    
-    for (let i = 1; i <= m; i++) {
-        for (let j = 1; j <= n; j++) {
-            if (str1[i - 1] === str2[j - 1]) {
-                dp[i][j] = dp[i - 1][j - 1] + 1;
-            } else {
-                dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1]);
-            }
-        }
+function flashButton(button, label) {
+    const original = button.dataset.label || button.textContent;
+    button.dataset.label = original;
+    button.textContent = label;
+    setTimeout(() => {
+        button.textContent = original;
+    }, 1500);
+}
+
+/**
+ * Decompresses raw DEFLATE data (zip entries) with the Compression Streams API
+ */
+async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot unpack zip files; choose the folder instead');
     }
-    
-    return dp;
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
 }
 
 /**
- * Highlights character-level differences between two strings
- * Returns objects with highlighted segments for left and right strings
+ * Lists the files of a drop as { name, file }, walking dropped folders recursively so
+ * names are paths relative to the dropped item
  */
-function highlightDifferences(str1, str2) {
-    str1 = str1 || '';
-    str2 = str2 || '';
-    const dp = computeLCS(str1, str2);
-    const left = [];
-    const right = [];
-    
-    let i = str1.length;
-    let j = str2.length;
-    
-    while (i > 0 || j > 0) {
-        if (i > 0 && j > 0 && str1[i - 1] === str2[j - 1]) {
-            left.unshift({ text: str1[i - 1], type: 'unchanged' });
-            right.unshift({ text: str2[j - 1], type: 'unchanged' });
-            i--;
-            j--;
-        } else if (j > 0 && (i === 0 || dp[i][j - 1] >= dp[i - 1][j])) {
-            right.unshift({ text: str2[j - 1], type: 'added' });
-            j--;
-        } else if (i > 0) {
-            left.unshift({ text: str1[i - 1], type: 'removed' });
-            i--;
-        }
-    }
-    
-    return { left, right };
+async function readDroppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+        .filter(Boolean);
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files).map(file => ({ name: file.name, file: file }));
+    }
+    
+    const files = [];
+    const walk = async (entry, prefix) => {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            files.push({ name: prefix + entry.name, file: file });
+        } else if (entry.isDirectory) {
+            // readEntries returns the children in batches until it yields an empty one
+            const reader = entry.createReader();
+            let batch;
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) {
+                    await walk(child, `${prefix}${entry.name}/`);
+                }
+            } while (batch.length > 0);
+        }
+    };
+    for (const entry of entries) {
+        await walk(entry, '');
+    }
+    return files;
 }
 
-// ==================== PROPERTY PARSER ====================
+// ==================== DIFF WORKER CLIENT ====================
 
-class PropertyParser {
+class DiffWorkerClient {
     /**
-     * Parses Spring Boot .properties file format
-     * Returns array of entries with key, value, comment, and type
+     * Starts diff-worker.js. Where workers are unavailable or fail to load (e.g. pages opened
+     * from file://), comparisons run on the main thread instead.
      */
-    parse(text) {
-        if (text == null) return [];
-        const lines = String(text).split('\n');
-        const entries = [];
-        let i = 0;
-        
-        while (i < lines.length) {
-            const line = lines[i];
-            const trimmed = line.trim();
-            
-            // Blank line
-            if (trimmed === '') {
-                entries.push({ type: 'blank', line: '' });
-                i++;
-                continue;
-            }
-            
-            // Comment line
-            if (trimmed.startsWith('#') || trimmed.startsWith('!')) {
-                entries.push({ type: 'comment', line: line });
-                i++;
-                continue;
-            }
-            
-            // Property line
-            const result = this.parsePropertyLine(line, lines, i);
-            if (result) {
-                entries.push({
-                    type: 'property',
-                    key: result.key,
-                    value: result.value,
-                    line: result.fullLine
-                });
-                i = result.nextIndex;
-            } else {
-                // Invalid line, treat as comment
-                entries.push({ type: 'comment', line: line });
-                i++;
-            }
+    constructor(url = 'diff-worker.js') {
+        this.pending = new Map();
+        this.nextId = 1;
+        this.worker = null;
+        if (typeof Worker === 'undefined') return;
+        try {
+            this.worker = new Worker(url);
+            this.worker.addEventListener('message', (event) => this.settle(event.data));
+            // Task errors are reported as messages, so an error event means the worker itself failed
+            this.worker.addEventListener('error', (event) => {
+                event.preventDefault();
+                this.fallBack();
+            });
+        } catch (error) {
+            this.worker = null;
         }
-        
-        return entries;
     }
     
     /**
-     * Parses a single property line, handling multi-line values
+     * Runs a core.js task (compareConfigs or compareFileSets) and resolves with its result
      */
-    parsePropertyLine(line, allLines, startIndex) {
-        let fullLine = line;
-        let currentIndex = startIndex;
-        
-        // Handle line continuation with backslash
-        while (fullLine.trimEnd().endsWith('\\') && currentIndex + 1 < allLines.length) {
-            currentIndex++;
-            fullLine = fullLine.trimEnd().slice(0, -1) + allLines[currentIndex];
-        }
-        
-        // Find the separator (=, :, or space)
-        const separatorMatch = fullLine.match(/^([^=:\s]+)\s*[:=]\s*(.*)$/);
-        
-        if (separatorMatch) {
-            return {
-                key: separatorMatch[1].trim(),
-                value: separatorMatch[2].trim(),
-                fullLine: fullLine,
-                nextIndex: currentIndex + 1
-            };
-        }
-        
-        // Try space-separated format
-        const spaceMatch = fullLine.match(/^(\S+)\s+(.+)$/);
-        if (spaceMatch) {
-            return {
-                key: spaceMatch[1].trim(),
-                value: spaceMatch[2].trim(),
-                fullLine: fullLine,
-                nextIndex: currentIndex + 1
-            };
+    run(task, ...args) {
+        if (!this.worker) {
+            const tasks = { compareConfigs, compareFileSets };
+            return new Promise(resolve => resolve(tasks[task](...args)));
         }
-        
-        return null;
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { task, args, resolve, reject });
+            this.worker.postMessage({ id, task, args });
+        });
     }
     
     /**
-     * Sorts entries by key, preserving comments with their associated properties
+     * Resolves or rejects the job a worker reply belongs to
      */
-    sort(entries) {
-        if (!Array.isArray(entries)) return [];
-        const result = [];
-        const properties = [];
-        let pendingComments = [];
-        
-        // Group properties with their preceding comments
-        for (const entry of entries) {
-            if (entry.type === 'comment') {
-                pendingComments.push(entry);
-            } else if (entry.type === 'property') {
-                properties.push({
-                    key: entry.key,
-                    value: entry.value,
-                    comments: [...pendingComments],
-                    entry: entry
-                });
-                pendingComments = [];
-            } else if (entry.type === 'blank') {
-                pendingComments.push(entry);
-            }
-        }
-        
-        // Sort properties by key
-        properties.sort((a, b) => a.key.localeCompare(b.key));
-        
-        // Reconstruct with comments
-        for (const prop of properties) {
-            result.push(...prop.comments);
-            result.push(prop.entry);
+    settle(message) {
+        const job = this.pending.get(message.id);
+        if (!job) return;
+        this.pending.delete(message.id);
+        if (message.error) {
+            job.reject(new Error(message.error));
+        } else {
+            job.resolve(message.result);
         }
-        
-        // Add any trailing comments
-        result.push(...pendingComments);
-        
-        return result;
     }
     
     /**
-     * Converts entries back to properties format
+     * Stops using the worker and reruns the jobs still waiting for it locally
      */
-    stringify(entries) {
-        if (!Array.isArray(entries)) return '';
-        return entries.map(entry => {
-            if (entry.type === 'property') {
-                return `${entry.key}=${entry.value}`;
-            } else if (entry.type === 'comment' || entry.type === 'blank') {
-                return entry.line;
-            }
-            return '';
-        }).join('\n');
+    fallBack() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        const jobs = Array.from(this.pending.values());
+        this.pending.clear();
+        for (const job of jobs) {
+            this.run(job.task, ...job.args).then(job.resolve, job.reject);
+        }
     }
 }
 
-// ==================== YAML PARSER ====================
+// ==================== SNAPSHOT STORE ====================
 
-class YAMLParser {
+class SnapshotStore {
     /**
-     * Parses YAML text into a structured object with comments preserved
+     * Keeps named config snapshots ({ id, name, savedAt, text, fileType }) in IndexedDB. The
+     * database is opened on first use; where IndexedDB is unavailable every call rejects.
      */
-    parse(text) {
-        if (text == null) return {};
-        const lines = String(text).split('\n');
-        this.lines = lines;
-        this.currentLine = 0;
-        
-        const result = this.parseLevel(0);
-        return result;
+    constructor(name = 'configDiffer') {
+        this.name = name;
+        this.database = null;
     }
     
     /**
-     * Recursively parses YAML at a specific indentation level
+     * Opens the database, creating its snapshot store the first time
      */
-    parseLevel(baseIndent) {
-        const obj = {};
-        let pendingComments = [];
-        
-        while (this.currentLine < this.lines.length) {
-            const line = this.lines[this.currentLine];
-            const trimmed = line.trim();
-            
-            // Skip blank lines
-            if (trimmed === '') {
-                this.currentLine++;
-                continue;
-            }
-            
-            // Capture comments
-            if (trimmed.startsWith('#')) {
-                pendingComments.push(trimmed);
-                this.currentLine++;
-                continue;
-            }
-            
-            // Calculate indentation
-            const indent = line.search(/\S/);
-            if (indent === -1) {
-                this.currentLine++;
-                continue;
-            }
-            
-            // If indentation is less than base, we've finished this level
-            if (indent < baseIndent) {
-                break;
-            }
-            
-            // If indentation is greater than base, skip (will be handled by recursion)
-            if (indent > baseIndent && baseIndent !== 0) {
-                break;
-            }
-            
-            // Parse key-value pair
-            const keyValueMatch = trimmed.match(/^([^:#]+):\s*(.*)$/);
-            if (keyValueMatch) {
-                const key = keyValueMatch[1].trim();
-                const value = keyValueMatch[2].trim();
-                
-                this.currentLine++;
-                
-                // Check if next line is more indented (nested object)
-                if (this.currentLine < this.lines.length) {
-                    const nextLine = this.lines[this.currentLine];
-                    const nextIndent = nextLine.search(/\S/);
-                    
-                    if (nextIndent > indent && nextLine.trim() !== '') {
-                        // Nested object
-                        obj[key] = {
-                            _value: this.parseLevel(nextIndent),
-                            _comments: [...pendingComments]
-                        };
-                    } else if (value === '') {
-                        // Empty value or object to be defined
-                        obj[key] = {
-                            _value: '',
-                            _comments: [...pendingComments]
-                        };
-                    } else {
-                        // Simple value
-                        obj[key] = {
-                            _value: value,
-                            _comments: [...pendingComments]
-                        };
-                    }
-                } else {
-                    obj[key] = {
-                        _value: value,
-                        _comments: [...pendingComments]
-                    };
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('This browser cannot store snapshots'));
+                    return;
                 }
-                
-                pendingComments = [];
-            } else if (trimmed.startsWith('-')) {
-                // Array item - not fully implemented, treat as value
-                const arrayValue = trimmed.substring(1).trim();
-                obj[`_array_${this.currentLine}`] = {
-                    _value: arrayValue,
-                    _comments: [...pendingComments]
-                };
-                this.currentLine++;
-                pendingComments = [];
-            } else {
-                this.currentLine++;
-            }
+                const request = indexedDB.open(this.name, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(SnapshotStore.STORE, { keyPath: 'id', autoIncrement: true });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
         }
-        
-        return obj;
+        return this.database;
     }
     
     /**
-     * Recursively sorts YAML object by keys
+     * Runs one request on the snapshot store and resolves with its result once the
+     * transaction has committed
      */
-    sortRecursively(obj) {
-        if (typeof obj !== 'object' || obj === null) {
-            return obj;
-        }
-        
-        const sorted = {};
-        const keys = Object.keys(obj).sort();
-        
-        for (const key of keys) {
-            const item = obj[key];
-            if (item && typeof item === 'object' && '_value' in item) {
-                // This is a YAML node with metadata
-                if (typeof item._value === 'object' && item._value !== null) {
-                    sorted[key] = {
-                        _value: this.sortRecursively(item._value),
-                        _comments: item._comments || []
-                    };
-                } else {
-                    sorted[key] = item;
-                }
-            } else {
-                sorted[key] = this.sortRecursively(item);
-            }
-        }
-        
-        return sorted;
+    async request(mode, operation) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(SnapshotStore.STORE, mode);
+            const request = operation(transaction.objectStore(SnapshotStore.STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
     }
     
     /**
-     * Converts YAML object back to string format
+     * Lists the snapshots, oldest first
      */
-    stringify(obj, indent = 0) {
-        if (typeof obj !== 'object' || obj === null) {
-            return String(obj);
-        }
-        
-        const lines = [];
-        const indentStr = '  '.repeat(indent);
-        
-        for (const key of Object.keys(obj)) {
-            const item = obj[key];
-            
-            if (item && typeof item === 'object' && '_value' in item) {
-                // Add comments
-                if (item._comments && item._comments.length > 0) {
-                    for (const comment of item._comments) {
-                        lines.push(indentStr + comment);
-                    }
-                }
-                
-                // Add key-value
-                if (typeof item._value === 'object' && item._value !== null && Object.keys(item._value).length > 0) {
-                    lines.push(indentStr + key + ':');
-                    lines.push(this.stringify(item._value, indent + 1));
-                } else {
-                    lines.push(indentStr + key + ': ' + item._value);
-                }
-            } else {
-                lines.push(indentStr + key + ':');
-                lines.push(this.stringify(item, indent + 1));
-            }
-        }
-        
-        return lines.join('\n');
+    async list() {
+        const snapshots = await this.request('readonly', store => store.getAll());
+        return snapshots.sort((a, b) => a.savedAt.localeCompare(b.savedAt));
     }
     
     /**
-     * Flattens YAML object to key-value pairs for comparison
+     * Saves a new snapshot and resolves with its id
      */
-    flatten(obj, prefix = '') {
-        const result = [];
-        
-        if (typeof obj !== 'object' || obj === null) {
-            return [{ key: prefix || '', value: obj != null ? String(obj) : '', comments: [] }];
-        }
-        
-        for (const key of Object.keys(obj)) {
-            const item = obj[key];
-            const fullKey = prefix ? `${prefix}.${key}` : key;
-            
-            if (item == null) {
-                result.push({ key: fullKey, value: '', comments: [] });
-            } else if (typeof item === 'object' && '_value' in item) {
-                if (typeof item._value === 'object' && item._value !== null && Object.keys(item._value).length > 0) {
-                    result.push(...this.flatten(item._value, fullKey));
-                } else {
-                    result.push({
-                        key: fullKey,
-                        value: item._value != null ? String(item._value) : '',
-                        comments: item._comments || []
-                    });
-                }
-            } else if (typeof item === 'object') {
-                result.push(...this.flatten(item, fullKey));
-            } else {
-                result.push({ key: fullKey, value: String(item), comments: [] });
-            }
-        }
-        
-        return result;
+    save(snapshot) {
+        return this.request('readwrite', store => store.add(snapshot));
+    }
+    
+    /**
+     * Deletes a snapshot by id
+     */
+    remove(id) {
+        return this.request('readwrite', store => store.delete(id));
     }
 }
 
-// ==================== DIFF ENGINE ====================
+SnapshotStore.STORE = 'snapshots';
+
+// ==================== INPUT VALIDATION ====================
+
+/**
+ * Describes how many errors and warnings there are among diagnostics, e.g. "2 errors, 1 warning"
+ */
+function describeProblems(diagnostics) {
+    const counts = countDiagnostics(diagnostics);
+    return [
+        counts.errors > 0 ? `${counts.errors} error${counts.errors === 1 ? '' : 's'}` : '',
+        counts.warnings > 0 ? `${counts.warnings} warning${counts.warnings === 1 ? '' : 's'}` : ''
+    ].filter(Boolean).join(', ');
+}
 
-class DiffEngine {
+class EditorHighlighter {
     /**
-     * Compares two sets of config data and generates diff
+     * Puts a backdrop behind a config textarea that marks the lines with parser diagnostics.
+     * The textarea must sit in an .editor wrapper; the backdrop mirrors its text, size and scrolling.
      */
-    compare(leftData, rightData, fileType) {
-        if (leftData == null && rightData == null) return [];
-        
-        let leftEntries, rightEntries;
-        
-        if (fileType === 'properties') {
-            leftEntries = this.propertiesToMap(leftData);
-            rightEntries = this.propertiesToMap(rightData);
-        } else {
-            // YAML
-            const parser = new YAMLParser();
-            leftEntries = this.yamlToMap(parser.flatten(leftData));
-            rightEntries = this.yamlToMap(parser.flatten(rightData));
-        }
-        
-        // Get all unique keys
-        const allKeys = new Set([...leftEntries.keys(), ...rightEntries.keys()]);
-        const sortedKeys = Array.from(allKeys).sort();
-        
-        const diffResults = [];
-        
-        for (const key of sortedKeys) {
-            const hasLeft = leftEntries.has(key);
-            const hasRight = rightEntries.has(key);
-            const leftValue = hasLeft ? leftEntries.get(key) : undefined;
-            const rightValue = hasRight ? rightEntries.get(key) : undefined;
-            
-            if (!hasLeft && hasRight) {
-                // Added
-                diffResults.push({
-                    status: 'added',
-                    leftLine: '',
-                    rightLine: this.formatLine(key, rightValue, fileType),
-                    leftHighlight: null,
-                    rightHighlight: null
-                });
-            } else if (hasLeft && !hasRight) {
-                // Removed
-                diffResults.push({
-                    status: 'removed',
-                    leftLine: this.formatLine(key, leftValue, fileType),
-                    rightLine: '',
-                    leftHighlight: null,
-                    rightHighlight: null
-                });
-            } else if (leftValue !== rightValue) {
-                // Modified
-                const highlights = highlightDifferences(leftValue, rightValue);
-                diffResults.push({
-                    status: 'modified',
-                    leftLine: this.formatLine(key, leftValue, fileType),
-                    rightLine: this.formatLine(key, rightValue, fileType),
-                    leftHighlight: highlights.left,
-                    rightHighlight: highlights.right,
-                    key: key,
-                    fileType: fileType
-                });
-            } else {
-                // Unchanged
-                diffResults.push({
-                    status: 'unchanged',
-                    leftLine: this.formatLine(key, leftValue, fileType),
-                    rightLine: this.formatLine(key, rightValue, fileType),
-                    leftHighlight: null,
-                    rightHighlight: null
-                });
-            }
+    constructor(textarea) {
+        this.textarea = textarea;
+        this.diagnostics = [];
+        this.backdrop = document.createElement('div');
+        this.backdrop.className = 'editor-backdrop';
+        this.backdrop.setAttribute('aria-hidden', 'true');
+        textarea.parentElement.insertBefore(this.backdrop, textarea);
+        textarea.addEventListener('scroll', () => this.syncScroll());
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.syncScroll()).observe(textarea);
         }
-        
-        return diffResults;
     }
     
     /**
-     * Converts property entries to a Map of key->value
+     * Marks the lines of the given diagnostics ({ line, message, severity }); a line with
+     * both errors and warnings is marked as an error
      */
-    propertiesToMap(entries) {
-        const map = new Map();
-        if (!Array.isArray(entries)) return map;
-        for (const entry of entries) {
-            if (entry && entry.type === 'property') {
-                map.set(entry.key || '', entry.value || '');
-            }
+    highlight(diagnostics) {
+        this.diagnostics = diagnostics;
+        const severities = new Map();
+        for (const diagnostic of diagnostics) {
+            if (severities.get(diagnostic.line) !== 'error') severities.set(diagnostic.line, diagnostic.severity);
         }
-        return map;
+        const lines = this.textarea.value.split('\n');
+        // A trailing newline keeps the backdrop as tall as the textarea's last line
+        this.backdrop.innerHTML = lines.map((line, index) => {
+            const severity = severities.get(index + 1);
+            const text = escapeHtml(line);
+            return severity ? `<mark class="problem-${severity}">${text || ' '}</mark>` : text;
+        }).join('\n') + '\n';
+        this.textarea.classList.toggle('has-problems', diagnostics.length > 0);
+        this.syncScroll();
     }
     
     /**
-     * Converts YAML flat entries to a Map of key->value
+     * Lines the backdrop up with the textarea's content box (without its scrollbar) and scroll position
      */
-    yamlToMap(entries) {
-        const map = new Map();
-        if (!Array.isArray(entries)) return map;
-        for (const entry of entries) {
-            if (entry) {
-                map.set(entry.key || '', entry.value || '');
-            }
-        }
-        return map;
+    syncScroll() {
+        this.backdrop.style.top = `${this.textarea.offsetTop}px`;
+        this.backdrop.style.left = `${this.textarea.offsetLeft}px`;
+        this.backdrop.style.width = `${this.textarea.clientWidth + this.textarea.clientLeft * 2}px`;
+        this.backdrop.style.height = `${this.textarea.clientHeight + this.textarea.clientTop * 2}px`;
+        this.backdrop.scrollTop = this.textarea.scrollTop;
+        this.backdrop.scrollLeft = this.textarea.scrollLeft;
     }
     
     /**
-     * Formats a key-value pair as a display line
+     * Focuses the textarea and selects the given 1-based line from the column on
      */
-    formatLine(key, value, fileType) {
-        const safeKey = key != null ? key : '';
-        const safeValue = value != null ? value : '';
-        if (fileType === 'properties') {
-            return `${safeKey}=${safeValue}`;
-        } else {
-            return `${safeKey}: ${safeValue}`;
-        }
+    goTo(line, column = 1) {
+        const lines = this.textarea.value.split('\n');
+        const index = Math.min(Math.max(line, 1), lines.length) - 1;
+        const lineStart = lines.slice(0, index).reduce((offset, text) => offset + text.length + 1, 0);
+        const start = lineStart + Math.min(Math.max(column - 1, 0), lines[index].length);
+        this.textarea.focus();
+        this.textarea.setSelectionRange(start, lineStart + lines[index].length);
+        const lineHeight = parseFloat(getComputedStyle(this.textarea).lineHeight) || 20;
+        this.textarea.scrollTop = Math.max(index * lineHeight - this.textarea.clientHeight / 3, 0);
     }
 }
 
 // ==================== DIFF RENDERER ====================
 
 class DiffRenderer {
+    constructor() {
+        this.rows = [];
+        this.items = [];
+        this.container = null;
+        this.table = null;
+        this.body = null;
+        // Measured heights of rendered items, by item key
+        this.heights = new Map();
+        // Keys of the rows in unfolded runs and of the rows with revealed secrets
+        this.expanded = new Set();
+        this.revealed = new Set();
+        this.changesOnly = false;
+        // Set for comparisons that can be edited: { editable, sources, baseline } (see renderActions)
+        this.actions = null;
+        // 'table' for the flat side-by-side rows, 'tree' for rows nested by key path
+        this.view = 'table';
+        this.currentChange = -1;
+        this.window = { first: -1, last: -1 };
+        this.listening = false;
+        this.scheduled = false;
+    }
+    
+    /**
+     * Folds all runs and masks all secrets again, for a new comparison
+     */
+    reset() {
+        this.expanded = new Set();
+        this.revealed = new Set();
+    }
+    
     /**
      * Renders the diff results as a GitHub-style side-by-side diff table.
-     * Each row has: [left line#] [left indicator] [left content] [right line#] [right indicator] [right content]
-     * Uses a hidden sync row to force both content cells to the same height when text wraps.
+     * Each row has: [left indicator] [left content] [right indicator] [right content]
+     * Runs of unchanged keys are folded, and long tables only render the rows near the viewport.
      */
     render(diffData, container) {
         if (!container) return;
-        if (!Array.isArray(diffData) || diffData.length === 0) {
+        this.rows = Array.isArray(diffData) ? diffData : [];
+        this.container = container;
+        this.heights = new Map();
+        const keys = new Set(this.rows.map(row => row.key));
+        for (const set of [this.expanded, this.revealed]) {
+            for (const key of set) {
+                if (!keys.has(key)) set.delete(key);
+            }
+        }
+        this.currentChange = -1;
+        
+        if (this.rows.length === 0) {
+            this.table = null;
             container.innerHTML = '<p>No differences found.</p>';
             return;
         }
+        if (this.view === 'tree') {
+            this.table = null;
+            this.renderTree(this.rows, container);
+            return;
+        }
 
         const table = document.createElement('table');
         table.className = 'diff-table';
@@ -579,188 +382,2163 @@ class DiffRenderer {
             <col class="col-indicator">
             <col class="col-content">
         </colgroup>`;
-
-        for (const diff of diffData) {
-            const row = document.createElement('tr');
-            row.className = diff.status;
-
-            if (diff.status === 'added') {
-                row.innerHTML =
-                    `<td class="indicator empty-cell"></td>` +
-                    `<td class="diff-code empty-cell"></td>` +
-                    `<td class="indicator indicator-added">+</td>` +
-                    `<td class="diff-code diff-code-right">${escapeHtml(diff.rightLine)}</td>`;
-            } else if (diff.status === 'removed') {
-                row.innerHTML =
-                    `<td class="indicator indicator-removed">-</td>` +
-                    `<td class="diff-code diff-code-left">${escapeHtml(diff.leftLine)}</td>` +
-                    `<td class="indicator empty-cell"></td>` +
-                    `<td class="diff-code empty-cell"></td>`;
-            } else if (diff.status === 'modified') {
-                const leftIndTd = document.createElement('td');
-                leftIndTd.className = 'indicator indicator-removed';
-                leftIndTd.textContent = '-';
-
-                const leftCodeTd = document.createElement('td');
-                leftCodeTd.className = 'diff-code diff-code-left';
-
-                const rightIndTd = document.createElement('td');
-                rightIndTd.className = 'indicator indicator-added';
-                rightIndTd.textContent = '+';
-
-                const rightCodeTd = document.createElement('td');
-                rightCodeTd.className = 'diff-code diff-code-right';
-
-                if (diff.leftHighlight && diff.rightHighlight) {
-                    leftCodeTd.innerHTML = this.renderHighlights(diff.leftHighlight, 'removed', diff.key, diff.fileType);
-                    rightCodeTd.innerHTML = this.renderHighlights(diff.rightHighlight, 'added', diff.key, diff.fileType);
-                } else {
-                    leftCodeTd.textContent = diff.leftLine;
-                    rightCodeTd.textContent = diff.rightLine;
-                }
-
-                row.appendChild(leftIndTd);
-                row.appendChild(leftCodeTd);
-                row.appendChild(rightIndTd);
-                row.appendChild(rightCodeTd);
-            } else {
-                // unchanged
-                row.innerHTML =
-                    `<td class="indicator"></td>` +
-                    `<td class="diff-code diff-code-left">${escapeHtml(diff.leftLine)}</td>` +
-                    `<td class="indicator"></td>` +
-                    `<td class="diff-code diff-code-right">${escapeHtml(diff.rightLine)}</td>`;
-            }
-
-            table.appendChild(row);
-        }
+        this.body = document.createElement('tbody');
+        table.appendChild(this.body);
+        table.addEventListener('click', (event) => this.handleClick(event));
+        this.table = table;
 
         container.innerHTML = '';
         container.appendChild(table);
-
-        // After rendering, synchronize row heights so left & right content cells stay aligned
-        // even when one side wraps more lines than the other.
-        this.syncRowHeights(table);
-        // Re-sync on window resize since wrapping can change
-        this._resizeHandler = () => this.syncRowHeights(table);
-        window.addEventListener('resize', this._resizeHandler);
+        this.listen();
+        this.refresh();
     }
-
+    
+    /**
+     * Registers the scroll and resize listeners once per renderer; they redraw the visible
+     * window of the current table
+     */
+    listen() {
+        if (this.listening) return;
+        this.listening = true;
+        const schedule = () => {
+            if (this.scheduled) return;
+            this.scheduled = true;
+            requestAnimationFrame(() => {
+                this.scheduled = false;
+                this.update();
+            });
+        };
+        window.addEventListener('scroll', schedule, { passive: true });
+        window.addEventListener('resize', () => {
+            // Wrapping changes with the width, so measured heights are stale
+            this.heights.clear();
+            this.update(true);
+        });
+    }
+    
+    /**
+     * Rebuilds the item list after the rows, folds or changes-only setting changed
+     */
+    refresh() {
+        if (!this.table) return;
+        this.items = this.buildItems();
+        this.update(true);
+    }
+    
     /**
-     * Forces each row's left and right content cells to the same height.
-     * Because the table uses table-layout:fixed, natural row height already
-     * matches the tallest cell. But we reset any previously forced heights
-     * first so the browser can recalculate.
+     * Turns the rows into display items: { type: 'row', index } for shown rows and
+     * { type: 'fold', start, end } for a folded run of unchanged rows. Unchanged runs keep
+     * DiffRenderer.CONTEXT rows next to each change; in changes-only mode they are dropped.
      */
-    syncRowHeights(table) {
-        const rows = table.querySelectorAll('tr');
-        for (const row of rows) {
-            const cells = row.querySelectorAll('td.diff-code');
-            // Reset forced heights
-            for (const cell of cells) {
-                cell.style.height = '';
+    buildItems() {
+        const items = [];
+        const pushRows = (start, end) => {
+            for (let index = start; index < end; index++) {
+                items.push({ type: 'row', index: index, key: `row:${index}` });
             }
-        }
-        // Now read computed heights and force alignment
-        for (const row of rows) {
-            const cells = row.querySelectorAll('td.diff-code');
-            if (cells.length === 2) {
-                const h0 = cells[0].offsetHeight;
-                const h1 = cells[1].offsetHeight;
-                if (h0 !== h1) {
-                    const max = Math.max(h0, h1) + 'px';
-                    cells[0].style.height = max;
-                    cells[1].style.height = max;
+        };
+        
+        let index = 0;
+        while (index < this.rows.length) {
+            if (this.rows[index].status !== 'unchanged') {
+                pushRows(index, index + 1);
+                index++;
+                continue;
+            }
+            let end = index;
+            while (end < this.rows.length && this.rows[end].status === 'unchanged') end++;
+            
+            if (!this.changesOnly) {
+                const leading = index === 0 ? 0 : DiffRenderer.CONTEXT;
+                const trailing = end === this.rows.length ? 0 : DiffRenderer.CONTEXT;
+                if (this.rows.slice(index, end).some(row => this.expanded.has(row.key)) || end - index <= leading + trailing + 1) {
+                    pushRows(index, end);
+                } else {
+                    pushRows(index, index + leading);
+                    items.push({ type: 'fold', run: index, start: index + leading, end: end - trailing, key: `fold:${index}` });
+                    pushRows(end - trailing, end);
                 }
             }
+            index = end;
         }
+        
+        return items;
     }
     
     /**
-     * Renders character-level highlights
+     * Renders the items around the viewport between two spacer rows that stand in for the
+     * height of the items above and below. Short tables are rendered completely.
      */
-    renderHighlights(highlights, changeType, key, fileType) {
-        if (!Array.isArray(highlights)) return escapeHtml(key || '');
-        const wordClass = changeType === 'added' ? 'added-word' : 'removed-word';
-        const separator = fileType === 'properties' ? '=' : ': ';
-        const keyPrefix = escapeHtml((key || '') + separator);
+    update(force = false) {
+        if (!this.table || !this.table.isConnected) return;
+        const count = this.items.length;
+        let first = 0;
+        let last = count;
+        let offsets = null;
         
-        const valueHtml = highlights.map(segment => {
-            if (!segment) return '';
-            if (segment.type === changeType) {
-                return `<span class="${wordClass}">${escapeHtml(segment.text)}</span>`;
-            } else if (segment.type === 'unchanged') {
-                return escapeHtml(segment.text);
-            }
-            return '';
-        }).join('');
+        if (count > DiffRenderer.VIRTUALIZE_ABOVE) {
+            offsets = this.offsets();
+            const viewTop = Math.max(0, -this.table.getBoundingClientRect().top);
+            const viewBottom = viewTop + window.innerHeight;
+            first = Math.max(0, this.itemAt(offsets, viewTop) - DiffRenderer.OVERSCAN);
+            last = Math.min(count, this.itemAt(offsets, viewBottom) + 1 + DiffRenderer.OVERSCAN);
+        }
+        if (!force && first === this.window.first && last === this.window.last) return;
+        this.window = { first, last };
+        
+        const fragment = document.createDocumentFragment();
+        if (count === 0) {
+            fragment.appendChild(this.renderMessage('No differences found.'));
+        }
+        if (offsets && offsets[first] > 0) {
+            fragment.appendChild(this.renderSpacer(offsets[first]));
+        }
+        const rendered = [];
+        for (let i = first; i < last; i++) {
+            const row = this.renderItem(this.items[i]);
+            rendered.push([this.items[i].key, row]);
+            fragment.appendChild(row);
+        }
+        if (offsets && offsets[count] - offsets[last] > 0) {
+            fragment.appendChild(this.renderSpacer(offsets[count] - offsets[last]));
+        }
+        this.body.replaceChildren(fragment);
         
-        return keyPrefix + valueHtml;
+        for (const [key, row] of rendered) {
+            if (row.offsetHeight > 0) this.heights.set(key, row.offsetHeight);
+        }
     }
-}
-
-// ==================== MAIN CONTROLLER ====================
-
-document.addEventListener('DOMContentLoaded', () => {
-    const compareBtn = document.getElementById('compareBtn');
-    const leftTextarea = document.getElementById('leftTextarea');
-    const rightTextarea = document.getElementById('rightTextarea');
-    const diffContainer = document.getElementById('diffContainer');
-    const diffOutput = document.getElementById('diffOutput');
     
-    if (!compareBtn || !leftTextarea || !rightTextarea || !diffContainer || !diffOutput) {
-        console.error('Config Differ: Required DOM elements not found.');
-        return;
+    /**
+     * Returns the top offset of every item (plus the total height as the last entry),
+     * using measured heights where known and an estimate otherwise
+     */
+    offsets() {
+        const offsets = new Array(this.items.length + 1);
+        offsets[0] = 0;
+        for (let i = 0; i < this.items.length; i++) {
+            const height = this.heights.get(this.items[i].key) || DiffRenderer.ESTIMATED_ROW_HEIGHT;
+            offsets[i + 1] = offsets[i] + height;
+        }
+        return offsets;
     }
     
-    compareBtn.addEventListener('click', () => {
-        try {
-            // Get input values
-            const leftText = leftTextarea.value;
-            const rightText = rightTextarea.value;
-            const fileTypeEl = document.querySelector('input[name="fileType"]:checked');
-            const fileType = fileTypeEl ? fileTypeEl.value : 'properties';
-            
-            // Validate inputs
-            if (!leftText.trim() || !rightText.trim()) {
-                alert('Please enter content in both textareas');
-                return;
+    /**
+     * Finds the item at a vertical position by binary search over the offsets
+     */
+    itemAt(offsets, y) {
+        let low = 0;
+        let high = this.items.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (offsets[middle] <= y) {
+                low = middle;
+            } else {
+                high = middle - 1;
             }
-            
-            let leftData, rightData;
-            
-            // Parse based on file type
-            if (fileType === 'properties') {
-                const parser = new PropertyParser();
-                const leftParsed = parser.parse(leftText);
-                const rightParsed = parser.parse(rightText);
-                leftData = parser.sort(leftParsed);
-                rightData = parser.sort(rightParsed);
+        }
+        return Math.max(0, low);
+    }
+    
+    /**
+     * Renders a display item: a diff row or a fold expander
+     */
+    renderItem(item) {
+        if (item.type === 'fold') {
+            const count = item.end - item.start;
+            const row = document.createElement('tr');
+            row.className = 'fold-row';
+            row.dataset.run = String(item.run);
+            row.innerHTML = `<td colspan="4"><button type="button" class="fold-btn">↕ ${count} unchanged key${count === 1 ? '' : 's'}</button></td>`;
+            return row;
+        }
+        const row = this.renderRow(this.rows[item.index], this.revealed.has(this.rows[item.index].key));
+        row.dataset.index = String(item.index);
+        if (item.index === this.currentChange) row.classList.add('current-change');
+        return row;
+    }
+    
+    /**
+     * Renders a row standing in for items outside the rendered window
+     */
+    renderSpacer(height) {
+        const row = document.createElement('tr');
+        row.className = 'spacer-row';
+        row.innerHTML = `<td colspan="4" style="height: ${height}px"></td>`;
+        return row;
+    }
+    
+    /**
+     * Renders a full-width message row
+     */
+    renderMessage(text) {
+        const row = document.createElement('tr');
+        row.className = 'message-row';
+        row.innerHTML = `<td colspan="4">${escapeHtml(text)}</td>`;
+        return row;
+    }
+    
+    /**
+     * Expands folds and toggles revealed secrets
+     */
+    handleClick(event) {
+        const fold = event.target.closest('.fold-btn');
+        if (fold) {
+            for (let index = Number(fold.closest('tr').dataset.run); index < this.rows.length && this.rows[index].status === 'unchanged'; index++) {
+                this.expanded.add(this.rows[index].key);
+            }
+            this.refresh();
+            return;
+        }
+        // Masked secrets are revealed one row at a time
+        const reveal = event.target.closest('.reveal-btn');
+        if (reveal) {
+            const key = this.rows[Number(reveal.closest('tr').dataset.index)].key;
+            if (this.revealed.has(key)) {
+                this.revealed.delete(key);
             } else {
-                const parser = new YAMLParser();
-                const leftParsed = parser.parse(leftText);
-                const rightParsed = parser.parse(rightText);
-                leftData = parser.sortRecursively(leftParsed);
-                rightData = parser.sortRecursively(rightParsed);
+                this.revealed.add(key);
             }
-            
-            // Generate diff
-            const diffEngine = new DiffEngine();
-            const diffResults = diffEngine.compare(leftData, rightData, fileType);
-            
-            // Render diff
-            const renderer = new DiffRenderer();
-            renderer.render(diffResults, diffOutput);
-            
-            // Show diff container
-            diffContainer.style.display = 'block';
-            
-            // Scroll to results
-            diffContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
-            
-        } catch (error) {
-            alert('Error: ' + error.message);
-            console.error('Detailed error:', error);
+            this.update(true);
         }
-    });
+    }
+    
+    /**
+     * Shows only changed rows, or all rows with unchanged runs folded
+     */
+    setChangesOnly(changesOnly) {
+        this.changesOnly = changesOnly;
+        if (this.view === 'tree') {
+            this.render(this.rows, this.container);
+        } else {
+            this.refresh();
+        }
+    }
+    
+    /**
+     * Switches between the table and tree views of the current rows
+     */
+    setView(view) {
+        this.view = view;
+        if (this.container) this.render(this.rows, this.container);
+    }
+    
+    /**
+     * Renders the rows as a tree of collapsible nodes nested by key path (see buildDiffTree).
+     * Branches with changes start open and unchanged branches closed; the children of a node
+     * are only rendered when it is first opened.
+     */
+    renderTree(rows, container) {
+        const tree = document.createElement('div');
+        tree.className = 'diff-tree';
+        this.appendTreeChildren(buildDiffTree(rows), tree);
+        if (!tree.hasChildNodes()) {
+            tree.innerHTML = '<p>No differences found.</p>';
+        }
+        container.innerHTML = '';
+        container.appendChild(tree);
+    }
+    
+    /**
+     * Appends the rendered children of a tree node, leaving out unchanged ones in changes-only mode
+     */
+    appendTreeChildren(node, parent) {
+        for (const child of node.children) {
+            if (this.changesOnly && !this.hasChanges(child.summary)) continue;
+            parent.appendChild(child.children.length > 0 ? this.renderTreeNode(child) : this.renderTreeLeaf(child.row, child.name));
+        }
+    }
+    
+    /**
+     * Renders a branch of the tree as a details element labelled with its change counts
+     */
+    renderTreeNode(node) {
+        const changed = this.hasChanges(node.summary);
+        const details = document.createElement('details');
+        details.className = changed ? 'tree-node changed' : 'tree-node';
+        details.innerHTML =
+            `<summary title="${escapeHtml(node.path)}"><span class="tree-name">${escapeHtml(node.name)}</span>${this.renderTreeCounts(node.summary)}</summary>`;
+        const body = document.createElement('div');
+        body.className = 'tree-children';
+        details.appendChild(body);
+        
+        let rendered = false;
+        const renderChildren = () => {
+            if (rendered) return;
+            rendered = true;
+            // A key can hold a value and nested keys at once (a=1 next to a.b=2)
+            if (node.row && !(this.changesOnly && node.row.status === 'unchanged')) {
+                body.appendChild(this.renderTreeLeaf(node.row, '(value)'));
+            }
+            this.appendTreeChildren(node, body);
+        };
+        details.addEventListener('toggle', () => {
+            if (details.open) renderChildren();
+        });
+        if (changed) {
+            renderChildren();
+            details.open = true;
+        }
+        return details;
+    }
+    
+    /**
+     * Renders a key of the tree with its original and new values side by side
+     */
+    renderTreeLeaf(row, name) {
+        const leaf = document.createElement('div');
+        leaf.className = `tree-leaf ${row.status}`;
+        leaf.title = row.oldKey !== undefined ? `${row.oldKey} → ${row.key}` : row.key;
+        if (row.metadata) leaf.title += '\n' + this.metadataTitle(row.metadata);
+        const value = (value, highlights, changeType) => {
+            if (value === undefined) return '';
+            return Array.isArray(highlights) ? this.renderSegments(highlights, changeType) : escapeHtml(value);
+        };
+        leaf.innerHTML =
+            `<span class="tree-key">${escapeHtml(name)}${this.renderRename(row)}${this.renderEquivalence(row)}</span>` +
+            `<span class="tree-value tree-value-left">${value(row.leftValue, row.leftHighlight, 'removed')}</span>` +
+            `<span class="tree-value tree-value-right">${value(row.rightValue, row.rightHighlight, 'added')}</span>`;
+        return leaf;
+    }
+    
+    /**
+     * Renders the change counts of a branch, or its size when nothing under it changed
+     */
+    renderTreeCounts(summary) {
+        if (!this.hasChanges(summary)) {
+            const count = summary.unchanged || 0;
+            return `<span class="tree-counts"><span class="count-unchanged">${count} key${count === 1 ? '' : 's'}</span></span>`;
+        }
+        const counts = [['added', '+'], ['removed', '−'], ['modified', '~'], ['renamed', '→'], ['equivalent', '≈']]
+            .filter(([status]) => summary[status])
+            .map(([status, sign]) => `<span class="count-${status}">${sign}${summary[status]}</span>`);
+        return `<span class="tree-counts">${counts.join('')}</span>`;
+    }
+    
+    /**
+     * Checks whether a summary counts any row that is not unchanged
+     */
+    hasChanges(summary) {
+        return Object.keys(summary).some(status => status !== 'unchanged' && summary[status] > 0);
+    }
+    
+    /**
+     * Moves to the next (direction 1) or previous (-1) change, wrapping around, and scrolls it
+     * into view. Returns { position, total } of the current change, or null without changes.
+     */
+    goToChange(direction) {
+        if (!this.table || this.view !== 'table') return null;
+        const changes = this.items.filter(item => item.type === 'row' && this.rows[item.index].status !== 'unchanged');
+        if (changes.length === 0) return null;
+        
+        let position = changes.findIndex(item => item.index === this.currentChange);
+        if (position < 0) {
+            position = direction > 0 ? 0 : changes.length - 1;
+        } else {
+            position = (position + direction + changes.length) % changes.length;
+        }
+        this.currentChange = changes[position].index;
+        
+        const offsets = this.offsets();
+        const top = this.table.getBoundingClientRect().top + window.scrollY + offsets[this.items.indexOf(changes[position])];
+        window.scrollTo({ top: Math.max(0, top - window.innerHeight / 3), behavior: 'smooth' });
+        this.update(true);
+        return { position: position + 1, total: changes.length };
+    }
+    
+    /**
+     * Renders the added/removed/modified/unchanged counts of the rows, and the renamed and
+     * equivalent counts when there are any
+     */
+    renderSummary(rows, container) {
+        if (!container) return;
+        const summary = new DiffExporter().summarize(rows);
+        container.innerHTML =
+            `<span class="count-added">+${summary.added} added</span>` +
+            `<span class="count-removed">−${summary.removed} removed</span>` +
+            `<span class="count-modified">~${summary.modified} modified</span>` +
+            (summary.renamed > 0 ? `<span class="count-renamed">→${summary.renamed} renamed</span>` : '') +
+            (summary.equivalent > 0 ? `<span class="count-equivalent">≈${summary.equivalent} equivalent</span>` : '') +
+            `<span class="count-unchanged">${summary.unchanged} unchanged</span>`;
+    }
+
+    /**
+     * Lists the parser diagnostics of both sides ({ left, right } of { source, line, column,
+     * message, severity }) in the problems panel, hiding it when there are none. Errors mean
+     * input was skipped or misread, so they also raise a "diff may be incomplete" notice.
+     * Problems in a source named in linkedSources[side] (the textarea) can be clicked to jump there.
+     */
+    renderProblems(diagnostics, container, linkedSources = {}) {
+        if (!container) return;
+        const items = [];
+        const all = [];
+        for (const [side, label] of [['left', 'Original'], ['right', 'New']]) {
+            const sideDiagnostics = (diagnostics && diagnostics[side]) || [];
+            all.push(...sideDiagnostics);
+            for (const diagnostic of sideDiagnostics) {
+                const linked = linkedSources[side] === diagnostic.source;
+                items.push(
+                    `<li class="problem problem-${diagnostic.severity}${linked ? ' linked' : ''}" data-side="${side}" data-line="${diagnostic.line}" data-column="${diagnostic.column}"${linked ? ' tabindex="0"' : ''}>` +
+                    `<span class="problem-severity">${diagnostic.severity}</span>` +
+                    `<span class="problem-location">${label}: ${escapeHtml(diagnostic.source)}:${diagnostic.line}:${diagnostic.column}</span> ` +
+                    `${escapeHtml(diagnostic.message)}</li>`
+                );
+            }
+        }
+        container.hidden = items.length === 0;
+        if (items.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        const errors = countDiagnostics(all).errors;
+        container.innerHTML =
+            (errors > 0 ? '<p class="problems-incomplete">⚠ The diff may be incomplete: lines with errors were skipped or read as plain text.</p>' : '') +
+            `<details${errors > 0 ? ' open' : ''}><summary>Problems (${describeProblems(all)})</summary><ul>${items.join('')}</ul></details>`;
+    }
+
+    /**
+     * Renders the per-file results of a folder comparison as a table with change counts.
+     * Rows carry data-name so a click can open that file's diff.
+     */
+    renderFileList(results, container) {
+        if (!container) return;
+        if (results.length === 0) {
+            container.innerHTML = '<p>No config files found.</p>';
+            return;
+        }
+        
+        const rows = results.map(result => {
+            const counts = ['added', 'removed', 'modified', 'renamed']
+                .map(status => `<td class="count count-${status}">${result.summary[status] || ''}</td>`)
+                .join('');
+            const diagnostics = result.diagnostics ? [...result.diagnostics.left, ...result.diagnostics.right] : [];
+            const problems = countDiagnostics(diagnostics);
+            const problemTag = diagnostics.length > 0
+                ? ` <span class="file-problems${problems.errors > 0 ? ' has-errors' : ''}" title="${describeProblems(diagnostics)}; open the file to see them">⚠ ${diagnostics.length}</span>`
+                : '';
+            return `<tr data-name="${escapeHtml(result.name)}">` +
+                `<td><span class="file-status ${result.status}">${result.status}</span></td>` +
+                `<td class="file-name">${escapeHtml(result.name)}${problemTag}</td>` +
+                counts +
+                '</tr>';
+        });
+        
+        container.innerHTML =
+            '<table class="file-list">' +
+            '<thead><tr><th>Status</th><th>File</th><th>Added</th><th>Removed</th><th>Modified</th><th>Renamed</th></tr></thead>' +
+            `<tbody>${rows.join('')}</tbody>` +
+            '</table>';
+    }
+    
+    /**
+     * Lists saved snapshots, newest first, with buttons to load each into either side
+     */
+    renderSnapshotList(snapshots, container) {
+        if (!container) return;
+        if (snapshots.length === 0) {
+            container.innerHTML = '<p>No snapshots saved.</p>';
+            return;
+        }
+        
+        const rows = snapshots.slice().reverse().map(snapshot =>
+            `<tr data-id="${snapshot.id}">` +
+            `<td class="file-name">${escapeHtml(snapshot.name)}</td>` +
+            `<td>${escapeHtml(new Date(snapshot.savedAt).toLocaleString())}</td>` +
+            `<td>${escapeHtml(configFormat(snapshot.fileType).label)}</td>` +
+            '<td class="snapshot-actions">' +
+            '<button type="button" class="toolbar-btn" data-load="left" title="Load into the original textarea">Original</button>' +
+            '<button type="button" class="toolbar-btn" data-load="right" title="Load into the new version textarea">New</button>' +
+            '<button type="button" class="toolbar-btn" data-delete="true" title="Delete this snapshot">Delete</button>' +
+            '</td>' +
+            '</tr>');
+        
+        container.innerHTML =
+            '<table class="file-list snapshot-list">' +
+            '<thead><tr><th>Snapshot</th><th>Saved</th><th>Format</th><th></th></tr></thead>' +
+            `<tbody>${rows.join('')}</tbody>` +
+            '</table>';
+    }
+    
+    /**
+     * Shows a key's value in each snapshot, oldest first, tagged with how it changed from the
+     * snapshot before (see keyTimeline)
+     */
+    renderTimeline(timeline, container) {
+        if (!container) return;
+        if (timeline.every(entry => entry.status === 'absent')) {
+            container.innerHTML = `<p>${timeline.length === 0 ? 'No snapshots saved.' : 'No snapshot has this key.'}</p>`;
+            return;
+        }
+        
+        const rows = timeline.map(entry =>
+            `<tr class="timeline-${entry.status}">` +
+            `<td><span class="file-status ${entry.status}">${entry.status}</span></td>` +
+            `<td class="file-name">${escapeHtml(entry.name)}</td>` +
+            `<td>${escapeHtml(new Date(entry.savedAt).toLocaleString())}</td>` +
+            `<td class="timeline-value">${entry.value === undefined ? '' : escapeHtml(entry.value)}</td>` +
+            '</tr>');
+        
+        container.innerHTML =
+            '<table class="file-list snapshot-list">' +
+            '<thead><tr><th>Change</th><th>Snapshot</th><th>Saved</th><th>Value</th></tr></thead>' +
+            `<tbody>${rows.join('')}</tbody>` +
+            '</table>';
+    }
+
+    /**
+     * Renders one diff row. Masked rows show their original values when revealed is set.
+     */
+    renderRow(diff, revealed = false) {
+        if (diff.masked && revealed) {
+            diff = { ...diff, ...diff.secret };
+        }
+        const row = document.createElement('tr');
+        row.className = diff.status;
+
+        if (diff.status === 'added') {
+            row.innerHTML =
+                `<td class="indicator empty-cell"></td>` +
+                this.renderDisabledCell(diff, 'left') +
+                `<td class="indicator indicator-added">+</td>` +
+                `<td class="diff-code diff-code-right">${escapeHtml(diff.rightLine)}${this.renderSource(diff.rightSource)}${this.renderResolved(diff.rightResolved, diff.rightValue)}</td>`;
+        } else if (diff.status === 'removed') {
+            row.innerHTML =
+                `<td class="indicator indicator-removed">-</td>` +
+                `<td class="diff-code diff-code-left">${escapeHtml(diff.leftLine)}${this.renderSource(diff.leftSource)}${this.renderResolved(diff.leftResolved, diff.leftValue)}</td>` +
+                `<td class="indicator empty-cell"></td>` +
+                this.renderDisabledCell(diff, 'right');
+        } else if (diff.status === 'modified' || diff.status === 'renamed' || diff.status === 'equivalent') {
+            const leftIndTd = document.createElement('td');
+            leftIndTd.className = 'indicator indicator-removed';
+            leftIndTd.textContent = '-';
+
+            const leftCodeTd = document.createElement('td');
+            leftCodeTd.className = 'diff-code diff-code-left';
+
+            const rightIndTd = document.createElement('td');
+            rightIndTd.className = 'indicator indicator-added';
+            rightIndTd.textContent = '+';
+
+            const rightCodeTd = document.createElement('td');
+            rightCodeTd.className = 'diff-code diff-code-right';
+
+            if (diff.leftHighlight && diff.rightHighlight) {
+                leftCodeTd.innerHTML = this.renderHighlights(diff.leftHighlight, 'removed', diff.oldKey || diff.key, diff.leftFileType);
+                rightCodeTd.innerHTML = this.renderHighlights(diff.rightHighlight, 'added', diff.key, diff.rightFileType);
+            } else {
+                leftCodeTd.textContent = diff.leftLine;
+                rightCodeTd.textContent = diff.rightLine;
+            }
+            leftCodeTd.insertAdjacentHTML('beforeend', this.renderSource(diff.leftSource));
+            rightCodeTd.insertAdjacentHTML('beforeend', this.renderRename(diff) + this.renderEquivalence(diff) + this.renderChange(diff.change) + this.renderCommentsChanged(diff) + this.renderSource(diff.rightSource));
+            leftCodeTd.insertAdjacentHTML('beforeend', this.renderResolved(diff.leftResolved, diff.leftValue, diff.leftResolvedHighlight, 'removed'));
+            rightCodeTd.insertAdjacentHTML('beforeend', this.renderResolved(diff.rightResolved, diff.rightValue, diff.rightResolvedHighlight, 'added'));
+
+            row.appendChild(leftIndTd);
+            row.appendChild(leftCodeTd);
+            row.appendChild(rightIndTd);
+            row.appendChild(rightCodeTd);
+        } else {
+            // unchanged
+            row.innerHTML =
+                `<td class="indicator"></td>` +
+                `<td class="diff-code diff-code-left">${escapeHtml(diff.leftLine)}${this.renderSource(diff.leftSource)}${this.renderResolved(diff.leftResolved, diff.leftValue)}</td>` +
+                `<td class="indicator"></td>` +
+                `<td class="diff-code diff-code-right">${escapeHtml(diff.rightLine)}${this.renderNormalized(diff)}${this.renderSource(diff.rightSource)}${this.renderResolved(diff.rightResolved, diff.rightValue)}</td>`;
+        }
+
+        const comments = this.renderComments(diff);
+        if (comments.left) row.querySelector('td.diff-code-left').insertAdjacentHTML('afterbegin', comments.left);
+        if (comments.right) row.querySelector('td.diff-code-right').insertAdjacentHTML('afterbegin', comments.right);
+        if (diff.metadata) this.renderMetadata(row, diff);
+
+        if (diff.masked) {
+            row.dataset.revealed = String(revealed);
+            const cell = row.querySelector('td.diff-code:not(.empty-cell):last-child') || row.querySelector('td.diff-code:not(.empty-cell)');
+            cell.insertAdjacentHTML('afterbegin', this.renderRevealButton(revealed));
+        }
+        if (this.actions) this.renderActions(row, diff);
+        return row;
+    }
+    
+    /**
+     * Adds the copy and revert buttons of a row for the sides in actions.editable
+     */
+    renderActions(row, diff) {
+        const { editable, sources, baseline } = this.actions;
+        const values = diff.masked ? { ...diff, ...diff.secret } : diff;
+        const keys = { left: diff.oldKey || diff.key, right: diff.key };
+        const writable = (side) => editable[side] && (!diff[`${side}Source`] || diff[`${side}Source`] === sources[side]);
+        const engine = new DiffEngine();
+        // Values that only differ in YAML quoting are the same text
+        const differs = engine.comparable(values.leftValue, diff.leftFileType, diff.rightFileType) !==
+            engine.comparable(values.rightValue, diff.rightFileType, diff.leftFileType) || keys.left !== keys.right;
+        
+        const buttons = [];
+        const button = (action, label, title) => `<button type="button" class="edit-btn" data-edit="${action}" title="${title}" aria-label="${title}">${label}</button>`;
+        if (differs && writable('left')) {
+            buttons.push(button('copy-left', '←', values.rightValue === undefined ? 'Remove the key from the original' : 'Copy the new value to the original'));
+        }
+        if (differs && writable('right')) {
+            buttons.push(button('copy-right', '→', values.leftValue === undefined ? 'Remove the key from the new version' : 'Copy the original value to the new version'));
+        }
+        const reverted = ['left', 'right'].filter(side => baseline[side].get(keys[side]) !== values[`${side}Value`]);
+        if (reverted.length > 0 && reverted.every(writable)) {
+            buttons.push(button('revert', '↺', 'Revert both sides to their values when Compare was pressed'));
+        }
+        if (buttons.length === 0) return;
+        const cell = row.querySelector('td.diff-code:last-child');
+        cell.insertAdjacentHTML('afterbegin', `<span class="row-actions">${buttons.join('')}</span>`);
+    }
+
+    /**
+     * Renders the comment lines written above a row's key on each side as { left, right }
+     * HTML, marking the lines that changed
+     */
+    renderComments(diff) {
+        const html = { left: '', right: '' };
+        if (!diff.leftComments && !diff.rightComments) return html;
+        
+        const line = (text, type) => `<div class="comment-line comment-${type}">${escapeHtml(text)}</div>`;
+        for (const op of diffSequences(diff.leftComments || [], diff.rightComments || [])) {
+            if (op.type !== 'added') html.left += line(op.value, op.type);
+            if (op.type !== 'removed') html.right += line(op.value, op.type);
+        }
+        return html;
+    }
+    
+    /**
+     * Renders the empty code cell of an added or removed row, showing the key's commented-out
+     * line when the other side disables it rather than leaving it out
+     */
+    renderDisabledCell(diff, side) {
+        const value = side === 'left' ? diff.leftDisabled : diff.rightDisabled;
+        if (value === undefined) return '<td class="diff-code empty-cell"></td>';
+        const fileType = side === 'left' ? diff.leftFileType : diff.rightFileType;
+        const line = '#' + new DiffEngine().formatLine(diff.key, value, fileType);
+        const title = side === 'left' ? 'Commented out in the original' : 'Commented out in the new version';
+        return `<td class="diff-code diff-code-${side} disabled-cell"><span class="disabled-line">${escapeHtml(line)}</span>` +
+            `<span class="disabled-tag" title="${title}">disabled</span></td>`;
+    }
+    
+    /**
+     * Renders the tag of a row whose only change is in the comments above its key
+     */
+    renderCommentsChanged(diff) {
+        if (!diff.commentsChanged || diff.status !== 'modified' || diff.leftLine !== diff.rightLine || diff.change) return '';
+        return '<span class="change-tag" title="The value is the same but the comments above the key changed">comments changed</span>';
+    }
+    
+    /**
+     * Puts the configuration metadata of a row's key in a tooltip on the key and tags unknown
+     * and deprecated keys and values of the wrong type
+     */
+    renderMetadata(row, diff) {
+        const metadata = diff.metadata;
+        const keyClass = !metadata.known ? 'metadata-unknown' : (metadata.deprecation ? 'metadata-deprecated' : 'metadata-known');
+        const title = this.metadataTitle(metadata);
+        
+        for (const side of ['left', 'right']) {
+            const cell = row.querySelector(`td.diff-code-${side}:not(.disabled-cell)`);
+            if (!cell) continue;
+            // The old key of a renamed row has metadata of its own
+            const text = side === 'left' && diff.oldKey !== undefined
+                ? null
+                : Array.from(cell.childNodes).find(node => node.nodeType === Node.TEXT_NODE && node.textContent.startsWith(diff.key));
+            if (text) {
+                text.splitText(diff.key.length);
+                const key = document.createElement('span');
+                key.className = `metadata-key ${keyClass}`;
+                key.title = title;
+                text.replaceWith(key);
+                key.appendChild(text);
+            }
+            const mismatch = side === 'left' ? metadata.leftMismatch : metadata.rightMismatch;
+            if (mismatch) {
+                cell.insertAdjacentHTML('beforeend', `<span class="metadata-tag metadata-mismatch" title="${escapeHtml(mismatch)}">type mismatch</span>`);
+            }
+        }
+        
+        const keyCell = row.querySelector('td.diff-code-right:not(.disabled-cell)') || row.querySelector('td.diff-code-left');
+        if (!metadata.known) {
+            const hint = metadata.suggestion ? `Did you mean ${metadata.suggestion}?` : 'The key is not in the configuration metadata';
+            keyCell.insertAdjacentHTML('beforeend', `<span class="metadata-tag metadata-unknown" title="${escapeHtml(hint)}">unknown key</span>`);
+        }
+        if (metadata.deprecation) {
+            const replacement = metadata.deprecation.replacement ? `Use ${metadata.deprecation.replacement} instead` : 'The property is deprecated';
+            keyCell.insertAdjacentHTML('beforeend', `<span class="metadata-tag metadata-deprecated" title="${escapeHtml(replacement)}">deprecated</span>`);
+        }
+    }
+    
+    /**
+     * Describes the configuration metadata of a key as tooltip text: name and type,
+     * description, default value, deprecation and the problems found
+     */
+    metadataTitle(metadata) {
+        if (!metadata.known) {
+            return metadata.suggestion
+                ? `Unknown key: not in the configuration metadata. Did you mean ${metadata.suggestion}?`
+                : 'Unknown key: not in the configuration metadata';
+        }
+        
+        const lines = [metadata.type ? `${metadata.name} (${metadata.type})` : metadata.name];
+        if (metadata.description) lines.push(metadata.description);
+        if (metadata.defaultValue !== undefined) {
+            lines.push(`Default: ${Array.isArray(metadata.defaultValue) ? metadata.defaultValue.join(',') : metadata.defaultValue}`);
+        }
+        if (metadata.deprecation) {
+            const { level, reason, replacement } = metadata.deprecation;
+            lines.push(`${level === 'error' ? 'No longer supported' : 'Deprecated'}${reason ? ': ' + reason : ''}`);
+            if (replacement) lines.push(`Replaced by ${replacement}`);
+        }
+        if (metadata.leftMismatch) lines.push(`Original value: ${metadata.leftMismatch}`);
+        if (metadata.rightMismatch) lines.push(`New value: ${metadata.rightMismatch}`);
+        return lines.join('\n');
+    }
+    
+    /**
+     * Renders the tag naming the file that supplied a value in a merged stack
+     */
+    renderSource(source) {
+        if (!source) return '';
+        return `<span class="source-tag" title="Value supplied by ${escapeHtml(source)}">${escapeHtml(source)}</span>`;
+    }
+    
+    /**
+     * Renders the toggle that shows or hides the masked values of a row
+     */
+    renderRevealButton(revealed) {
+        const label = revealed ? 'Hide' : 'Reveal';
+        const title = revealed ? 'Mask the secret values of this row again' : 'Show the secret values of this row';
+        return `<button type="button" class="reveal-btn" title="${title}">${label}</button>`;
+    }
+    
+    /**
+     * Renders the placeholder-expanded value under the raw line when expansion changed it
+     */
+    renderResolved(resolved, raw, highlights, changeType) {
+        if (resolved === undefined || resolved === raw) return '';
+        const valueHtml = Array.isArray(highlights)
+            ? this.renderSegments(highlights, changeType)
+            : escapeHtml(resolved);
+        return `<div class="resolved-value" title="Value after placeholder expansion">⇒ ${valueHtml}</div>`;
+    }
+    
+    /**
+     * Renders the tag of a renamed row, naming the old key
+     */
+    renderRename(diff) {
+        if (diff.status !== 'renamed') return '';
+        const title = diff.renameReason === 'migration'
+            ? `Renamed from ${diff.oldKey} by a Spring Boot property migration`
+            : `Renamed from ${diff.oldKey}: the key is similar and the value ${diff.leftValue === diff.rightValue ? 'is the same' : 'nearly the same'}`;
+        const label = diff.renameReason === 'migration' ? 'migrated' : 'renamed';
+        return `<span class="rename-tag" title="${escapeHtml(title)}">${label}</span>`;
+    }
+    
+    /**
+     * Renders the tag of an unchanged row whose values only match after the normalize rules
+     */
+    renderNormalized(diff) {
+        if (!diff.normalized) return '';
+        return '<span class="change-tag" title="The values differ but match after the normalize rules">normalized</span>';
+    }
+    
+    /**
+     * Renders the tag of a row whose values only differ in spelling, naming the shared type
+     */
+    renderEquivalence(diff) {
+        if (diff.status !== 'equivalent') return '';
+        const label = DiffRenderer.EQUIVALENCE_LABELS[diff.equivalence] || 'same value';
+        return `<span class="equivalence-tag" title="Spring Boot converts both values to the ${label}">≡ ${label}</span>`;
+    }
+    
+    /**
+     * Renders the tag explaining a modification seen in only one of the raw and resolved values
+     */
+    renderChange(change) {
+        if (change === 'resolved') {
+            return '<span class="change-tag" title="The raw text is identical but it resolves to a different value">resolved value changed</span>';
+        }
+        if (change === 'raw') {
+            return '<span class="change-tag" title="The raw text changed but it resolves to the same value">same resolved value</span>';
+        }
+        return '';
+    }
+    
+    /**
+     * Renders character-level highlights
+     */
+    renderHighlights(highlights, changeType, key, fileType) {
+        if (!Array.isArray(highlights)) return escapeHtml(key || '');
+        const keyPrefix = escapeHtml((key || '') + configFormat(fileType).separator);
+        
+        return keyPrefix + this.renderSegments(highlights, changeType);
+    }
+    
+    /**
+     * Renders highlight segments, marking those of the given change type
+     */
+    renderSegments(highlights, changeType) {
+        const wordClass = changeType === 'added' ? 'added-word' : 'removed-word';
+        
+        return highlights.map(segment => {
+            if (!segment) return '';
+            if (segment.type === changeType) {
+                return `<span class="${wordClass}">${escapeHtml(segment.text)}</span>`;
+            } else if (segment.type === 'unchanged') {
+                return escapeHtml(segment.text);
+            }
+            return '';
+        }).join('');
+    }
+}
+
+// Unchanged rows kept next to each change when a run is folded
+DiffRenderer.CONTEXT = 3;
+// Tables with more items than this only render the rows near the viewport
+DiffRenderer.VIRTUALIZE_ABOVE = 300;
+DiffRenderer.OVERSCAN = 20;
+DiffRenderer.ESTIMATED_ROW_HEIGHT = 22;
+// Tag text for each ValueConverter equivalence
+DiffRenderer.EQUIVALENCE_LABELS = {
+    boolean: 'same boolean',
+    number: 'same number',
+    duration: 'same duration',
+    size: 'same data size',
+    string: 'same string',
+    list: 'same list'
+};
+
+// ==================== MERGE RENDERER ====================
+
+class MergeRenderer {
+    /**
+     * Renders three-way merge rows as a table of the base, ours and theirs values and the
+     * merged result. Rows carry data-index, their position in rows; conflicts get buttons to
+     * take ours or theirs or to edit the value. With changesOnly, keys no side changed are
+     * left out. Keys of profile documents are tagged with the profile from documents.
+     */
+    render(rows, documents, container, changesOnly = false) {
+        if (!container) return;
+        const shown = rows
+            .map((row, index) => ({ row, index }))
+            .filter(({ row }) => !changesOnly || row.status !== 'unchanged');
+        if (shown.length === 0) {
+            container.innerHTML = rows.length === 0 ? '<p>No keys found.</p>' : '<p>Neither side changed anything.</p>';
+            return;
+        }
+        
+        container.innerHTML =
+            '<table class="merge-table">' +
+            '<colgroup><col class="col-key"><col><col><col><col class="col-result"></colgroup>' +
+            '<thead><tr><th>Key</th><th>Base</th><th>Ours</th><th>Theirs</th><th>Result</th></tr></thead>' +
+            `<tbody>${shown.map(({ row, index }) => this.renderRow(row, index, documents)).join('')}</tbody>` +
+            '</table>';
+    }
+    
+    /**
+     * Renders one merge row; the values a side changed since the base are marked
+     */
+    renderRow(row, index, documents) {
+        const document = documents[row.document];
+        const profile = document && document.profile != null
+            ? `<span class="source-tag" title="Key of the document for profile ${escapeHtml(document.profile)}">${escapeHtml(document.profile)}</span>`
+            : '';
+        const changed = (value) => value !== row.baseValue ? ' changed' : '';
+        return `<tr class="merge-${row.status}${row.resolution ? ' resolved' : ''}" data-index="${index}">` +
+            `<td class="merge-key">${escapeHtml(row.key)}${profile}</td>` +
+            `<td class="merge-value">${this.renderValue(row.baseValue)}</td>` +
+            `<td class="merge-value${changed(row.oursValue)}">${this.renderValue(row.oursValue)}</td>` +
+            `<td class="merge-value${changed(row.theirsValue)}">${this.renderValue(row.theirsValue)}</td>` +
+            `<td class="merge-value merge-result">${this.renderResult(row)}</td>` +
+            '</tr>';
+    }
+    
+    /**
+     * Renders a value, or a dash for a key the side does not have
+     */
+    renderValue(value) {
+        if (value === undefined) return '<span class="merge-missing" title="The key is not present">—</span>';
+        return escapeHtml(value);
+    }
+    
+    /**
+     * Renders the merged value with the tag of its status; conflicts also get their
+     * resolution buttons and stay marked unresolved until one is used
+     */
+    renderResult(row) {
+        const [label, statusTitle] = MergeRenderer.STATUS_LABELS[row.status];
+        const title = row.list != null ? `Both sides changed the list ${escapeHtml(row.list)} differently; it is taken from one side as a whole` : statusTitle;
+        let html = `<span class="merge-tag merge-tag-${row.status}" title="${title}">${label}</span>`;
+        if (row.status === 'conflict') {
+            html += '<span class="merge-actions">' +
+                [['ours', 'Use ours'], ['theirs', 'Use theirs'], ['edit', 'Edit']].map(([action, text]) => {
+                    return `<button type="button" class="toolbar-btn${row.resolution === action ? ' selected' : ''}" data-action="${action}">${text}</button>`;
+                }).join('') +
+                '</span>';
+            if (!row.resolution) return html + '<span class="merge-missing">unresolved</span>';
+        }
+        if (row.merged === undefined) return html + '<span class="merge-missing">removed</span>';
+        return html + escapeHtml(row.merged);
+    }
+    
+    /**
+     * Replaces the result cell of a table row by a textarea holding the merged value (or the
+     * value of ours, then theirs) and returns it focused
+     */
+    renderEditor(tableRow, row) {
+        const cell = tableRow.querySelector('.merge-result');
+        const value = [row.merged, row.oursValue, row.theirsValue, ''].find(candidate => candidate !== undefined);
+        cell.innerHTML = '<textarea class="merge-edit" aria-label="Merged value" title="Enter saves, Shift+Enter starts a new line, Escape cancels"></textarea>';
+        const editor = cell.querySelector('textarea');
+        editor.value = value;
+        editor.rows = value.split('\n').length;
+        editor.focus();
+        editor.select();
+        return editor;
+    }
+    
+    /**
+     * Renders the number of keys taken from each side, the conflicts still to resolve and
+     * the unchanged keys
+     */
+    renderSummary(rows, container) {
+        if (!container) return;
+        const count = (status) => rows.filter(row => row.status === status).length;
+        const conflicts = count('conflict');
+        const unresolved = rows.filter(row => row.status === 'conflict' && !row.resolution).length;
+        container.innerHTML =
+            `<span class="count-ours">${count('ours')} from ours</span>` +
+            `<span class="count-theirs">${count('theirs')} from theirs</span>` +
+            `<span class="count-both">${count('both')} same change</span>` +
+            `<span class="count-conflict">${conflicts} conflict${conflicts === 1 ? '' : 's'}${unresolved > 0 ? ` (${unresolved} unresolved)` : ''}</span>` +
+            `<span class="count-unchanged">${count('unchanged')} unchanged</span>`;
+    }
+}
+
+// Tag text and tooltip for each merge status
+MergeRenderer.STATUS_LABELS = {
+    unchanged: ['unchanged', 'Neither side changed this key'],
+    ours: ['ours', 'Only ours changed this key since the base'],
+    theirs: ['theirs', 'Only theirs changed this key since the base'],
+    both: ['both', 'Both sides made the same change'],
+    conflict: ['conflict', 'Both sides changed this key differently']
+};
+
+// ==================== MAIN CONTROLLER ====================
+
+document.addEventListener('DOMContentLoaded', () => {
+    const compareBtn = document.getElementById('compareBtn');
+    const leftTextarea = document.getElementById('leftTextarea');
+    const rightTextarea = document.getElementById('rightTextarea');
+    const diffContainer = document.getElementById('diffContainer');
+    const diffOutput = document.getElementById('diffOutput');
+    
+    if (!compareBtn || !leftTextarea || !rightTextarea || !diffContainer || !diffOutput) {
+        console.error('Config Differ: Required DOM elements not found.');
+        return;
+    }
+    
+    const leftFileTypeSelect = document.getElementById('leftFileType');
+    const rightFileTypeSelect = document.getElementById('rightFileType');
+    const relaxedBindingCheckbox = document.getElementById('relaxedBinding');
+    const detectRenamesCheckbox = document.getElementById('detectRenames');
+    const semanticCheckbox = document.getElementById('semantic');
+    const compareCommentsCheckbox = document.getElementById('compareComments');
+    
+    /**
+     * Resolves the selected file type of one side, auto-detecting when requested
+     */
+    const resolveFileType = (select, text) => {
+        const selected = select ? select.value : 'auto';
+        const fileType = selected === 'auto' ? detectFileType(text) : selected;
+        const hint = select && select.parentElement.querySelector('.detected-type');
+        if (hint) {
+            hint.textContent = selected === 'auto' ? `detected: ${configFormat(fileType).label}` : '';
+        }
+        return fileType;
+    };
+    
+    // Each textarea is validated while typing: problem lines are marked and counted in its header
+    const editors = {
+        left: { textarea: leftTextarea, select: leftFileTypeSelect, highlighter: new EditorHighlighter(leftTextarea), timer: null },
+        right: { textarea: rightTextarea, select: rightFileTypeSelect, highlighter: new EditorHighlighter(rightTextarea), timer: null }
+    };
+    
+    // The merge inputs are all read in the format chosen or detected for ours
+    const mergeFileTypeSelect = document.getElementById('mergeFileType');
+    const oursTextarea = document.getElementById('oursTextarea');
+    for (const side of ['base', 'ours', 'theirs']) {
+        const textarea = document.getElementById(`${side}Textarea`);
+        if (!textarea) continue;
+        editors[side] = { textarea: textarea, select: mergeFileTypeSelect, typeSource: oursTextarea, highlighter: new EditorHighlighter(textarea), timer: null };
+    }
+    
+    /**
+     * Parses one textarea on its own and shows its diagnostics
+     */
+    const validateEditor = (editor) => {
+        clearTimeout(editor.timer);
+        const text = editor.textarea.value;
+        const typeText = editor.typeSource && editor.typeSource.value.trim() ? editor.typeSource.value : text;
+        const diagnostics = text.trim() ? validateConfig(text, resolveFileType(editor.select, typeText)) : [];
+        editor.highlighter.highlight(diagnostics);
+        
+        const status = editor.textarea.closest('.input-column').querySelector('.input-problems');
+        if (!status) return;
+        status.hidden = diagnostics.length === 0;
+        status.classList.toggle('has-errors', countDiagnostics(diagnostics).errors > 0);
+        status.textContent = '⚠ ' + describeProblems(diagnostics);
+        status.title = diagnostics.map(diagnostic => `Line ${diagnostic.line}: ${diagnostic.message}`).join('\n');
+    };
+    
+    for (const editor of Object.values(editors)) {
+        editor.textarea.addEventListener('input', () => {
+            // Editors read in the format of this one are validated again with it
+            for (const other of Object.values(editors)) {
+                if (other !== editor && other.typeSource !== editor.textarea) continue;
+                clearTimeout(other.timer);
+                other.timer = setTimeout(() => validateEditor(other), 300);
+            }
+        });
+        if (editor.select) editor.select.addEventListener('change', () => validateEditor(editor));
+        const status = editor.textarea.closest('.input-column').querySelector('.input-problems');
+        if (status) {
+            status.addEventListener('click', () => {
+                const [first] = editor.highlighter.diagnostics;
+                if (first) editor.highlighter.goTo(first.line, first.column);
+            });
+        }
+        validateEditor(editor);
+    }
+    
+    const resolvePlaceholdersCheckbox = document.getElementById('resolvePlaceholders');
+    const environmentTextarea = document.getElementById('environmentVars');
+    
+    /**
+     * Reads the NAME=value environment variable table used for placeholder expansion
+     */
+    const parseEnvironment = () => {
+        const environment = new Map();
+        if (!environmentTextarea) return environment;
+        for (const entry of new PropertyParser().parse(environmentTextarea.value)) {
+            if (entry.type === 'property') environment.set(entry.key, entry.value);
+        }
+        return environment;
+    };
+    
+    const maskSecretsCheckbox = document.getElementById('maskSecrets');
+    const secretPatternsInput = document.getElementById('secretPatterns');
+    
+    /**
+     * Reads the secret masking settings: false when disabled, otherwise the SecretMasker options
+     */
+    const maskingOptions = () => {
+        if (maskSecretsCheckbox && !maskSecretsCheckbox.checked) return false;
+        const patterns = (secretPatternsInput ? secretPatternsInput.value : '')
+            .split(',')
+            .map(pattern => pattern.trim())
+            .filter(pattern => pattern !== '');
+        return patterns.length > 0 ? { patterns: patterns } : true;
+    };
+    
+    const rulesPanel = document.getElementById('rulesPanel');
+    const ignoreRulesTextarea = document.getElementById('ignoreRules');
+    const includeRulesTextarea = document.getElementById('includeRules');
+    const normalizeRulesTextarea = document.getElementById('normalizeRules');
+    const rulesFileInput = document.getElementById('rulesFileInput');
+    const exportRulesBtn = document.getElementById('exportRulesBtn');
+    const RULES_STORAGE_KEY = 'configDiffer.rules';
+    
+    /**
+     * Reads the rules panel: one key pattern per line, and one "regex => replacement" value
+     * rewrite per line
+     */
+    const readRules = () => {
+        const lines = (textarea) => (textarea ? textarea.value : '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line !== '');
+        return {
+            ignore: lines(ignoreRulesTextarea),
+            include: lines(includeRulesTextarea),
+            normalize: lines(normalizeRulesTextarea).map(line => {
+                const arrow = line.indexOf(' => ');
+                return arrow < 0
+                    ? { pattern: line, replacement: '' }
+                    : { pattern: line.slice(0, arrow), replacement: line.slice(arrow + 4) };
+            })
+        };
+    };
+    
+    /**
+     * Fills the rules panel and shows the number of rules in its summary
+     */
+    const writeRules = (rules) => {
+        if (ignoreRulesTextarea) ignoreRulesTextarea.value = rules.ignore.join('\n');
+        if (includeRulesTextarea) includeRulesTextarea.value = rules.include.join('\n');
+        if (normalizeRulesTextarea) {
+            normalizeRulesTextarea.value = rules.normalize
+                .map(rule => rule.replacement !== '' ? `${rule.pattern} => ${rule.replacement}` : rule.pattern)
+                .join('\n');
+        }
+        updateRulesSummary(rules);
+    };
+    
+    const updateRulesSummary = (rules) => {
+        const summary = rulesPanel && rulesPanel.querySelector('summary');
+        if (!summary) return;
+        const count = rules.ignore.length + rules.include.length + rules.normalize.length;
+        summary.textContent = count > 0 ? `Ignore rules (${count})` : 'Ignore rules';
+    };
+    
+    /**
+     * Keeps the rules in localStorage; storage may be unavailable, e.g. in private windows
+     */
+    const saveRules = () => {
+        const rules = readRules();
+        updateRulesSummary(rules);
+        try {
+            localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules));
+        } catch (error) {
+            // Rules then only last for this page
+        }
+    };
+    
+    try {
+        const stored = localStorage.getItem(RULES_STORAGE_KEY);
+        if (stored) writeRules(normalizeRules(JSON.parse(stored)));
+    } catch (error) {
+        console.error('Config Differ: ignoring unreadable stored rules', error);
+    }
+    for (const textarea of [ignoreRulesTextarea, includeRulesTextarea, normalizeRulesTextarea]) {
+        if (textarea) textarea.addEventListener('input', saveRules);
+    }
+    if (rulesFileInput) {
+        rulesFileInput.addEventListener('change', async () => {
+            const file = rulesFileInput.files[0];
+            rulesFileInput.value = '';
+            if (!file) return;
+            try {
+                writeRules(parseRules(await file.text()));
+                saveRules();
+                if (rulesPanel) rulesPanel.open = true;
+                // Re-run an existing comparison like an edit of the rules does
+                if (ignoreRulesTextarea) ignoreRulesTextarea.dispatchEvent(new Event('change'));
+            } catch (error) {
+                alert('Error: ' + error.message);
+            }
+        });
+    }
+    if (exportRulesBtn) {
+        exportRulesBtn.addEventListener('click', () => {
+            downloadText('.configdiffrc', stringifyRules(readRules()), 'application/json');
+        });
+    }
+    
+    // Configuration metadata files ({ name, text }) that rows are checked against
+    const metadataFileInput = document.getElementById('metadataFileInput');
+    const clearMetadataBtn = document.getElementById('clearMetadataBtn');
+    const metadataSummary = document.getElementById('metadataSummary');
+    let metadataFiles = [];
+    
+    /**
+     * Shows how much metadata is loaded
+     */
+    const showMetadata = (propertyCount) => {
+        if (!metadataSummary) return;
+        metadataSummary.textContent = metadataFiles.length === 0
+            ? 'No metadata loaded'
+            : `${propertyCount} properties from ${metadataFiles.length} file${metadataFiles.length === 1 ? '' : 's'}`;
+        metadataSummary.title = metadataFiles.map(file => file.name).join('\n');
+    };
+    
+    if (metadataFileInput) {
+        metadataFileInput.addEventListener('change', async () => {
+            const picked = Array.from(metadataFileInput.files);
+            metadataFileInput.value = '';
+            try {
+                const added = [];
+                for (const file of picked) {
+                    if (!/\.jar$/i.test(file.name)) {
+                        added.push({ name: file.name, text: await file.text() });
+                        continue;
+                    }
+                    const entries = await readMetadataJar(await file.arrayBuffer(), inflateRaw, file.name);
+                    if (entries.length === 0) throw new Error(`${file.name}: no configuration metadata in META-INF`);
+                    added.push(...entries);
+                }
+                // Indexing checks every file before any is kept
+                const index = metadataIndex([...metadataFiles, ...added]);
+                metadataFiles = [...metadataFiles, ...added];
+                showMetadata(index.properties.size);
+                rerunComparison();
+            } catch (error) {
+                alert('Error: ' + error.message);
+                console.error('Detailed error:', error);
+            }
+        });
+    }
+    if (clearMetadataBtn) {
+        clearMetadataBtn.addEventListener('click', () => {
+            metadataFiles = [];
+            showMetadata(0);
+            rerunComparison();
+        });
+    }
+    
+    const profileViewSelect = document.getElementById('profileView');
+    const activeProfilesInput = document.getElementById('activeProfiles');
+    
+    // Override files stacked on top of each textarea, in the order they were added
+    const stacks = {
+        left: { layers: [], input: document.getElementById('leftStackFiles'), list: document.getElementById('leftStackList') },
+        right: { layers: [], input: document.getElementById('rightStackFiles'), list: document.getElementById('rightStackList') }
+    };
+    
+    /**
+     * Redraws the list of stacked files of one side with move and remove controls
+     */
+    const renderStackList = (stack) => {
+        if (!stack.list) return;
+        stack.list.innerHTML = '';
+        stack.layers.forEach((layer, index) => {
+            const item = document.createElement('li');
+            item.innerHTML =
+                `<span class="stack-name">${escapeHtml(layer.name)}</span>` +
+                `<span class="stack-type">${escapeHtml(configFormat(layer.fileType).label)}</span>` +
+                `<button type="button" class="stack-btn" data-action="up" title="Move up"${index === 0 ? ' disabled' : ''}>↑</button>` +
+                `<button type="button" class="stack-btn" data-action="down" title="Move down"${index === stack.layers.length - 1 ? ' disabled' : ''}>↓</button>` +
+                `<button type="button" class="stack-btn" data-action="remove" title="Remove">×</button>`;
+            item.addEventListener('click', (event) => {
+                const action = event.target.dataset && event.target.dataset.action;
+                if (!action) return;
+                const [layer] = stack.layers.splice(index, 1);
+                if (action === 'up') stack.layers.splice(index - 1, 0, layer);
+                if (action === 'down') stack.layers.splice(index + 1, 0, layer);
+                renderStackList(stack);
+            });
+            stack.list.appendChild(item);
+        });
+    };
+    
+    for (const stack of Object.values(stacks)) {
+        if (!stack.input) continue;
+        stack.input.addEventListener('change', async () => {
+            for (const file of Array.from(stack.input.files)) {
+                const text = await file.text();
+                stack.layers.push({ name: file.name, text: text, fileType: fileTypeFromName(file.name, text) });
+            }
+            stack.input.value = '';
+            renderStackList(stack);
+        });
+    }
+    
+    /**
+     * Collects the layers of one side: the textarea (when filled in) followed by the stacked files
+     */
+    const collectLayers = (text, fileType, stack) => {
+        const layers = [];
+        if (text.trim()) {
+            layers.push({ name: configFormat(fileType).fileName, text: text, fileType: fileType });
+        }
+        return layers.concat(stack.layers);
+    };
+    
+    /**
+     * Rebuilds the profile view options from the profiles found on both sides,
+     * keeping the current selection when it is still available
+     */
+    const updateProfileOptions = (profiles) => {
+        if (!profileViewSelect) return;
+        const selected = profileViewSelect.value;
+        const options = [
+            { value: 'resolved', label: 'Resolved for active profiles' },
+            { value: 'default', label: 'Document: (no profile)' },
+            ...profiles.map(profile => ({ value: `profile:${profile}`, label: `Document: ${profile}` }))
+        ];
+        profileViewSelect.innerHTML = '';
+        for (const option of options) {
+            const el = document.createElement('option');
+            el.value = option.value;
+            el.textContent = option.label;
+            profileViewSelect.appendChild(el);
+        }
+        profileViewSelect.value = options.some(option => option.value === selected) ? selected : 'resolved';
+    };
+    
+    const exportFormatSelect = document.getElementById('exportFormat');
+    const downloadExportBtn = document.getElementById('downloadExportBtn');
+    const copyExportBtn = document.getElementById('copyExportBtn');
+    const exporter = new DiffExporter();
+    const exportFiles = {
+        json: { extension: 'json', mimeType: 'application/json' },
+        patch: { extension: 'patch', mimeType: 'text/x-diff' },
+        markdown: { extension: 'md', mimeType: 'text/markdown' },
+        csv: { extension: 'csv', mimeType: 'text/csv' }
+    };
+    let lastResults = [];
+    
+    /**
+     * Exports the latest diff results in the selected format
+     */
+    const buildExport = () => {
+        const format = exportFormatSelect ? exportFormatSelect.value : 'json';
+        return {
+            format: format,
+            text: exporter.export(lastResults, format, { leftName: 'original', rightName: 'new' })
+        };
+    };
+    
+    if (downloadExportBtn) {
+        downloadExportBtn.addEventListener('click', () => {
+            const { format, text } = buildExport();
+            const file = exportFiles[format];
+            downloadText(`config-diff.${file.extension}`, text, file.mimeType);
+        });
+    }
+    
+    if (copyExportBtn) {
+        copyExportBtn.addEventListener('click', async () => {
+            try {
+                await copyText(buildExport().text);
+                flashButton(copyExportBtn, 'Copied!');
+            } catch (error) {
+                alert('Error: ' + error.message);
+            }
+        });
+    }
+    
+    const diffFileName = document.getElementById('diffFileName');
+    const granularitySelect = document.getElementById('granularity');
+    const cutoffInput = document.getElementById('cutoff');
+    const diffSummary = document.getElementById('diffSummary');
+    const changesOnlyCheckbox = document.getElementById('changesOnly');
+    const problemsPanel = document.getElementById('problemsPanel');
+    const hideEquivalentCheckbox = document.getElementById('hideEquivalent');
+    const prevChangeBtn = document.getElementById('prevChangeBtn');
+    const nextChangeBtn = document.getElementById('nextChangeBtn');
+    const changePosition = document.getElementById('changePosition');
+    const undoEditBtn = document.getElementById('undoEditBtn');
+    const redoEditBtn = document.getElementById('redoEditBtn');
+    const diffViewSelect = document.getElementById('diffView');
+    // One renderer for the page, so its scroll and resize listeners are registered only once
+    const renderer = new DiffRenderer();
+    renderer.changesOnly = changesOnlyCheckbox ? changesOnlyCheckbox.checked : false;
+    
+    // Rows of the diff on screen, before equivalent rows are hidden, their parser diagnostics
+    // and, per side, the layer name of the textarea the diagnostics can link to
+    let shownRows = [];
+    let shownDiagnostics = null;
+    let linkedSources = {};
+    
+    /**
+     * Renders diff rows with their summary and parser diagnostics; the diff container must
+     * already be visible so the renderer can find the rows in view
+     */
+    const showDiff = (rows, diagnostics = null) => {
+        shownRows = rows;
+        shownDiagnostics = diagnostics;
+        renderer.renderProblems(diagnostics, problemsPanel, linkedSources);
+        const hideEquivalent = hideEquivalentCheckbox && hideEquivalentCheckbox.checked;
+        renderer.render(hideEquivalent ? rows.filter(row => row.status !== 'equivalent') : rows, diffOutput);
+        renderer.renderSummary(rows, diffSummary);
+        if (changePosition) changePosition.textContent = '';
+        // Row edits only apply to the textareas
+        for (const control of [undoEditBtn, redoEditBtn]) {
+            if (control) control.hidden = !renderer.actions;
+        }
+    };
+    
+    /**
+     * Moves to the next or previous change and shows its position
+     */
+    const goToChange = (direction) => {
+        const current = renderer.goToChange(direction);
+        if (changePosition) {
+            changePosition.textContent = current ? `${current.position} of ${current.total}` : 'no changes';
+        }
+    };
+    
+    if (changesOnlyCheckbox) {
+        changesOnlyCheckbox.addEventListener('change', () => renderer.setChangesOnly(changesOnlyCheckbox.checked));
+    }
+    if (hideEquivalentCheckbox) {
+        hideEquivalentCheckbox.addEventListener('change', () => showDiff(shownRows, shownDiagnostics));
+    }
+    if (problemsPanel) {
+        // Problems found in a textarea jump to their line
+        const openProblem = (event) => {
+            const item = event.target.closest('li.problem.linked');
+            if (!item) return;
+            editors[item.dataset.side].highlighter.goTo(Number(item.dataset.line), Number(item.dataset.column));
+        };
+        problemsPanel.addEventListener('click', openProblem);
+        problemsPanel.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') openProblem(event);
+        });
+    }
+    if (diffViewSelect) {
+        renderer.view = diffViewSelect.value;
+        diffViewSelect.addEventListener('change', () => {
+            renderer.setView(diffViewSelect.value);
+            // Change navigation steps through table rows only
+            for (const control of [prevChangeBtn, nextChangeBtn, changePosition]) {
+                if (control) control.hidden = diffViewSelect.value !== 'table';
+            }
+            if (changePosition) changePosition.textContent = '';
+        });
+    }
+    if (prevChangeBtn) prevChangeBtn.addEventListener('click', () => goToChange(-1));
+    if (nextChangeBtn) nextChangeBtn.addEventListener('click', () => goToChange(1));
+    
+    // j / n and k / p step through the changes while no form field has the focus
+    document.addEventListener('keydown', (event) => {
+        if (event.ctrlKey || event.metaKey || event.altKey || diffContainer.style.display === 'none') return;
+        if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        if (event.key === 'j' || event.key === 'n') {
+            goToChange(1);
+        } else if (event.key === 'k' || event.key === 'p') {
+            goToChange(-1);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    });
+    
+    /**
+     * Reads the highlighting cutoff; an empty or invalid value falls back to the default
+     */
+    const readCutoff = () => {
+        const cutoff = cutoffInput ? Number(cutoffInput.value) : NaN;
+        return cutoffInput && cutoffInput.value !== '' && Number.isInteger(cutoff) && cutoff >= 0 ? cutoff : undefined;
+    };
+    
+    /**
+     * Reads the comparison settings shared by the textarea and folder comparisons
+     */
+    const compareOptions = () => ({
+        relaxedBinding: relaxedBindingCheckbox ? relaxedBindingCheckbox.checked : true,
+        detectRenames: detectRenamesCheckbox ? detectRenamesCheckbox.checked : true,
+        semantic: semanticCheckbox ? semanticCheckbox.checked : false,
+        comments: compareCommentsCheckbox ? compareCommentsCheckbox.checked : false,
+        metadata: metadataFiles.length > 0 ? metadataFiles : null,
+        rules: readRules(),
+        activeProfiles: (activeProfilesInput ? activeProfilesInput.value : '')
+            .split(',')
+            .map(profile => profile.trim())
+            .filter(profile => profile !== ''),
+        profileView: profileViewSelect ? profileViewSelect.value : 'resolved',
+        resolvePlaceholders: resolvePlaceholdersCheckbox ? resolvePlaceholdersCheckbox.checked : false,
+        environment: parseEnvironment(),
+        maskSecrets: maskingOptions(),
+        granularity: granularitySelect ? granularitySelect.value : 'char',
+        cutoff: readCutoff()
+    });
+    
+    const diffWorker = new DiffWorkerClient();
+    // Only the latest comparison may render; earlier ones still running are dropped
+    let comparisonId = 0;
+    let runningComparisons = 0;
+    
+    /**
+     * Marks the compare button busy while a comparison runs in the worker
+     */
+    const setBusy = (busy) => {
+        compareBtn.classList.toggle('busy', busy);
+        compareBtn.setAttribute('aria-busy', String(busy));
+        compareBtn.textContent = busy ? 'Comparing…' : 'Compare';
+    };
+    
+    // ---- Folder comparison ----
+    
+    const fileListContainer = document.getElementById('fileListContainer');
+    const fileList = document.getElementById('fileList');
+    const fileListSummary = document.getElementById('fileListSummary');
+    const trees = {
+        left: {
+            files: [],
+            dropZone: document.getElementById('leftDropZone'),
+            folderInput: document.getElementById('leftFolderInput'),
+            zipInput: document.getElementById('leftZipInput'),
+            summary: document.getElementById('leftTreeSummary')
+        },
+        right: {
+            files: [],
+            dropZone: document.getElementById('rightDropZone'),
+            folderInput: document.getElementById('rightFolderInput'),
+            zipInput: document.getElementById('rightZipInput'),
+            summary: document.getElementById('rightTreeSummary')
+        }
+    };
+    let fileResults = [];
+    let selectedFile = null;
+    let currentMode = 'compare';
+    
+    /**
+     * Loads the config files of one side from picked or dropped files ({ name, file }):
+     * a single zip archive is unpacked, otherwise the config files among them are read
+     */
+    const loadTree = async (tree, items, label) => {
+        try {
+            let files;
+            if (items.length === 1 && /\.zip$/i.test(items[0].name)) {
+                files = await readConfigZip(await items[0].file.arrayBuffer(), inflateRaw);
+            } else {
+                files = [];
+                for (const item of items.filter(item => isConfigFile(item.name))) {
+                    files.push({ name: item.name, text: await item.file.text() });
+                }
+                files = stripCommonRoot(files);
+            }
+            tree.files = files;
+            if (tree.summary) {
+                tree.summary.textContent = `${files.length} config file${files.length === 1 ? '' : 's'} from ${label}`;
+            }
+        } catch (error) {
+            alert('Error: ' + error.message);
+            console.error('Detailed error:', error);
+        }
+    };
+    
+    for (const tree of Object.values(trees)) {
+        if (tree.folderInput) {
+            tree.folderInput.addEventListener('change', async () => {
+                const items = Array.from(tree.folderInput.files)
+                    .map(file => ({ name: file.webkitRelativePath || file.name, file: file }));
+                const root = items.length > 0 ? items[0].name.split('/')[0] : '';
+                await loadTree(tree, items, root || 'folder');
+                tree.folderInput.value = '';
+            });
+        }
+        if (tree.zipInput) {
+            tree.zipInput.addEventListener('change', async () => {
+                const file = tree.zipInput.files[0];
+                if (file) await loadTree(tree, [{ name: file.name, file: file }], file.name);
+                tree.zipInput.value = '';
+            });
+        }
+        if (tree.dropZone) {
+            tree.dropZone.addEventListener('dragover', (event) => {
+                event.preventDefault();
+                tree.dropZone.classList.add('drag-over');
+            });
+            tree.dropZone.addEventListener('dragleave', () => tree.dropZone.classList.remove('drag-over'));
+            tree.dropZone.addEventListener('drop', async (event) => {
+                event.preventDefault();
+                tree.dropZone.classList.remove('drag-over');
+                const items = await readDroppedFiles(event.dataTransfer);
+                const root = items.length > 0 && items[0].name.includes('/') ? items[0].name.split('/')[0] : '';
+                await loadTree(tree, items, root || (items.length === 1 ? items[0].name : 'dropped files'));
+            });
+        }
+    }
+    
+    /**
+     * Opens the diff of one file of the folder comparison
+     */
+    const openFile = (name) => {
+        const result = fileResults.find(item => item.name === name);
+        if (!result) return;
+        selectedFile = name;
+        lastResults = result.rows.map(row => ({ ...row, file: name }));
+        if (diffFileName) diffFileName.textContent = name;
+        for (const row of fileList.querySelectorAll('tr[data-name]')) {
+            row.classList.toggle('selected', row.dataset.name === name);
+        }
+        diffContainer.style.display = 'block';
+        linkedSources = {};
+        renderer.actions = null;
+        renderer.reset();
+        showDiff(result.rows, result.diagnostics);
+        diffContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    };
+    
+    /**
+     * Compares the two loaded trees file by file and lists the results
+     */
+    const compareFolders = async () => {
+        if (trees.left.files.length === 0 && trees.right.files.length === 0) {
+            alert('Please choose a folder or zip file on both sides');
+            return;
+        }
+        
+        const run = ++comparisonId;
+        const results = await diffWorker.run('compareFileSets', trees.left.files, trees.right.files, compareOptions());
+        if (run !== comparisonId) return;
+        fileResults = results;
+        updateProfileOptions([...new Set(fileResults.flatMap(result => result.profiles))].sort());
+        renderer.renderFileList(fileResults, fileList);
+        
+        if (fileListSummary) {
+            const counts = new DiffExporter().summarize(fileResults);
+            fileListSummary.textContent = `${fileResults.length} files: ${counts.modified} changed, ` +
+                `${counts.added} added, ${counts.removed} removed, ${counts.unchanged} unchanged`;
+        }
+        fileListContainer.style.display = 'block';
+        
+        if (fileResults.some(result => result.name === selectedFile)) {
+            openFile(selectedFile);
+        } else {
+            selectedFile = null;
+            diffContainer.style.display = 'none';
+            fileListContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    };
+    
+    if (fileList) {
+        fileList.addEventListener('click', (event) => {
+            const row = event.target.closest('tr[data-name]');
+            if (row) openFile(row.dataset.name);
+        });
+    }
+    
+    // Values of each side's keys when Compare was last pressed, which row edits revert to
+    let baseline = { left: new Map(), right: new Map() };
+    // Pending live comparison while the textareas are edited
+    let liveTimer = null;
+    
+    /**
+     * Compares the textareas and their file stacks. A live comparison, run while the texts are
+     * edited, keeps the revert baseline and the scroll position and skips empty inputs quietly.
+     */
+    const compareTexts = async (live = false) => {
+        // Get input values
+        if (!live) clearTimeout(liveTimer);
+        const leftText = leftTextarea.value;
+        const rightText = rightTextarea.value;
+        
+        // Validate inputs
+        if ((!leftText.trim() && stacks.left.layers.length === 0) || (!rightText.trim() && stacks.right.layers.length === 0)) {
+            if (!live) alert('Please enter content in both textareas');
+            return;
+        }
+        
+        // Parse each side according to its own file type and merge its file stack
+        const leftLayers = collectLayers(leftText, resolveFileType(leftFileTypeSelect, leftText), stacks.left);
+        const rightLayers = collectLayers(rightText, resolveFileType(rightFileTypeSelect, rightText), stacks.right);
+        
+        // Generate diff in the worker
+        const run = ++comparisonId;
+        const { rows: diffResults, profiles, diagnostics } = await diffWorker.run('compareConfigs', leftLayers, rightLayers, compareOptions());
+        if (run !== comparisonId) return;
+        // Only the textarea layer (the first one when filled in) can be opened from the problems panel
+        linkedSources = {
+            left: leftText.trim() ? leftLayers[0].name : null,
+            right: rightText.trim() ? rightLayers[0].name : null
+        };
+        updateProfileOptions(profiles);
+        lastResults = diffResults;
+        
+        // Live recomputes keep the unfolded runs and revealed secrets of a comparison
+        if (!live) renderer.reset();
+        
+        // Masked rows are reverted to their real values
+        if (!live) {
+            baseline = { left: new Map(), right: new Map() };
+            for (const row of diffResults) {
+                const values = row.masked ? { ...row, ...row.secret } : row;
+                if (values.leftValue !== undefined) baseline.left.set(row.oldKey || row.key, values.leftValue);
+                if (values.rightValue !== undefined) baseline.right.set(row.key, values.rightValue);
+            }
+        }
+        // Rows can be edited on the sides whose textarea holds a format that can be written
+        const editable = (side, layers) => Boolean(linkedSources[side]) && typeof configFormat(layers[0].fileType).parser().setValue === 'function';
+        renderer.actions = {
+            editable: { left: editable('left', leftLayers), right: editable('right', rightLayers) },
+            sources: linkedSources,
+            baseline: baseline
+        };
+        
+        // Render diff
+        if (diffFileName) diffFileName.textContent = '';
+        
+        // Show diff container
+        diffContainer.style.display = 'block';
+        showDiff(diffResults, diagnostics);
+        
+        // Scroll to results
+        if (!live) diffContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    };
+    
+    compareBtn.addEventListener('click', async () => {
+        runningComparisons++;
+        setBusy(true);
+        try {
+            await (currentMode === 'folders' ? compareFolders() : compareTexts());
+        } catch (error) {
+            alert('Error: ' + error.message);
+            console.error('Detailed error:', error);
+        } finally {
+            runningComparisons--;
+            if (runningComparisons === 0) setBusy(false);
+        }
+    });
+    
+    // ---- Row edits ----
+    
+    // Texts of both textareas before each row edit, for undo, and before each undo, for redo
+    const history = { undo: [], redo: [] };
+    
+    /**
+     * Compares the textareas again while their results are showing, after a pause in typing
+     * when a delay is given
+     */
+    const recompute = (delay = 0) => {
+        clearTimeout(liveTimer);
+        if (currentMode !== 'compare' || diffContainer.style.display === 'none') return;
+        liveTimer = setTimeout(() => {
+            compareTexts(true).catch(error => console.error('Detailed error:', error));
+        }, delay);
+    };
+    
+    /**
+     * Puts edited texts into the textareas, validates them and compares them again
+     */
+    const setTexts = (texts) => {
+        leftTextarea.value = texts.left;
+        rightTextarea.value = texts.right;
+        validateEditor(editors.left);
+        validateEditor(editors.right);
+        if (undoEditBtn) undoEditBtn.disabled = history.undo.length === 0;
+        if (redoEditBtn) redoEditBtn.disabled = history.redo.length === 0;
+        recompute();
+    };
+    
+    /**
+     * Applies a row's copy or revert action to the textarea texts through editConfig
+     */
+    const applyEdit = (row, action) => {
+        const values = row.masked ? { ...row, ...row.secret } : row;
+        const keys = { left: row.oldKey || row.key, right: row.key };
+        const options = compareOptions();
+        const sides = {
+            left: { text: leftTextarea.value, select: leftFileTypeSelect, stack: stacks.left },
+            right: { text: rightTextarea.value, select: rightFileTypeSelect, stack: stacks.right }
+        };
+        for (const side of Object.values(sides)) {
+            side.fileType = resolveFileType(side.select, side.text);
+            side.activeProfiles = new ConfigStack().activeProfiles(collectLayers(side.text, side.fileType, side.stack), options.activeProfiles);
+        }
+        const edit = (side, key, value, comments = []) => {
+            const target = sides[side];
+            target.text = editConfig(target.text, target.fileType, key, value, {
+                activeProfiles: target.activeProfiles,
+                profileView: options.profileView,
+                comments: comments
+            });
+        };
+        
+        if (action === 'revert') {
+            for (const side of ['left', 'right']) {
+                for (const key of new Set([keys.left, keys.right])) {
+                    const current = key === keys[side] ? values[`${side}Value`] : undefined;
+                    if (baseline[side].get(key) !== current) edit(side, key, baseline[side].get(key));
+                }
+            }
+        } else {
+            const [from, to] = action === 'copy-right' ? ['left', 'right'] : ['right', 'left'];
+            // Masked comment lines are left out rather than written
+            const comments = (values[`${from}Comments`] || []).filter(line => !line.includes(SecretMasker.MASK));
+            if (keys[to] !== keys[from]) edit(to, keys[to], undefined);
+            edit(to, keys[from], convertValue(values[`${from}Value`], row[`${from}FileType`], sides[to].fileType), comments);
+        }
+        history.undo.push({ left: leftTextarea.value, right: rightTextarea.value });
+        history.redo = [];
+        setTexts({ left: sides.left.text, right: sides.right.text });
+    };
+    
+    /**
+     * Steps back or forward through the row edits
+     */
+    const stepHistory = (from, to) => {
+        if (!renderer.actions || from.length === 0) return;
+        to.push({ left: leftTextarea.value, right: rightTextarea.value });
+        setTexts(from.pop());
+    };
+    const undoEdit = () => stepHistory(history.undo, history.redo);
+    const redoEdit = () => stepHistory(history.redo, history.undo);
+    
+    diffOutput.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-edit]');
+        if (!button) return;
+        try {
+            applyEdit(renderer.rows[Number(button.closest('tr').dataset.index)], button.dataset.edit);
+        } catch (error) {
+            alert('Error: ' + error.message);
+            console.error('Detailed error:', error);
+        }
+    });
+    if (undoEditBtn) undoEditBtn.addEventListener('click', undoEdit);
+    if (redoEditBtn) redoEditBtn.addEventListener('click', redoEdit);
+    
+    // Ctrl+Z and Ctrl+Shift+Z (or Ctrl+Y) step through row edits while no form field has the
+    // focus; in the textareas they keep undoing typing
+    document.addEventListener('keydown', (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey || diffContainer.style.display === 'none') return;
+        if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            undoEdit();
+        } else if (key === 'z' || key === 'y') {
+            redoEdit();
+        } else {
+            return;
+        }
+        event.preventDefault();
+    });
+    
+    // Typing in either textarea, or changing its format, compares again while results are showing
+    for (const editor of [editors.left, editors.right]) {
+        editor.textarea.addEventListener('input', () => recompute(300));
+        if (editor.select) editor.select.addEventListener('change', () => recompute());
+    }
+    
+    // ---- Snapshots ----
+    
+    const snapshotsPanel = document.getElementById('snapshotsPanel');
+    const snapshotNameInput = document.getElementById('snapshotName');
+    const saveLeftSnapshotBtn = document.getElementById('saveLeftSnapshotBtn');
+    const saveRightSnapshotBtn = document.getElementById('saveRightSnapshotBtn');
+    const snapshotList = document.getElementById('snapshotList');
+    const timelineKeyInput = document.getElementById('timelineKey');
+    const timelineBtn = document.getElementById('timelineBtn');
+    const keyTimelineOutput = document.getElementById('keyTimeline');
+    const snapshotStore = new SnapshotStore();
+    // Saved snapshots, oldest first
+    let snapshots = [];
+    
+    /**
+     * Reads the saved snapshots again and lists them
+     */
+    const refreshSnapshots = async () => {
+        snapshots = await snapshotStore.list();
+        renderer.renderSnapshotList(snapshots, snapshotList);
+        const summary = snapshotsPanel.querySelector('summary');
+        if (summary) summary.textContent = snapshots.length > 0 ? `Snapshots (${snapshots.length})` : 'Snapshots';
+    };
+    
+    /**
+     * Saves one textarea as a snapshot, named after the side and the time unless a name is given
+     */
+    const saveSnapshot = async (side) => {
+        const editor = editors[side];
+        const text = editor.textarea.value;
+        if (!text.trim()) {
+            alert('Please enter content to save');
+            return;
+        }
+        const savedAt = new Date();
+        const name = snapshotNameInput.value.trim() || `${side === 'left' ? 'original' : 'new'} ${savedAt.toLocaleString()}`;
+        await snapshotStore.save({ name: name, savedAt: savedAt.toISOString(), text: text, fileType: resolveFileType(editor.select, text) });
+        snapshotNameInput.value = '';
+        await refreshSnapshots();
+    };
+    
+    /**
+     * Puts a snapshot into one textarea in its saved format; an existing comparison follows it
+     */
+    const loadSnapshot = (snapshot, side) => {
+        const editor = editors[side];
+        editor.textarea.value = snapshot.text;
+        if (editor.select) editor.select.value = snapshot.fileType;
+        editor.textarea.dispatchEvent(new Event('input'));
+    };
+    
+    /**
+     * Shows how the entered key changed across the snapshots, resolved with the compare settings
+     */
+    const showTimeline = () => {
+        const key = timelineKeyInput.value.trim();
+        if (!key) {
+            alert('Please enter a key');
+            return;
+        }
+        renderer.renderTimeline(keyTimeline(snapshots, key, compareOptions()), keyTimelineOutput);
+    };
+    
+    if (snapshotsPanel && snapshotList) {
+        for (const [button, side] of [[saveLeftSnapshotBtn, 'left'], [saveRightSnapshotBtn, 'right']]) {
+            if (!button) continue;
+            button.addEventListener('click', async () => {
+                try {
+                    await saveSnapshot(side);
+                    flashButton(button, 'Saved!');
+                } catch (error) {
+                    alert('Error: ' + error.message);
+                    console.error('Detailed error:', error);
+                }
+            });
+        }
+        snapshotList.addEventListener('click', async (event) => {
+            const button = event.target.closest('button');
+            const row = button && button.closest('tr[data-id]');
+            const snapshot = row && snapshots.find(item => String(item.id) === row.dataset.id);
+            if (!snapshot) return;
+            try {
+                if (button.dataset.load) {
+                    loadSnapshot(snapshot, button.dataset.load);
+                } else if (button.dataset.delete && confirm(`Delete the snapshot "${snapshot.name}"?`)) {
+                    await snapshotStore.remove(snapshot.id);
+                    await refreshSnapshots();
+                }
+            } catch (error) {
+                alert('Error: ' + error.message);
+                console.error('Detailed error:', error);
+            }
+        });
+        if (timelineBtn) timelineBtn.addEventListener('click', showTimeline);
+        if (timelineKeyInput) {
+            timelineKeyInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') showTimeline();
+            });
+        }
+        refreshSnapshots().catch(error => {
+            snapshotList.innerHTML = `<p>${escapeHtml(error.message)}</p>`;
+            console.error('Config Differ: snapshots are unavailable', error);
+        });
+    }
+    
+    // ---- Normalize mode ----
+    
+    const normalizeBtn = document.getElementById('normalizeBtn');
+    const normalizeContainer = document.getElementById('normalizeContainer');
+    const normalizeTargetSelect = document.getElementById('normalizeTarget');
+    const normalizeIndentSelect = document.getElementById('normalizeIndent');
+    const normalizeSeparatorSelect = document.getElementById('normalizeSeparator');
+    const normalizeCommentsCheckbox = document.getElementById('normalizeComments');
+    const normalizer = new ConfigNormalizer();
+    const normalized = {
+        left: { output: document.getElementById('leftNormalized'), status: document.getElementById('leftNormalizeStatus'), name: 'original', fileType: 'properties' },
+        right: { output: document.getElementById('rightNormalized'), status: document.getElementById('rightNormalizeStatus'), name: 'new', fileType: 'properties' }
+    };
+    
+    /**
+     * Shows the panels of the selected mode and hides the others
+     */
+    const switchMode = (mode) => {
+        for (const tab of document.querySelectorAll('.mode-tab')) {
+            const active = tab.dataset.mode === mode;
+            tab.classList.toggle('active', active);
+            tab.setAttribute('aria-selected', String(active));
+        }
+        for (const panel of document.querySelectorAll('[data-mode-panel]')) {
+            panel.hidden = !panel.dataset.modePanel.split(' ').includes(mode);
+        }
+        // The diff view is shared by textarea and folder comparisons, so results of one are not left showing in the other
+        if (mode !== currentMode) {
+            diffContainer.style.display = 'none';
+        }
+        currentMode = mode;
+    };
+    
+    for (const tab of document.querySelectorAll('.mode-tab')) {
+        tab.addEventListener('click', () => switchMode(tab.dataset.mode));
+    }
+    
+    if (normalizeBtn && normalizeContainer) {
+        normalizeBtn.addEventListener('click', () => {
+            try {
+                const sides = [
+                    { text: leftTextarea.value, select: leftFileTypeSelect, target: normalized.left },
+                    { text: rightTextarea.value, select: rightFileTypeSelect, target: normalized.right }
+                ];
+                for (const side of sides) {
+                    const fileType = resolveFileType(side.select, side.text);
+                    const targetType = normalizeTargetSelect && normalizeTargetSelect.value !== 'same' ? normalizeTargetSelect.value : configFormat(fileType).outputType;
+                    side.target.fileType = targetType;
+                    if (!side.target.output) continue;
+                    side.target.output.value = side.text.trim()
+                        ? normalizer.normalize(side.text, fileType, {
+                            targetType: targetType,
+                            indentWidth: normalizeIndentSelect ? Number(normalizeIndentSelect.value) : 2,
+                            separator: normalizeSeparatorSelect ? normalizeSeparatorSelect.value : '',
+                            comments: normalizeCommentsCheckbox ? normalizeCommentsCheckbox.checked : true
+                        })
+                        : '';
+                    // Keys the conversion had to leave out
+                    if (side.target.status) {
+                        const messages = side.text.trim() ? normalizer.diagnostics.map(diagnostic => diagnostic.message) : [];
+                        side.target.status.hidden = messages.length === 0;
+                        side.target.status.textContent = messages.map(message => `⚠ ${message}`).join('\n');
+                    }
+                }
+                normalizeContainer.style.display = 'grid';
+                normalizeContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            } catch (error) {
+                alert('Error: ' + error.message);
+                console.error('Detailed error:', error);
+            }
+        });
+        
+        normalizeContainer.addEventListener('click', async (event) => {
+            const button = event.target.closest('button[data-side]');
+            if (!button) return;
+            const side = normalized[button.dataset.side];
+            const text = side.output ? side.output.value : '';
+            if (button.dataset.action === 'download') {
+                downloadText(`${side.name}.normalized.${side.fileType === 'yaml' ? 'yml' : 'properties'}`, text);
+            } else {
+                try {
+                    await copyText(text);
+                    flashButton(button, 'Copied!');
+                } catch (error) {
+                    alert('Error: ' + error.message);
+                }
+            }
+        });
+    }
+    
+    // ---- Merge mode ----
+    
+    const mergeBtn = document.getElementById('mergeBtn');
+    const mergeContainer = document.getElementById('mergeContainer');
+    const mergeSummary = document.getElementById('mergeSummary');
+    const mergeOutput = document.getElementById('mergeOutput');
+    const mergeChangesOnlyCheckbox = document.getElementById('mergeChangesOnly');
+    const mergeIncomplete = document.getElementById('mergeIncomplete');
+    const mergeStatus = document.getElementById('mergeStatus');
+    const mergedOutput = document.getElementById('mergedOutput');
+    const downloadMergeBtn = document.getElementById('downloadMergeBtn');
+    const copyMergeBtn = document.getElementById('copyMergeBtn');
+    const merger = new ConfigMerger();
+    const mergeRenderer = new MergeRenderer();
+    // The texts and file type of the last merge with its rows, updated as conflicts are resolved
+    let merge = null;
+    
+    /**
+     * Renders the merge rows and writes the merged config once every conflict is resolved
+     */
+    const showMerge = () => {
+        mergeRenderer.render(merge.rows, merge.documents, mergeOutput, mergeChangesOnlyCheckbox ? mergeChangesOnlyCheckbox.checked : true);
+        mergeRenderer.renderSummary(merge.rows, mergeSummary);
+        
+        if (mergeIncomplete) {
+            const broken = [['base', 'Base'], ['ours', 'Ours'], ['theirs', 'Theirs']]
+                .filter(([side]) => countDiagnostics(merge.diagnostics[side]).errors > 0)
+                .map(([, label]) => label);
+            mergeIncomplete.hidden = broken.length === 0;
+            mergeIncomplete.textContent = `⚠ The merge may be incomplete: lines with errors in ${broken.join(', ')} were skipped or read as plain text.`;
+        }
+        
+        const unresolved = merge.rows.filter(row => row.status === 'conflict' && !row.resolution).length;
+        // A merged YAML value that would need an anchor or alias rewritten cannot be written
+        let merged = '';
+        let failure = null;
+        if (unresolved === 0) {
+            try {
+                merged = merger.write(merge.texts, merge.fileType, merge.rows);
+            } catch (error) {
+                failure = error;
+                console.error('Detailed error:', error);
+            }
+        }
+        if (mergedOutput) mergedOutput.value = merged;
+        if (mergeStatus) {
+            mergeStatus.hidden = unresolved === 0 && !failure;
+            mergeStatus.textContent = failure
+                ? failure.message
+                : `Resolve the ${unresolved} remaining conflict${unresolved === 1 ? '' : 's'} above to write the merged config.`;
+        }
+        for (const button of [downloadMergeBtn, copyMergeBtn]) {
+            if (button) button.disabled = unresolved > 0 || failure !== null;
+        }
+    };
+    
+    if (mergeBtn && mergeContainer) {
+        mergeBtn.addEventListener('click', () => {
+            try {
+                const texts = {};
+                for (const side of ['base', 'ours', 'theirs']) {
+                    texts[side] = editors[side] ? editors[side].textarea.value : '';
+                }
+                // An empty base is a file both sides added
+                if (!texts.ours.trim() || !texts.theirs.trim()) {
+                    alert('Please enter content in the Ours and Theirs textareas');
+                    return;
+                }
+                const fileType = resolveFileType(mergeFileTypeSelect, texts.ours);
+                merge = { texts: texts, fileType: fileType, ...mergeConfigs(texts, fileType) };
+                mergeContainer.style.display = 'block';
+                showMerge();
+                mergeContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            } catch (error) {
+                alert('Error: ' + error.message);
+                console.error('Detailed error:', error);
+            }
+        });
+        
+        if (mergeChangesOnlyCheckbox) {
+            mergeChangesOnlyCheckbox.addEventListener('change', () => {
+                if (merge) showMerge();
+            });
+        }
+        
+        mergeOutput.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            const tableRow = button && button.closest('tr[data-index]');
+            if (!tableRow) return;
+            const index = Number(tableRow.dataset.index);
+            const row = merge.rows[index];
+            if (button.dataset.action !== 'edit') {
+                // A conflicting list is taken from one side as a whole
+                merge.rows = merge.rows.map((other, otherIndex) => {
+                    const sameList = row.list != null && other.list === row.list && other.document === row.document;
+                    return otherIndex === index || sameList ? merger.resolve(other, button.dataset.action) : other;
+                });
+                showMerge();
+                return;
+            }
+            
+            // Enter or leaving the field saves the edited value, Escape keeps the previous one
+            const editor = mergeRenderer.renderEditor(tableRow, row);
+            let finished = false;
+            const finish = (save) => {
+                if (finished) return;
+                finished = true;
+                if (save) merge.rows[index] = merger.resolve(row, 'edit', editor.value);
+                showMerge();
+            };
+            editor.addEventListener('keydown', (keyEvent) => {
+                if (keyEvent.key === 'Enter' && !keyEvent.shiftKey) {
+                    keyEvent.preventDefault();
+                    finish(true);
+                } else if (keyEvent.key === 'Escape') {
+                    finish(false);
+                }
+            });
+            editor.addEventListener('blur', () => finish(true));
+        });
+        
+        if (downloadMergeBtn) {
+            downloadMergeBtn.addEventListener('click', () => {
+                downloadText(`merged.${merge.fileType === 'yaml' ? 'yml' : 'properties'}`, mergedOutput.value);
+            });
+        }
+        if (copyMergeBtn) {
+            copyMergeBtn.addEventListener('click', async () => {
+                try {
+                    await copyText(mergedOutput.value);
+                    flashButton(copyMergeBtn, 'Copied!');
+                } catch (error) {
+                    alert('Error: ' + error.message);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Runs the comparison again when its results are showing
+     */
+    const rerunComparison = () => {
+        const results = currentMode === 'folders' ? fileListContainer : diffContainer;
+        if (results && results.style.display !== 'none') compareBtn.click();
+    };
+    
+    // Switching the profile view, placeholder, masking, rename, semantic, comment, rule or highlighting settings re-runs an existing comparison
+    for (const control of [profileViewSelect, activeProfilesInput, resolvePlaceholdersCheckbox, environmentTextarea, maskSecretsCheckbox, secretPatternsInput, detectRenamesCheckbox, semanticCheckbox, compareCommentsCheckbox, ignoreRulesTextarea, includeRulesTextarea, normalizeRulesTextarea, granularitySelect, cutoffInput]) {
+        if (!control) continue;
+        control.addEventListener('change', rerunComparison);
+    }
 });
@@ -0,0 +1,681 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const {
+    PropertyParser,
+    CONFIG_FORMATS,
+    DiffExporter,
+    diffSequences,
+    fileTypeFromName,
+    compareConfigs,
+    countDiagnostics,
+    matchFiles,
+    isConfigFile,
+    readConfigZip,
+    metadataIndex,
+    readMetadataJar,
+    parseRules
+} = require('../core.js');
+
+const VERSION = require('../package.json').version;
+
+const USAGE = `Usage: config-differ [options] <left> <right>
+
+Compares two Spring Boot config files (.properties, .yml, .json, .toml, .env or
+Kubernetes ConfigMap/Secret manifests) or two directories or zip archives of
+them. Exits with 0 when they are equivalent, 1 when differences were found and
+2 on errors.
+
+Options:
+  -f, --format <style>     unified (default) or side-by-side
+  -o, --output <format>    text (default), json, patch, markdown or csv
+  -t, --type <type>        auto (default), properties, yaml, json, toml, dotenv or
+                           configmap, for both sides
+      --left-type <type>   file type of the left side only
+      --right-type <type>  file type of the right side only
+  -p, --profiles <list>    comma-separated active profiles
+  -d, --document <name>    compare only the document of one profile ("default"
+                           selects the documents without a profile)
+  -s, --stack              merge all files of a directory into one effective
+                           config instead of comparing them file by file
+  -g, --granularity <unit> highlight changes by char (default), word or token
+      --cutoff <edits>     highlight whole values that need more edits than this
+                           (default 1000)
+  -r, --resolve            expand \${...} placeholders before comparing
+  -e, --env <file>         NAME=value file of environment variables for --resolve
+      --rules <file>       ignore, include and normalize rules (.configdiffrc JSON);
+                           defaults to .configdiffrc in the current directory
+      --no-rules           ignore any .configdiffrc file
+      --strict-keys        match keys exactly instead of using relaxed binding
+      --no-renames         report renamed keys as removed and added keys
+      --semantic           compare values the way Spring Boot converts them;
+                           values that only differ in spelling are equivalent
+      --hide-equivalent    leave out equivalent values (with --semantic)
+      --comments           also compare the comments above each key and note
+                           properties that are commented out on the other side
+      --metadata <file>    spring-configuration-metadata.json or a jar carrying it;
+                           repeatable. Notes unknown and deprecated keys and values
+                           of the wrong type
+      --show-secrets       print passwords, tokens and other secrets unmasked
+      --secret-pattern <re>
+                           regular expression for secret keys; repeatable,
+                           replaces the default patterns
+  -a, --all                also print unchanged keys
+  -q, --quiet              print nothing, only set the exit code
+      --color, --no-color  force or disable colored output
+  -h, --help               show this help
+  -v, --version            show the version`;
+
+const COLORS = {
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    cyan: '\x1b[36m',
+    dim: '\x1b[2m',
+    bold: '\x1b[1m',
+    inverse: '\x1b[7m',
+    reset: '\x1b[0m'
+};
+
+// ==================== ARGUMENT PARSING ====================
+
+/**
+ * Parses command-line arguments into options and positional paths
+ */
+function parseArgs(argv) {
+    const options = {
+        format: 'unified',
+        output: 'text',
+        leftType: 'auto',
+        rightType: 'auto',
+        profiles: [],
+        document: null,
+        stack: false,
+        resolve: false,
+        env: null,
+        rules: undefined,
+        granularity: 'char',
+        cutoff: undefined,
+        relaxedBinding: true,
+        detectRenames: true,
+        semantic: false,
+        hideEquivalent: false,
+        comments: false,
+        metadata: [],
+        maskSecrets: true,
+        secretPatterns: [],
+        all: false,
+        quiet: false,
+        color: process.stdout.isTTY && !process.env.NO_COLOR,
+        paths: []
+    };
+
+    const takeValue = (index, name) => {
+        if (index + 1 >= argv.length) {
+            throw new Error(`Option ${name} requires a value`);
+        }
+        return argv[index + 1];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-f':
+            case '--format':
+                options.format = takeValue(i++, arg);
+                if (!['unified', 'side-by-side'].includes(options.format)) {
+                    throw new Error(`Unknown format: ${options.format}`);
+                }
+                break;
+            case '-o':
+            case '--output':
+                options.output = takeValue(i++, arg);
+                if (!['text', 'json', 'patch', 'markdown', 'csv'].includes(options.output)) {
+                    throw new Error(`Unknown output format: ${options.output}`);
+                }
+                break;
+            case '-t':
+            case '--type':
+                options.leftType = options.rightType = takeValue(i++, arg);
+                break;
+            case '--left-type':
+                options.leftType = takeValue(i++, arg);
+                break;
+            case '--right-type':
+                options.rightType = takeValue(i++, arg);
+                break;
+            case '-p':
+            case '--profiles':
+                options.profiles = takeValue(i++, arg).split(',').map(profile => profile.trim()).filter(Boolean);
+                break;
+            case '-d':
+            case '--document':
+                options.document = takeValue(i++, arg);
+                break;
+            case '-s':
+            case '--stack':
+                options.stack = true;
+                break;
+            case '-g':
+            case '--granularity':
+                options.granularity = takeValue(i++, arg);
+                if (!['char', 'word', 'token'].includes(options.granularity)) {
+                    throw new Error(`Unknown granularity: ${options.granularity}`);
+                }
+                break;
+            case '--cutoff':
+                options.cutoff = Number(takeValue(i++, arg));
+                if (!Number.isInteger(options.cutoff) || options.cutoff < 0) {
+                    throw new Error('Option --cutoff requires a non-negative number');
+                }
+                break;
+            case '-r':
+            case '--resolve':
+                options.resolve = true;
+                break;
+            case '-e':
+            case '--env':
+                options.env = takeValue(i++, arg);
+                break;
+            case '--rules':
+                options.rules = takeValue(i++, arg);
+                break;
+            case '--no-rules':
+                options.rules = null;
+                break;
+            case '--strict-keys':
+                options.relaxedBinding = false;
+                break;
+            case '--no-renames':
+                options.detectRenames = false;
+                break;
+            case '--semantic':
+                options.semantic = true;
+                break;
+            case '--hide-equivalent':
+                options.hideEquivalent = true;
+                break;
+            case '--comments':
+                options.comments = true;
+                break;
+            case '--metadata':
+                options.metadata.push(takeValue(i++, arg));
+                break;
+            case '--show-secrets':
+                options.maskSecrets = false;
+                break;
+            case '--secret-pattern':
+                options.secretPatterns.push(takeValue(i++, arg));
+                break;
+            case '-a':
+            case '--all':
+                options.all = true;
+                break;
+            case '-q':
+            case '--quiet':
+                options.quiet = true;
+                break;
+            case '--color':
+                options.color = true;
+                break;
+            case '--no-color':
+                options.color = false;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '-v':
+            case '--version':
+                options.version = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                options.paths.push(arg);
+        }
+    }
+
+    for (const type of [options.leftType, options.rightType]) {
+        if (!['auto', ...Object.keys(CONFIG_FORMATS)].includes(type)) {
+            throw new Error(`Unknown file type: ${type}`);
+        }
+    }
+
+    return options;
+}
+
+// ==================== FILE LOADING ====================
+
+/**
+ * Lists the config files under a directory as paths relative to it, sorted
+ */
+function listConfigFiles(dir, prefix = '') {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            files.push(...listConfigFiles(path.join(dir, entry.name), relative));
+        } else if (isConfigFile(entry.name)) {
+            files.push(relative);
+        }
+    }
+    return files.sort();
+}
+
+/**
+ * Checks whether a path is a directory or zip archive of config files rather than a single file
+ */
+function isConfigTree(target) {
+    return fs.statSync(target).isDirectory() || /\.zip$/i.test(target);
+}
+
+/**
+ * Reads a file, or every config file of a directory or zip archive, as { name, text } entries
+ */
+async function readConfigFiles(target) {
+    const stat = fs.statSync(target);
+    if (/\.zip$/i.test(target) && !stat.isDirectory()) {
+        return readConfigZip(fs.readFileSync(target), bytes => zlib.inflateRawSync(bytes));
+    }
+    if (!stat.isDirectory()) {
+        return [{ name: path.basename(target), text: fs.readFileSync(target, 'utf8') }];
+    }
+    return listConfigFiles(target).map(name => ({
+        name: name,
+        text: fs.readFileSync(path.join(target, name), 'utf8')
+    }));
+}
+
+/**
+ * Turns files into comparison layers with a resolved file type
+ */
+function toLayers(files, fileType) {
+    return files.map(file => ({
+        name: file.name,
+        text: file.text,
+        fileType: fileType === 'auto' ? fileTypeFromName(file.name, file.text) : fileType
+    }));
+}
+
+/**
+ * Reads the NAME=value environment file used for placeholder expansion
+ */
+function readEnvironment(file) {
+    const environment = new Map();
+    if (!file) return environment;
+    for (const entry of new PropertyParser().parse(fs.readFileSync(file, 'utf8'))) {
+        if (entry.type === 'property') environment.set(entry.key, entry.value);
+    }
+    return environment;
+}
+
+/**
+ * Reads the comparison rules from the given file, or from .configdiffrc in the current
+ * directory when no file was named; null when there are none
+ */
+function readRules(file) {
+    if (file === null) return null;
+    if (file === undefined) {
+        file = '.configdiffrc';
+        if (!fs.existsSync(file)) return null;
+    }
+    try {
+        return parseRules(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Indexes the configuration metadata of the given .json files and jars; null when there are none
+ */
+async function readMetadata(files) {
+    if (files.length === 0) return null;
+    const metadata = [];
+    for (const file of files) {
+        if (!/\.jar$/i.test(file)) {
+            metadata.push({ name: file, text: fs.readFileSync(file, 'utf8') });
+            continue;
+        }
+        const entries = await readMetadataJar(fs.readFileSync(file), bytes => zlib.inflateRawSync(bytes), file);
+        if (entries.length === 0) {
+            throw new Error(`${file}: no configuration metadata in META-INF`);
+        }
+        metadata.push(...entries);
+    }
+    return metadataIndex(metadata);
+}
+
+// ==================== TERMINAL OUTPUT ====================
+
+/**
+ * Wraps text in an ANSI color when colored output is enabled
+ */
+function paint(text, color, options) {
+    return options.color && text !== '' ? `${COLORS[color]}${text}${COLORS.reset}` : text;
+}
+
+/**
+ * Renders one side of a modified row with its character-level changes emphasized
+ */
+function paintHighlights(row, side, options) {
+    const highlights = side === 'left' ? row.leftHighlight : row.rightHighlight;
+    const line = side === 'left' ? row.leftLine : row.rightLine;
+    const color = side === 'left' ? 'red' : 'green';
+    const changeType = side === 'left' ? 'removed' : 'added';
+
+    if (!options.color || !Array.isArray(highlights)) {
+        return paint(line, color, options);
+    }
+
+    const value = side === 'left' ? row.leftValue : row.rightValue;
+    const prefix = line.slice(0, line.length - String(value).length);
+    let body = '';
+    let emphasized = false;
+    for (const segment of highlights) {
+        if (segment.type !== changeType && segment.type !== 'unchanged') continue;
+        const emphasize = segment.type === changeType;
+        if (emphasize !== emphasized) {
+            body += emphasize ? COLORS.inverse : `${COLORS.reset}${COLORS[color]}`;
+            emphasized = emphasize;
+        }
+        body += segment.text;
+    }
+    return `${COLORS[color]}${prefix}${body}${COLORS.reset}`;
+}
+
+/**
+ * Describes the source file and placeholder resolution of one side of a row
+ */
+function describeSide(row, side) {
+    const notes = [];
+    const source = side === 'left' ? row.leftSource : row.rightSource;
+    const resolved = side === 'left' ? row.leftResolved : row.rightResolved;
+    const value = side === 'left' ? row.leftValue : row.rightValue;
+    if (side === 'right' && row.status === 'renamed') {
+        notes.push(row.renameReason === 'migration' ? '(Spring Boot migration)' : '(renamed)');
+    }
+    if (side === 'right' && row.status === 'equivalent') notes.push(`(equivalent ${row.equivalence})`);
+    if (side === 'left' && row.rightDisabled !== undefined) notes.push('(commented out)');
+    if (side === 'right' && row.leftDisabled !== undefined) notes.push('(was commented out)');
+    if (row.metadata) notes.push(...describeMetadata(row, side));
+    if (resolved !== undefined && resolved !== value) notes.push(`=> ${resolved}`);
+    if (source) notes.push(`[${source}]`);
+    return notes.length > 0 ? ' ' + notes.join(' ') : '';
+}
+
+/**
+ * Describes the metadata checks of one side of a row; key problems are noted on the side
+ * that has the current key
+ */
+function describeMetadata(row, side) {
+    const notes = [];
+    const metadata = row.metadata;
+    if (side === (row.rightValue !== undefined ? 'right' : 'left')) {
+        if (!metadata.known) {
+            notes.push(metadata.suggestion ? `(unknown key, did you mean ${metadata.suggestion}?)` : '(unknown key)');
+        }
+        if (metadata.deprecation) {
+            notes.push(metadata.deprecation.replacement ? `(deprecated, use ${metadata.deprecation.replacement})` : '(deprecated)');
+        }
+    }
+    const mismatch = side === 'left' ? metadata.leftMismatch : metadata.rightMismatch;
+    if (mismatch) notes.push(`(${mismatch})`);
+    return notes;
+}
+
+/**
+ * Repeats a diff marker at the start of each continuation line of a multi-line value
+ */
+function markLines(text, marker) {
+    return text.split('\n').join('\n' + marker);
+}
+
+/**
+ * Renders the comments above a row (with --comments) as unified diff lines
+ */
+function renderComments(row, options) {
+    const markers = { removed: '- ', added: '+ ', unchanged: '  ' };
+    const colors = { removed: 'red', added: 'green', unchanged: 'dim' };
+    return diffSequences(row.leftComments || [], row.rightComments || [])
+        .map(op => paint(`${markers[op.type]}${op.value}`, colors[op.type], options));
+}
+
+/**
+ * Renders diff rows as unified diff lines
+ */
+function renderUnified(rows, options) {
+    const lines = [];
+    for (const row of rows) {
+        if (row.status === 'unchanged') {
+            if (options.all) {
+                lines.push(...renderComments(row, options));
+                lines.push(paint(markLines(`  ${row.leftLine}`, '  '), 'dim', options));
+            }
+            continue;
+        }
+        if (row.status !== 'equivalent' || !options.hideEquivalent) {
+            lines.push(...renderComments(row, options));
+        }
+        // Only the comments changed
+        if (row.status === 'modified' && row.commentsChanged && row.leftLine === row.rightLine && !row.change) {
+            lines.push(paint(markLines(`  ${row.leftLine}`, '  '), 'dim', options));
+            continue;
+        }
+        if (row.status === 'equivalent') {
+            if (!options.hideEquivalent) {
+                lines.push(paint(markLines(`- ${row.leftLine}`, '- '), 'dim', options));
+                lines.push(paint(markLines(`+ ${row.rightLine}${describeSide(row, 'right')}`, '+ '), 'dim', options));
+            }
+            continue;
+        }
+        const changed = row.status === 'modified' || row.status === 'renamed';
+        if (row.status === 'removed' || changed) {
+            lines.push(markLines(paint('- ', 'red', options) + paintHighlights(row, 'left', options) + paint(describeSide(row, 'left'), 'dim', options), '- '));
+        }
+        if (row.status === 'added' || changed) {
+            lines.push(markLines(paint('+ ', 'green', options) + paintHighlights(row, 'right', options) + paint(describeSide(row, 'right'), 'dim', options), '+ '));
+        }
+    }
+    return lines;
+}
+
+/**
+ * Splits text into chunks of at most the given width, starting a new chunk at each line break
+ */
+function wrap(text, width) {
+    const chunks = [];
+    for (const line of text.split('\n')) {
+        for (let i = 0; i < line.length; i += width) {
+            chunks.push(line.slice(i, i + width));
+        }
+        if (line === '') chunks.push('');
+    }
+    return chunks.length > 0 ? chunks : [''];
+}
+
+/**
+ * Renders diff rows as two wrapped columns separated by a change marker
+ */
+function renderSideBySide(rows, options) {
+    const totalWidth = Math.max(process.stdout.columns || 120, 40);
+    const width = Math.floor((totalWidth - 3) / 2);
+    const colors = { added: 'green', removed: 'red', modified: 'cyan', renamed: 'cyan', equivalent: 'dim', unchanged: 'dim' };
+    const markers = { added: '>', removed: '<', modified: '|', renamed: '~', equivalent: '=', unchanged: ' ' };
+    const lines = [];
+
+    for (const row of rows) {
+        if (row.status === 'unchanged' && !options.all) continue;
+        if (row.status === 'equivalent' && options.hideEquivalent) continue;
+        const leftComments = row.leftComments || [];
+        const rightComments = row.rightComments || [];
+        for (let i = 0; i < Math.max(leftComments.length, rightComments.length); i++) {
+            const marker = leftComments[i] === rightComments[i] ? ' ' : '|';
+            lines.push(paint(`${(leftComments[i] || '').slice(0, width).padEnd(width)} ${marker} ${(rightComments[i] || '').slice(0, width)}`.trimEnd(), 'dim', options));
+        }
+        const left = wrap(row.leftLine + (row.leftLine ? describeSide(row, 'left') : ''), width);
+        const right = wrap(row.rightLine + (row.rightLine ? describeSide(row, 'right') : ''), width);
+        for (let i = 0; i < Math.max(left.length, right.length); i++) {
+            const leftText = (left[i] || '').padEnd(width);
+            const marker = i === 0 ? markers[row.status] : ' ';
+            lines.push(paint(`${leftText} ${marker} ${right[i] || ''}`.trimEnd(), colors[row.status], options));
+        }
+    }
+    return lines;
+}
+
+/**
+ * Prints parser diagnostics to stderr as <file>:<line>:<column>: <message>, noting when
+ * errors mean input was skipped and the diff may be incomplete
+ */
+function printDiagnostics(diagnostics, options) {
+    if (options.quiet) return;
+    let errors = 0;
+    for (const [side, root] of [['left', options.paths[0]], ['right', options.paths[1]]]) {
+        for (const diagnostic of diagnostics[side]) {
+            const file = isConfigTree(root) ? path.join(root, diagnostic.source) : root;
+            process.stderr.write(`config-differ: ${diagnostic.severity}: ${file}:${diagnostic.line}:${diagnostic.column}: ${diagnostic.message}\n`);
+        }
+        errors += countDiagnostics(diagnostics[side]).errors;
+    }
+    if (errors > 0) {
+        process.stderr.write(`config-differ: warning: the diff may be incomplete, ${errors} error${errors === 1 ? '' : 's'} in the input\n`);
+    }
+}
+
+/**
+ * Compares one pair of layer stacks, printing their parser diagnostics
+ */
+function compareLayers(leftLayers, rightLayers, options) {
+    const result = compareConfigs(leftLayers, rightLayers, {
+        relaxedBinding: options.relaxedBinding,
+        activeProfiles: options.profiles,
+        profileView: options.document == null ? 'resolved' : (options.document === 'default' ? 'default' : `profile:${options.document}`),
+        resolvePlaceholders: options.resolve,
+        environment: options.environment,
+        granularity: options.granularity,
+        cutoff: options.cutoff,
+        detectRenames: options.detectRenames,
+        semantic: options.semantic,
+        rules: options.rulesConfig,
+        comments: options.comments,
+        metadata: options.metadataIndex,
+        maskSecrets: options.maskSecrets && (options.secretPatterns.length > 0 ? { patterns: options.secretPatterns } : true)
+    });
+    printDiagnostics(result.diagnostics, options);
+    return result.rows;
+}
+
+/**
+ * Checks whether a row is a difference; equivalent values are printed but do not count
+ */
+function isDifference(row) {
+    return row.status !== 'unchanged' && row.status !== 'equivalent';
+}
+
+/**
+ * Prints the rows of one comparison under a header naming the left and right file;
+ * returns whether anything changed
+ */
+function printComparison(leftName, rightName, rows, options, output) {
+    const changed = rows.filter(isDifference);
+    const shown = options.hideEquivalent ? changed : rows.filter(row => row.status !== 'unchanged');
+    if (shown.length === 0 && !options.all) {
+        return false;
+    }
+
+    output.push(paint(`--- a/${leftName}`, 'bold', options));
+    output.push(paint(`+++ b/${rightName}`, 'bold', options));
+    output.push(...(options.format === 'side-by-side' ? renderSideBySide(rows, options) : renderUnified(rows, options)));
+
+    return changed.length > 0;
+}
+
+// ==================== MAIN ====================
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`config-differ: ${error.message}\n${USAGE}\n`);
+        return 2;
+    }
+
+    if (options.help) {
+        process.stdout.write(USAGE + '\n');
+        return 0;
+    }
+    if (options.version) {
+        process.stdout.write(VERSION + '\n');
+        return 0;
+    }
+    if (options.paths.length !== 2) {
+        process.stderr.write(`config-differ: expected two paths\n${USAGE}\n`);
+        return 2;
+    }
+
+    try {
+        options.environment = readEnvironment(options.env);
+        options.rulesConfig = readRules(options.rules);
+        options.metadataIndex = await readMetadata(options.metadata);
+        const [leftPath, rightPath] = options.paths;
+        const leftIsDir = isConfigTree(leftPath);
+        const rightIsDir = isConfigTree(rightPath);
+        const leftFiles = await readConfigFiles(leftPath);
+        const rightFiles = await readConfigFiles(rightPath);
+        const output = [];
+        const exportRows = [];
+        let different = false;
+
+        if (options.stack || !leftIsDir || !rightIsDir) {
+            // One effective config per side
+            const rows = compareLayers(toLayers(leftFiles, options.leftType), toLayers(rightFiles, options.rightType), options);
+            exportRows.push(...rows);
+            different = rows.some(isDifference);
+            if (options.output === 'text') {
+                printComparison(leftIsDir ? '(merged)' : leftFiles[0].name, rightIsDir ? '(merged)' : rightFiles[0].name, rows, options, output);
+            }
+        } else {
+            // File-by-file comparison of two directories
+            for (const pair of matchFiles(leftFiles, rightFiles)) {
+                const leftLayers = pair.left ? toLayers([pair.left], options.leftType) : [];
+                const rightLayers = pair.right ? toLayers([pair.right], options.rightType) : [];
+                const rows = compareLayers(leftLayers, rightLayers, options);
+                exportRows.push(...rows.map(row => ({ ...row, file: pair.name })));
+                if (pair.status !== 'matched' || rows.some(isDifference)) {
+                    different = true;
+                }
+                if (options.output !== 'text') continue;
+                if (pair.status === 'removed') {
+                    output.push(paint(`Only in ${leftPath}: ${pair.name}`, 'red', options));
+                } else if (pair.status === 'added') {
+                    output.push(paint(`Only in ${rightPath}: ${pair.name}`, 'green', options));
+                } else {
+                    printComparison(pair.name, pair.name, rows, options, output);
+                }
+            }
+        }
+
+        if (options.output !== 'text') {
+            const text = new DiffExporter().export(exportRows, options.output, {
+                leftName: path.basename(leftPath),
+                rightName: path.basename(rightPath)
+            });
+            if (!options.quiet) process.stdout.write(text.endsWith('\n') ? text : text + '\n');
+        } else if (!options.quiet && output.length > 0) {
+            process.stdout.write(output.join('\n') + '\n');
+        }
+        return different ? 1 : 0;
+    } catch (error) {
+        process.stderr.write(`config-differ: ${error.message}\n`);
+        return 2;
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,6216 @@
+// ==================== UTILITY FUNCTIONS ====================
+
+/**
+ * Escapes HTML special characters to prevent XSS
+ */
+function escapeHtml(text) {
+    if (text == null) return '';
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Converts a character position of text to its 1-based { line, column }
+ */
+function lineColumn(text, position) {
+    const before = String(text).slice(0, position).split(/\r\n|\r|\n/);
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+// ==================== MYERS DIFF ====================
+
+// Edits (inserted plus deleted tokens) beyond which a value is highlighted as a whole
+const DEFAULT_DIFF_CUTOFF = 1000;
+
+/**
+ * Diffs two sequences (arrays or strings) with Myers' O(ND) algorithm in linear space, using
+ * the middle-snake divide and conquer. Returns { type: 'unchanged' | 'removed' | 'added', value }
+ * operations in order, or null when more than cutoff insertions and deletions are needed.
+ */
+function myersDiff(seq1, seq2, cutoff = Infinity) {
+    const a = seq1 || [];
+    const b = seq2 || [];
+    const ops = [];
+    
+    const emit = (type, seq, from, to) => {
+        for (let i = from; i < to; i++) {
+            ops.push({ type: type, value: seq[i] });
+        }
+    };
+    
+    const diffRange = (aLo, aHi, bLo, bHi, maxEdits) => {
+        // Common prefix and suffix need no search
+        const start = aLo;
+        while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+            aLo++;
+            bLo++;
+        }
+        emit('unchanged', a, start, aLo);
+        let suffix = 0;
+        while (aLo < aHi - suffix && bLo < bHi - suffix && a[aHi - 1 - suffix] === b[bHi - 1 - suffix]) {
+            suffix++;
+        }
+        aHi -= suffix;
+        bHi -= suffix;
+        
+        if ((aLo === aHi || bLo === bHi) && (aHi - aLo) + (bHi - bLo) > maxEdits) {
+            return false;
+        } else if (aLo === aHi) {
+            emit('added', b, bLo, bHi);
+        } else if (bLo === bHi) {
+            emit('removed', a, aLo, aHi);
+        } else {
+            const split = middleSnake(aLo, aHi, bLo, bHi, maxEdits);
+            if (!split) return false;
+            diffRange(aLo, split.x, bLo, split.y, Infinity);
+            diffRange(split.x, aHi, split.y, bHi, Infinity);
+        }
+        
+        emit('unchanged', a, aHi, aHi + suffix);
+        return true;
+    };
+    
+    // Searches forward from the start and backward from the end until the two paths overlap;
+    // the overlap splits the edit script into two halves of about the same cost
+    const middleSnake = (aLo, aHi, bLo, bHi, maxEdits) => {
+        const n = aHi - aLo;
+        const m = bHi - bLo;
+        const maxD = Math.ceil((n + m) / 2);
+        const offset = maxD;
+        const forward = new Int32Array(2 * maxD + 2).fill(-1);
+        const backward = new Int32Array(2 * maxD + 2).fill(-1);
+        forward[offset + 1] = 0;
+        backward[offset + 1] = 0;
+        const delta = n - m;
+        const odd = delta % 2 !== 0;
+        // Diagonals that ran off the edit graph are not explored again
+        let forwardStart = 0;
+        let forwardEnd = 0;
+        let backwardStart = 0;
+        let backwardEnd = 0;
+        
+        // Round d finds paths of 2d - 1 edits forward and 2d edits backward
+        for (let d = 0; d < maxD; d++) {
+            if (d * 2 - 1 > maxEdits) return null;
+            
+            for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+                const index = offset + k;
+                let x = k === -d || (k !== d && forward[index - 1] < forward[index + 1])
+                    ? forward[index + 1]
+                    : forward[index - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+                    x++;
+                    y++;
+                }
+                forward[index] = x;
+                if (x > n) {
+                    forwardEnd += 2;
+                } else if (y > m) {
+                    forwardStart += 2;
+                } else if (odd) {
+                    const opposite = offset + delta - k;
+                    if (opposite >= 0 && opposite < backward.length && backward[opposite] !== -1 && x >= n - backward[opposite]) {
+                        return { x: aLo + x, y: bLo + y };
+                    }
+                }
+            }
+            if (d * 2 > maxEdits) return null;
+            
+            for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+                const index = offset + k;
+                let x = k === -d || (k !== d && backward[index - 1] < backward[index + 1])
+                    ? backward[index + 1]
+                    : backward[index - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+                    x++;
+                    y++;
+                }
+                backward[index] = x;
+                if (x > n) {
+                    backwardEnd += 2;
+                } else if (y > m) {
+                    backwardStart += 2;
+                } else if (!odd) {
+                    const opposite = offset + delta - k;
+                    if (opposite >= 0 && opposite < forward.length && forward[opposite] !== -1) {
+                        const forwardX = forward[opposite];
+                        if (forwardX >= n - x) {
+                            return { x: aLo + forwardX, y: bLo + forwardX - (opposite - offset) };
+                        }
+                    }
+                }
+            }
+        }
+        
+        // No overlap: everything on the left is removed and everything on the right added
+        return n + m > maxEdits ? null : { x: aHi, y: bLo };
+    };
+    
+    return diffRange(0, a.length, 0, b.length, cutoff) ? ops : null;
+}
+
+/**
+ * Splits a value into diff tokens: 'char' (default), 'word' (runs of non-whitespace and
+ * whitespace) or 'token' (identifiers and numbers, whitespace runs and single punctuation
+ * characters, so URLs and lists diff by component)
+ */
+function tokenize(text, granularity = 'char') {
+    text = text || '';
+    if (granularity === 'word') {
+        return text.match(/\s+|\S+/g) || [];
+    }
+    if (granularity === 'token') {
+        return text.match(/[A-Za-z0-9_]+|\s+|[^A-Za-z0-9_\s]/g) || [];
+    }
+    return Array.from(text);
+}
+
+/**
+ * Highlights the differences between two strings.
+ * Returns { left, right } lists of { text, type } segments. options.granularity picks the
+ * tokens to compare (see tokenize); beyond options.cutoff edits the values are marked as a whole.
+ */
+function highlightDifferences(str1, str2, options = {}) {
+    str1 = str1 || '';
+    str2 = str2 || '';
+    const cutoff = options.cutoff != null ? options.cutoff : DEFAULT_DIFF_CUTOFF;
+    const ops = myersDiff(tokenize(str1, options.granularity), tokenize(str2, options.granularity), cutoff);
+    
+    if (!ops) {
+        return {
+            left: str1 ? [{ text: str1, type: 'removed' }] : [],
+            right: str2 ? [{ text: str2, type: 'added' }] : []
+        };
+    }
+    
+    // Consecutive tokens of the same kind form one segment
+    const left = [];
+    const right = [];
+    const append = (segments, text, type) => {
+        const last = segments[segments.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            segments.push({ text: text, type: type });
+        }
+    };
+    for (const op of ops) {
+        if (op.type !== 'added') append(left, op.value, op.type);
+        if (op.type !== 'removed') append(right, op.value, op.type);
+    }
+    
+    return { left, right };
+}
+
+/**
+ * Diffs two sequences (e.g. arrays of lines) into an edit script of
+ * { type: 'unchanged' | 'removed' | 'added', value } operations in order
+ */
+function diffSequences(seq1, seq2) {
+    return myersDiff(seq1, seq2);
+}
+
+// ==================== PROPERTY PARSER ====================
+
+class PropertyParser {
+    /**
+     * Parses Spring Boot .properties file format the way java.util.Properties.load reads it.
+     * Returns array of entries with key, value, comment, and type; problems go to this.diagnostics
+     */
+    parse(text, firstLine = 0) {
+        this.diagnostics = [];
+        if (text == null) return [];
+        const lines = String(text).split(/\r\n|\r|\n/);
+        const entries = [];
+        const seen = new Map();
+        let i = 0;
+        
+        while (i < lines.length) {
+            const line = lines[i];
+            const trimmed = line.replace(/^[ \t\f]+/, '');
+            
+            // Blank line
+            if (trimmed === '') {
+                entries.push({ type: 'blank', line: line });
+                i++;
+                continue;
+            }
+            
+            // Comment line; a trailing backslash does not continue it
+            if (trimmed.startsWith('#') || trimmed.startsWith('!')) {
+                entries.push({ type: 'comment', line: line });
+                i++;
+                continue;
+            }
+            
+            // Property line
+            const result = this.parsePropertyLine(line, lines, i);
+            const lineNumber = firstLine + i + 1;
+            if (seen.has(result.key)) {
+                this.diagnostics.push({
+                    line: lineNumber,
+                    column: line.length - trimmed.length + 1,
+                    message: `Duplicate key "${result.key}" overrides the value on line ${seen.get(result.key)}`,
+                    severity: 'warning'
+                });
+            }
+            seen.set(result.key, lineNumber);
+            for (const problem of result.problems) {
+                this.diagnostics.push({
+                    line: lineNumber + problem.lineOffset,
+                    column: problem.column,
+                    message: problem.message,
+                    severity: problem.severity
+                });
+            }
+            entries.push({
+                type: 'property',
+                key: result.key,
+                value: result.value,
+                rawKey: result.rawKey,
+                separator: result.separator,
+                rawValue: result.rawValue,
+                line: result.fullLine
+            });
+            i = result.nextIndex;
+        }
+        
+        return entries;
+    }
+    
+    /**
+     * Splits a multi-document properties file on "#---" / "!---" separator lines
+     * (Spring Boot 2.4+) and parses each document separately
+     */
+    parseDocuments(text) {
+        if (text == null) return [];
+        const lines = String(text).split(/\r\n|\r|\n/);
+        const documents = [];
+        const diagnostics = [];
+        let startLine = 0;
+        
+        for (let i = 0; i <= lines.length; i++) {
+            if (i === lines.length || /^[#!]---\s*$/.test(lines[i])) {
+                const data = this.parse(lines.slice(startLine, i).join('\n'), startLine);
+                diagnostics.push(...this.diagnostics);
+                documents.push({
+                    data: data,
+                    startLine: startLine,
+                    diagnostics: this.diagnostics
+                });
+                startLine = i + 1;
+            }
+        }
+        
+        this.diagnostics = diagnostics;
+        return documents;
+    }
+    
+    /**
+     * Parses one logical line starting at startIndex: natural lines ending in an odd number
+     * of backslashes continue on the next line, whose leading whitespace is skipped. The key
+     * ends at the first unescaped "=", ":" or whitespace; whitespace and one "=" or ":" after
+     * it form the separator. A line without a separator is a key with an empty value.
+     * problems lists { lineOffset, column, message, severity } relative to the first line.
+     */
+    parsePropertyLine(line, allLines, startIndex) {
+        let currentIndex = startIndex;
+        while (this.continues(allLines[currentIndex]) && currentIndex + 1 < allLines.length) {
+            currentIndex++;
+            // A blank continuation line ends the logical line
+            if (allLines[currentIndex].trim() === '') break;
+        }
+        const fullLine = allLines.slice(startIndex, currentIndex + 1).join('\n');
+        let raw = fullLine.replace(/^[ \t\f]+/, '');
+        const indent = fullLine.length - raw.length;
+        const problems = [];
+        // Finds the line (relative to the first) and 1-based column of an offset into raw
+        const locate = (offset) => {
+            const before = raw.slice(0, offset);
+            const lineBreak = before.lastIndexOf('\n');
+            return {
+                lineOffset: before.split('\n').length - 1,
+                column: lineBreak === -1 ? indent + offset + 1 : offset - lineBreak
+            };
+        };
+        // Java drops a continuation backslash with nothing to continue
+        if (this.continues(raw)) {
+            raw = raw.slice(0, -1);
+            problems.push({ ...locate(raw.length), message: 'Line continuation at the end of the text is ignored', severity: 'warning' });
+        }
+        
+        const isSpace = (c) => c === ' ' || c === '\t' || c === '\f';
+        // Skips a backslash-newline continuation and the indentation after it
+        const skipContinuation = (index) => {
+            if (raw[index] !== '\\' || raw[index + 1] !== '\n') return index;
+            index += 2;
+            while (index < raw.length && isSpace(raw[index])) index++;
+            return index;
+        };
+        
+        let keyEnd = 0;
+        let precedingBackslash = false;
+        while (keyEnd < raw.length) {
+            const next = skipContinuation(keyEnd);
+            if (next !== keyEnd) {
+                keyEnd = next;
+                continue;
+            }
+            const c = raw[keyEnd];
+            if (!precedingBackslash && (c === '=' || c === ':' || isSpace(c))) break;
+            precedingBackslash = c === '\\' ? !precedingBackslash : false;
+            keyEnd++;
+        }
+        
+        let valueStart = keyEnd;
+        let hasSeparator = false;
+        while (valueStart < raw.length) {
+            const next = skipContinuation(valueStart);
+            if (next !== valueStart) {
+                valueStart = next;
+                continue;
+            }
+            const c = raw[valueStart];
+            if (!hasSeparator && (c === '=' || c === ':')) {
+                hasSeparator = true;
+            } else if (!isSpace(c)) {
+                break;
+            }
+            valueStart++;
+        }
+        
+        const rawKey = raw.slice(0, keyEnd);
+        const rawValue = raw.slice(valueStart);
+        const keyEscapes = [];
+        const valueEscapes = [];
+        const key = this.unescape(rawKey, keyEscapes);
+        const value = this.unescape(rawValue, valueEscapes);
+        for (const escape of keyEscapes) {
+            problems.push({ ...locate(escape.offset), message: escape.message, severity: 'error' });
+        }
+        for (const escape of valueEscapes) {
+            problems.push({ ...locate(valueStart + escape.offset), message: escape.message, severity: 'error' });
+        }
+        if (!hasSeparator && rawValue === '') {
+            problems.push({ ...locate(0), message: `No "=" or ":" after "${key}", so it is read as a key with an empty value`, severity: 'warning' });
+        }
+        return {
+            key: key,
+            value: value,
+            rawKey: rawKey,
+            separator: raw.slice(keyEnd, valueStart),
+            rawValue: rawValue,
+            problems: problems,
+            fullLine: fullLine,
+            nextIndex: currentIndex + 1
+        };
+    }
+    
+    /**
+     * Checks whether a natural line ends in an odd number of backslashes
+     */
+    continues(line) {
+        const match = /\\+$/.exec(line || '');
+        return match !== null && match[0].length % 2 === 1;
+    }
+    
+    /**
+     * Decodes the escapes of a raw key or value like Properties.load: continuation lines are
+     * joined, \t \n \r \f and \uXXXX are converted and any other backslash is dropped.
+     * Malformed \uXXXX escapes are kept as written and reported in problems as
+     * { offset, message }, offset being the position of the backslash in raw.
+     */
+    unescape(raw, problems = []) {
+        const text = String(raw);
+        return text.replace(/\\(\n[ \t\f]*|u[0-9a-fA-F]{4}|u|[\s\S])/g, (escape, code, offset) => {
+            if (code.startsWith('\n')) return '';
+            if (code.length === 5 && code.startsWith('u')) return String.fromCharCode(parseInt(code.slice(1), 16));
+            if (code === 'u') {
+                problems.push({ offset: offset, message: 'Malformed \\uXXXX escape' });
+                return escape;
+            }
+            return { t: '\t', n: '\n', r: '\r', f: '\f' }[code] || code;
+        });
+    }
+    
+    /**
+     * Escapes a key or value for writing, like Properties.store but leaving non-ASCII text
+     * as is. Keys also escape separators and comment markers.
+     */
+    escape(text, isKey = false) {
+        let escaped = '';
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (c === '\\') escaped += '\\\\';
+            else if (c === '\t') escaped += '\\t';
+            else if (c === '\n') escaped += '\\n';
+            else if (c === '\r') escaped += '\\r';
+            else if (c === '\f') escaped += '\\f';
+            else if (c === ' ' && (isKey || i === 0)) escaped += '\\ ';
+            else if (isKey && '=:#!'.includes(c)) escaped += '\\' + c;
+            else escaped += c;
+        }
+        return escaped;
+    }
+    
+    /**
+     * Sorts entries by key, preserving comments with their associated properties
+     */
+    sort(entries) {
+        if (!Array.isArray(entries)) return [];
+        const result = [];
+        const properties = [];
+        let pendingComments = [];
+        
+        // Group properties with their preceding comments
+        for (const entry of entries) {
+            if (entry.type === 'comment') {
+                pendingComments.push(entry);
+            } else if (entry.type === 'property') {
+                properties.push({
+                    key: entry.key,
+                    value: entry.value,
+                    comments: [...pendingComments],
+                    entry: entry
+                });
+                pendingComments = [];
+            } else if (entry.type === 'blank') {
+                pendingComments.push(entry);
+            }
+        }
+        
+        // Sort properties by key
+        properties.sort((a, b) => a.key.localeCompare(b.key));
+        
+        // Reconstruct with comments
+        for (const prop of properties) {
+            result.push(...prop.comments);
+            result.push(prop.entry);
+        }
+        
+        // Add any trailing comments
+        result.push(...pendingComments);
+        
+        return result;
+    }
+    
+    /**
+     * Lists the properties of parsed entries as { key, value, comments }, the comment lines
+     * written above a property being its comments
+     */
+    flatten(entries) {
+        const result = [];
+        let comments = [];
+        for (const entry of entries) {
+            if (entry.type === 'comment') {
+                comments.push(entry.line.trim());
+            } else if (entry.type === 'property') {
+                result.push({ key: entry.key, value: entry.value, comments: comments });
+                comments = [];
+            }
+        }
+        return result;
+    }
+    
+    /**
+     * Converts entries back to properties format. Properties keep their original separator
+     * and escaping while key and value still match them; options.separator replaces the
+     * separators, and new or changed keys and values are escaped with "=" as the default.
+     */
+    stringify(entries, options = {}) {
+        if (!Array.isArray(entries)) return '';
+        return entries.map(entry => {
+            if (entry.type === 'property') {
+                return this.formatProperty(entry, options.separator);
+            } else if (entry.type === 'comment' || entry.type === 'blank') {
+                return entry.line;
+            }
+            return '';
+        }).join('\n');
+    }
+    
+    /**
+     * Writes one property entry, re-using its raw text where it still decodes to key and value
+     */
+    formatProperty(entry, separator) {
+        const keyKept = entry.rawKey !== undefined && this.unescape(entry.rawKey) === entry.key;
+        const valueKept = entry.rawValue !== undefined && this.unescape(entry.rawValue) === entry.value;
+        if (keyKept && valueKept && separator === undefined && entry.line !== undefined) {
+            return entry.line;
+        }
+        
+        const rawKey = keyKept ? entry.rawKey : this.escape(entry.key || '', true);
+        const rawValue = valueKept ? entry.rawValue : this.escape(entry.value || '');
+        let written = separator !== undefined ? separator : entry.separator;
+        if (written === undefined || (written === '' && rawValue !== '')) written = '=';
+        return `${rawKey}${written}${rawValue}`;
+    }
+    
+    /**
+     * Sets the value of a key in parsed entries, in place. An existing key keeps its line,
+     * separator and comments unless comment lines are given (the last line wins when the key
+     * is repeated). A new key is written after the given comment lines, in key order among the
+     * keys it shares the most leading key elements with, or at the end when it shares none,
+     * using their separator.
+     */
+    setValue(entries, key, value, comments) {
+        const properties = entries.filter(entry => entry.type === 'property');
+        const existing = properties.filter(entry => entry.key === key).pop();
+        if (existing) {
+            existing.value = value;
+            if (comments !== undefined) {
+                const index = entries.indexOf(existing);
+                const start = this.commentStart(entries, index);
+                entries.splice(start, index - start, ...comments.map(line => ({ type: 'comment', line: line })));
+            }
+            return;
+        }
+        
+        const elements = key.split('.');
+        const shared = (other) => {
+            const otherElements = other.split('.');
+            let count = 0;
+            while (count < elements.length && elements[count] === otherElements[count]) count++;
+            return count;
+        };
+        const most = Math.max(0, ...properties.map(entry => shared(entry.key)));
+        const neighbours = most > 0 ? properties.filter(entry => shared(entry.key) === most) : [];
+        const previous = neighbours.filter(entry => entry.key.localeCompare(key) < 0).pop();
+        
+        let index;
+        if (previous) {
+            index = entries.indexOf(previous) + 1;
+        } else if (neighbours.length > 0) {
+            index = this.commentStart(entries, entries.indexOf(neighbours[0]));
+        } else {
+            // Trailing blank lines stay at the end
+            index = entries.length;
+            while (index > 0 && entries[index - 1].type === 'blank') index--;
+        }
+        
+        const neighbour = previous || neighbours[0] || properties[properties.length - 1];
+        entries.splice(index, 0,
+            ...(comments || []).map(line => ({ type: 'comment', line: line })),
+            { type: 'property', key: key, value: value, separator: neighbour ? neighbour.separator : undefined }
+        );
+    }
+    
+    /**
+     * Removes every line of a key from parsed entries, in place, together with the comment
+     * lines directly above it. Returns whether the key was found.
+     */
+    removeKey(entries, key) {
+        let found = false;
+        for (let i = entries.length - 1; i >= 0; i--) {
+            if (entries[i].type !== 'property' || entries[i].key !== key) continue;
+            const start = this.commentStart(entries, i);
+            entries.splice(start, i - start + 1);
+            found = true;
+            i = start;
+        }
+        return found;
+    }
+    
+    /**
+     * Returns the index of the first comment line in the unbroken run of comments above an entry
+     */
+    commentStart(entries, index) {
+        while (index > 0 && entries[index - 1].type === 'comment') index--;
+        return index;
+    }
+}
+
+// ==================== YAML PARSER ====================
+
+class YAMLParser {
+    /**
+     * Parses YAML text into a structured object with comments preserved, block scalars decoded
+     * and aliases expanded; problems go to this.diagnostics
+     */
+    parse(text, firstLine = 0) {
+        this.diagnostics = [];
+        this.reported = new Set();
+        if (text == null) return {};
+        const lines = String(text).split(/\r\n|\r|\n/);
+        this.lines = lines;
+        this.currentLine = 0;
+        this.firstLine = firstLine;
+        this.anchors = new Map();
+        
+        // The first content line sets the indentation of the top-level keys
+        const first = this.peekContentLine();
+        const result = this.parseLevel(first ? first.indent : 0);
+        return result;
+    }
+    
+    /**
+     * Records a diagnostic for the 0-based line index, once per line, column and message
+     */
+    report(lineIndex, column, message, severity = 'error') {
+        const id = `${lineIndex}:${column}:${message}`;
+        if (this.reported.has(id)) return;
+        this.reported.add(id);
+        this.diagnostics.push({ line: this.firstLine + lineIndex + 1, column: column, message: message, severity: severity });
+    }
+    
+    /**
+     * Reports a tab in the indentation of the line, which YAML does not allow
+     */
+    checkIndentation(lineIndex) {
+        const tab = this.lines[lineIndex].match(/^ *\t/);
+        if (tab) {
+            this.report(lineIndex, tab[0].length, 'Tab character in indentation; YAML indents with spaces only');
+        }
+    }
+    
+    /**
+     * Skips the current line and the lines indented deeper than indent that follow it
+     */
+    skipBlock(indent) {
+        this.currentLine++;
+        let next;
+        while ((next = this.peekContentLine()) !== null && next.indent > indent) {
+            this.currentLine = next.index + 1;
+        }
+    }
+    
+    /**
+     * Splits a multi-document YAML stream on "---" / "..." marker lines and parses each
+     * document separately, so keys in one document cannot overwrite another's
+     */
+    parseDocuments(text) {
+        if (text == null) return [];
+        const lines = String(text).split(/\r\n|\r|\n/);
+        const documents = [];
+        const diagnostics = [];
+        let startLine = 0;
+        
+        for (let i = 0; i <= lines.length; i++) {
+            if (i === lines.length || /^(---|\.\.\.)(\s+#.*)?\s*$/.test(lines[i])) {
+                const body = lines.slice(startLine, i);
+                // A leading "---" or a trailing "..." does not open an extra empty document,
+                // and neither do %YAML / %TAG directives
+                if (body.some(line => line.trim() !== '' && !line.trim().startsWith('#') && !line.startsWith('%')) || (documents.length === 0 && i === lines.length)) {
+                    // A document before a marker line ends with that line's break
+                    const data = this.parse(body.join('\n') + (i < lines.length ? '\n' : ''), startLine);
+                    diagnostics.push(...this.diagnostics);
+                    documents.push({
+                        data: data,
+                        startLine: startLine,
+                        diagnostics: this.diagnostics
+                    });
+                }
+                startLine = i + 1;
+            }
+        }
+        
+        this.diagnostics = diagnostics;
+        return documents;
+    }
+    
+    /**
+     * Recursively parses YAML at a specific indentation level
+     */
+    parseLevel(baseIndent) {
+        const obj = {};
+        const merges = [];
+        const keyLines = new Map();
+        let pendingComments = [];
+        let commentStart = -1;
+        let lastNode = null;
+        
+        while (this.currentLine < this.lines.length) {
+            const line = this.lines[this.currentLine];
+            const trimmed = line.trim();
+            
+            // Skip blank lines
+            if (trimmed === '') {
+                this.currentLine++;
+                continue;
+            }
+            
+            // Capture comments
+            if (trimmed.startsWith('#')) {
+                if (pendingComments.length === 0) commentStart = this.currentLine;
+                pendingComments.push(trimmed);
+                this.currentLine++;
+                continue;
+            }
+            
+            // Calculate indentation
+            const indent = line.search(/\S/);
+            if (indent === -1) {
+                this.currentLine++;
+                continue;
+            }
+            
+            // If indentation is less than base, we've finished this level
+            if (indent < baseIndent) {
+                break;
+            }
+            
+            this.checkIndentation(this.currentLine);
+            
+            // Nested blocks are read with their key, so a deeper line here belongs to no key
+            if (indent > baseIndent) {
+                this.report(this.currentLine, indent + 1, 'Unexpected indentation; the line does not belong to the key above it and is ignored');
+                this.skipBlock(baseIndent);
+                pendingComments = [];
+                continue;
+            }
+            
+            // Parse key-value pair
+            const pair = this.splitKey(trimmed);
+            if (pair) {
+                const lineIndex = this.currentLine;
+                this.currentLine++;
+                
+                const parsed = this.parseValue(pair.rest, indent, lineIndex, true);
+                const comments = parsed.comment ? [...pendingComments, parsed.comment] : [...pendingComments];
+                
+                if (pair.key === '<<' && !pair.quoted) {
+                    // Merge key: the mapping (or list of mappings) it names supplies defaults
+                    merges.push(parsed.value);
+                } else {
+                    if (keyLines.has(pair.key)) {
+                        this.report(lineIndex, indent + 1, `Duplicate key "${pair.key}" overrides the value on line ${this.firstLine + keyLines.get(pair.key) + 1}`, 'warning');
+                    }
+                    keyLines.set(pair.key, lineIndex);
+                    obj[pair.key] = {
+                        _value: parsed.value,
+                        _comments: comments
+                    };
+                    lastNode = obj[pair.key];
+                }
+                
+                pendingComments = [];
+            } else {
+                // Stray sequence item or unparseable line at this level
+                let message = 'Expected "key: value"; the line is ignored';
+                if (this.isSequenceItem(trimmed)) {
+                    message = 'List item where a "key: value" was expected; the item is ignored';
+                } else if ((trimmed.startsWith('"') || trimmed.startsWith("'")) && this.quoteEnd(trimmed, 0) === -1) {
+                    message = 'Unterminated quoted key; the line is ignored';
+                }
+                this.report(this.currentLine, indent + 1, message);
+                this.skipBlock(indent);
+                pendingComments = [];
+            }
+        }
+        
+        // Comments indented into this block trail its last key; less indented ones before a
+        // dedent belong to whatever follows
+        if (pendingComments.length > 0) {
+            let end = commentStart;
+            while (end < this.currentLine && (this.lines[end].trim() === '' || this.lines[end].search(/\S/) >= baseIndent)) end++;
+            const trailing = this.lines.slice(commentStart, end).map(line => line.trim()).filter(line => line !== '');
+            if (lastNode && trailing.length > 0) {
+                lastNode._trailing = trailing;
+                this.currentLine = end;
+            } else {
+                this.currentLine = commentStart;
+            }
+        }
+        
+        return this.applyMerges(obj, merges);
+    }
+    
+    /**
+     * Parses a block sequence whose "- " markers sit at the given indentation
+     */
+    parseSequence(baseIndent) {
+        const items = [];
+        let pendingComments = [];
+        let commentStart = -1;
+        
+        while (this.currentLine < this.lines.length) {
+            const line = this.lines[this.currentLine];
+            const trimmed = line.trim();
+            
+            if (trimmed === '') {
+                this.currentLine++;
+                continue;
+            }
+            
+            if (trimmed.startsWith('#')) {
+                if (pendingComments.length === 0) commentStart = this.currentLine;
+                pendingComments.push(trimmed);
+                this.currentLine++;
+                continue;
+            }
+            
+            const indent = line.search(/\S/);
+            if (indent !== baseIndent || !this.isSequenceItem(trimmed)) {
+                break;
+            }
+            this.checkIndentation(this.currentLine);
+            
+            const content = trimmed.substring(1).trim();
+            let value;
+            let comment = null;
+            
+            if (this.isSequenceItem(content) || this.splitKey(content)) {
+                // Nested mapping or sequence starting on the dash line: blank out the
+                // dash so the item reads as a block indented to its first character
+                const itemIndent = indent + 1 + trimmed.substring(1).search(/\S/);
+                this.lines[this.currentLine] = ' '.repeat(itemIndent) + content;
+                value = this.parseBlock(itemIndent);
+            } else {
+                const lineIndex = this.currentLine;
+                this.currentLine++;
+                const parsed = this.parseValue(content, indent, lineIndex, false);
+                value = parsed.value;
+                comment = parsed.comment;
+            }
+            
+            items.push({
+                _value: value,
+                _comments: comment ? [...pendingComments, comment] : [...pendingComments]
+            });
+            pendingComments = [];
+        }
+        
+        if (pendingComments.length > 0) {
+            this.currentLine = commentStart;
+        }
+        
+        return items;
+    }
+    
+    /**
+     * Parses the block starting at the current line as a sequence or a mapping
+     */
+    parseBlock(indent) {
+        const next = this.peekContentLine();
+        if (next && next.indent === indent && this.isSequenceItem(next.trimmed)) {
+            return this.parseSequence(indent);
+        }
+        return this.parseLevel(indent);
+    }
+    
+    /**
+     * Parses the value written after a "key:" or "- " (the current line is already past it):
+     * an alias, a block scalar, a nested block, a flow collection, or a quoted or plain scalar
+     * that may continue on more-indented lines. Returns { value, comment } where comment is
+     * the inline "# ..." comment, if any. sameIndentSequence allows a sequence written at
+     * the indentation of its key.
+     */
+    parseValue(text, indent, lineIndex, sameIndentSequence) {
+        const split = this.stripComment(text);
+        let value = split.value;
+        let anchor = null;
+        
+        // Node properties: an &anchor and/or a !tag, in either order
+        let match;
+        while ((match = value.match(/^(&|!)(\S*)\s*/)) !== null) {
+            if (match[1] === '&') anchor = match[2];
+            value = value.substring(match[0].length);
+        }
+        
+        const column = Math.max(this.lines[lineIndex].indexOf(value), indent) + 1;
+        let result;
+        if (value.startsWith('*')) {
+            result = this.resolveAlias(value.substring(1).trim(), lineIndex);
+        } else if (/^[|>]/.test(value)) {
+            if (!/^[|>]([1-9][+-]?|[+-][1-9]?)?$/.test(value)) {
+                this.report(lineIndex, column, `Invalid block scalar header "${value}"`);
+            }
+            result = this.parseBlockScalar(value, indent);
+        } else if (value === '') {
+            const next = this.peekContentLine();
+            if (next && next.indent > indent) {
+                // Nested block (mapping or sequence)
+                result = this.parseBlock(next.indent);
+            } else if (sameIndentSequence && next && next.indent === indent && this.isSequenceItem(next.trimmed)) {
+                // Sequence written at the same indentation as its key
+                result = this.parseSequence(indent);
+            } else {
+                result = '';
+            }
+        } else if (value.startsWith('[') || value.startsWith('{')) {
+            const flow = this.continueFlow(value, indent);
+            result = this.parseFlow(flow);
+            if (result === flow) {
+                this.report(lineIndex, column, this.flowDepth(flow) > 0
+                    ? 'Unterminated flow collection; it is read as plain text'
+                    : 'Malformed flow collection; it is read as plain text');
+            }
+        } else if ((value.startsWith('"') || value.startsWith("'")) && this.quoteEnd(value, 0) === -1) {
+            result = this.continueQuoted(value, indent);
+            if (this.quoteEnd(result, 0) === -1) {
+                this.report(lineIndex, column, 'Unterminated quoted value');
+            }
+        } else if ((value.startsWith('"') || value.startsWith("'")) && this.quoteEnd(value, 0) !== value.length - 1) {
+            this.report(lineIndex, column, 'Unexpected text after the quoted value; it is read as plain text');
+            result = value;
+        } else {
+            result = this.continuePlain(value, indent);
+        }
+        
+        if (anchor) {
+            this.anchors.set(anchor, result);
+        }
+        return { value: result, comment: split.comment };
+    }
+    
+    /**
+     * Splits "key: rest" on the first ": " (or a trailing ":") outside quotes, so keys may be
+     * quoted or contain colons, as in URLs. Returns { key, quoted, rest } or null when the line
+     * is not a mapping entry.
+     */
+    splitKey(trimmed) {
+        if (trimmed === '' || trimmed.startsWith('#') || trimmed.startsWith('{') || this.isSequenceItem(trimmed)) {
+            return null;
+        }
+        
+        if (trimmed.startsWith('"') || trimmed.startsWith("'")) {
+            const end = this.quoteEnd(trimmed, 0);
+            if (end === -1) return null;
+            // Like JSON, a quoted key needs no space after its colon
+            const after = trimmed.substring(end + 1).match(/^\s*:\s*/);
+            if (!after) return null;
+            return {
+                key: this.unquote(trimmed.substring(0, end + 1)),
+                quoted: true,
+                rest: trimmed.substring(end + 1 + after[0].length)
+            };
+        }
+        
+        for (let i = 0; i < trimmed.length; i++) {
+            const ch = trimmed[i];
+            if (ch === '#' && i > 0 && /\s/.test(trimmed[i - 1])) {
+                return null;
+            }
+            if (ch === ':' && (i === trimmed.length - 1 || /\s/.test(trimmed[i + 1]))) {
+                const key = trimmed.substring(0, i).trim();
+                // "[a, b: c]" is a flow sequence, while "[a.b]:" is a bracketed map key
+                if (key === '' || (key.startsWith('[') && !/^\[[^\]]*\]$/.test(key))) return null;
+                return { key: key, quoted: false, rest: trimmed.substring(i + 1).trim() };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Returns the index of the quote closing the quoted scalar that starts at start, or -1
+     */
+    quoteEnd(text, start) {
+        const quote = text[start];
+        for (let i = start + 1; i < text.length; i++) {
+            if (quote === '"' && text[i] === '\\') {
+                i++;
+            } else if (text[i] === quote) {
+                if (quote === "'" && text[i + 1] === "'") {
+                    i++;
+                } else {
+                    return i;
+                }
+            }
+        }
+        return -1;
+    }
+    
+    /**
+     * Separates a trailing " # comment" from a value, ignoring "#" inside quotes
+     */
+    stripComment(text) {
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if ((ch === '"' || ch === "'") && (i === 0 || /[\s\[{,:]/.test(text[i - 1]))) {
+                const end = this.quoteEnd(text, i);
+                if (end === -1) break;
+                i = end;
+            } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+                return { value: text.substring(0, i).trim(), comment: text.substring(i).trim() };
+            }
+        }
+        return { value: text.trim(), comment: null };
+    }
+    
+    /**
+     * Returns a copy of the value an alias refers to, or '' (with an error) for an unknown anchor
+     */
+    resolveAlias(name, lineIndex) {
+        if (!this.anchors.has(name)) {
+            const column = Math.max(this.lines[lineIndex].indexOf('*' + name), 0) + 1;
+            this.report(lineIndex, column, `Unknown alias "*${name}"`);
+            return '';
+        }
+        return this.copyValue(this.anchors.get(name));
+    }
+    
+    /**
+     * Deep-copies a parsed value so expanded aliases do not share nodes
+     */
+    copyValue(value) {
+        if (typeof value !== 'object' || value === null) {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.copyNode(item));
+        }
+        const copy = {};
+        for (const key of Object.keys(value)) {
+            copy[key] = this.copyNode(value[key]);
+        }
+        return copy;
+    }
+    
+    /**
+     * Deep-copies a single { _value, _comments } node
+     */
+    copyNode(node) {
+        return { _value: this.copyValue(node._value), _comments: [...(node._comments || [])] };
+    }
+    
+    /**
+     * Adds the keys of << merge sources that the mapping does not set itself. A merge value may
+     * be one mapping or a sequence of them; earlier sources win over later ones.
+     */
+    applyMerges(obj, merges) {
+        if (merges.length === 0) {
+            return obj;
+        }
+        
+        const sources = [];
+        for (const merge of merges) {
+            if (Array.isArray(merge)) {
+                sources.push(...merge.map(item => item._value));
+            } else {
+                sources.push(merge);
+            }
+        }
+        
+        const merged = {};
+        for (const source of sources) {
+            if (typeof source !== 'object' || source === null || Array.isArray(source)) continue;
+            for (const key of Object.keys(source)) {
+                if (!(key in obj) && !(key in merged)) {
+                    merged[key] = this.copyNode(source[key]);
+                }
+            }
+        }
+        return { ...merged, ...obj };
+    }
+    
+    /**
+     * Reads the lines of a literal (|) or folded (>) block scalar and returns its content,
+     * honouring the chomping (+ / -) and indentation indicators of the header
+     */
+    parseBlockScalar(header, parentIndent) {
+        const folded = header.startsWith('>');
+        const chomping = (header.match(/[+-]/) || [''])[0];
+        const explicit = header.match(/[1-9]/);
+        let contentIndent = explicit ? parentIndent + Number(explicit[0]) : -1;
+        
+        const lines = [];
+        while (this.currentLine < this.lines.length) {
+            const line = this.lines[this.currentLine];
+            if (line.trim() === '') {
+                // The empty string after the final line break is no line of its own
+                if (this.currentLine < this.lines.length - 1) lines.push('');
+                this.currentLine++;
+                continue;
+            }
+            const indent = line.search(/\S/);
+            if (contentIndent === -1) {
+                if (indent <= parentIndent) break;
+                contentIndent = indent;
+            }
+            if (indent < contentIndent) break;
+            lines.push(line.substring(contentIndent));
+            this.currentLine++;
+        }
+        
+        // Trailing blank lines only matter for "keep" chomping; leave them for the caller otherwise
+        let end = lines.length;
+        while (end > 0 && lines[end - 1] === '') end--;
+        const trailing = lines.length - end;
+        const content = lines.slice(0, end);
+        
+        let text = folded ? this.foldLines(content) : content.join('\n');
+        if (content.length > 0 && chomping !== '-') text += '\n';
+        if (chomping === '+') text += '\n'.repeat(trailing);
+        return text;
+    }
+    
+    /**
+     * Folds block scalar lines: a single line break between two normal lines becomes a space,
+     * runs of empty lines become line breaks, and more-indented lines keep their breaks
+     */
+    foldLines(lines) {
+        let text = '';
+        let previous = null;
+        let empty = 0;
+        
+        for (const line of lines) {
+            if (line === '') {
+                empty++;
+                continue;
+            }
+            const moreIndented = /^\s/.test(line);
+            if (previous === null) {
+                text += '\n'.repeat(empty);
+            } else if (previous || moreIndented) {
+                text += '\n'.repeat(empty + 1);
+            } else {
+                text += empty > 0 ? '\n'.repeat(empty) : ' ';
+            }
+            text += line;
+            previous = moreIndented;
+            empty = 0;
+        }
+        
+        return text;
+    }
+    
+    /**
+     * Appends following lines indented deeper than indent to a flow collection until its
+     * brackets balance
+     */
+    continueFlow(value, indent) {
+        let text = value;
+        while (this.flowDepth(text) > 0 && this.currentLine < this.lines.length) {
+            const line = this.lines[this.currentLine];
+            const next = line.trim();
+            if (next !== '' && line.search(/\S/) <= indent) break;
+            this.currentLine++;
+            if (next === '' || next.startsWith('#')) continue;
+            text += ' ' + this.stripComment(next).value;
+        }
+        return text;
+    }
+    
+    /**
+     * Counts the flow brackets left open in text, skipping quoted scalars
+     */
+    flowDepth(text) {
+        let depth = 0;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if ((ch === '"' || ch === "'") && (i === 0 || /[\s\[{,:]/.test(text[i - 1]))) {
+                const end = this.quoteEnd(text, i);
+                if (end === -1) return depth;
+                i = end;
+            } else if (ch === '[' || ch === '{') {
+                depth++;
+            } else if (ch === ']' || ch === '}') {
+                depth--;
+            }
+        }
+        return depth;
+    }
+    
+    /**
+     * Joins the lines indented deeper than indent of a quoted scalar that spans several lines,
+     * folding each line break to a space (empty lines to a line break)
+     */
+    continueQuoted(value, indent) {
+        let text = value;
+        let empty = 0;
+        while (this.currentLine < this.lines.length) {
+            const line = this.lines[this.currentLine];
+            const next = line.trim();
+            if (next !== '' && line.search(/\S/) <= indent) break;
+            this.currentLine++;
+            if (next === '') {
+                empty++;
+                continue;
+            }
+            text += (empty > 0 ? '\n'.repeat(empty) : ' ') + next;
+            empty = 0;
+            if (this.quoteEnd(text, 0) !== -1) {
+                return text.substring(0, this.quoteEnd(text, 0) + 1);
+            }
+        }
+        return text;
+    }
+    
+    /**
+     * Folds the more-indented lines that continue a plain scalar into it
+     */
+    continuePlain(value, indent) {
+        let text = value;
+        while (this.currentLine < this.lines.length) {
+            const line = this.lines[this.currentLine];
+            const trimmed = line.trim();
+            // A "key:" line cannot continue a scalar; it is a mis-indented entry
+            if (trimmed === '' || trimmed.startsWith('#') || line.search(/\S/) <= indent || this.splitKey(trimmed)) {
+                break;
+            }
+            text += ' ' + this.stripComment(trimmed).value;
+            this.currentLine++;
+        }
+        return text;
+    }
+    
+    /**
+     * Returns the next line that is neither blank nor a comment, without consuming it
+     */
+    peekContentLine() {
+        for (let i = this.currentLine; i < this.lines.length; i++) {
+            const trimmed = this.lines[i].trim();
+            if (trimmed !== '' && !trimmed.startsWith('#')) {
+                return { index: i, indent: this.lines[i].search(/\S/), trimmed: trimmed };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Checks whether a trimmed line is a block sequence entry ("- item" or a bare "-")
+     */
+    isSequenceItem(trimmed) {
+        return trimmed === '-' || trimmed.startsWith('- ');
+    }
+    
+    /**
+     * Parses a flow collection such as [a, {b: 1}, *alias] into sequence item and mapping nodes.
+     * Text that does not parse as a complete collection is kept as a plain scalar.
+     */
+    parseFlow(text) {
+        const cursor = { text: text, index: 0 };
+        const value = this.parseFlowNode(cursor, false);
+        this.skipFlowSpace(cursor);
+        return cursor.index === text.length && !cursor.failed ? value : text;
+    }
+    
+    /**
+     * Parses one flow node at the cursor; inMapping stops plain scalars at ": " as well
+     */
+    parseFlowNode(cursor, inMapping) {
+        this.skipFlowSpace(cursor);
+        const text = cursor.text;
+        let anchor = null;
+        let match;
+        while ((match = text.substring(cursor.index).match(/^(&|!)([^\s,\[\]{}]*)\s*/)) !== null) {
+            if (match[1] === '&') anchor = match[2];
+            cursor.index += match[0].length;
+        }
+        
+        let value;
+        const ch = text[cursor.index];
+        if (ch === '[') {
+            value = this.parseFlowSequence(cursor);
+        } else if (ch === '{') {
+            value = this.parseFlowMapping(cursor);
+        } else if (ch === '*') {
+            const name = text.substring(cursor.index + 1).match(/^[^\s,\[\]{}]*/)[0];
+            cursor.index += name.length + 1;
+            value = this.resolveAlias(name, this.currentLine - 1);
+        } else if (ch === '"' || ch === "'") {
+            const end = this.quoteEnd(text, cursor.index);
+            if (end === -1) {
+                cursor.failed = true;
+                return '';
+            }
+            value = text.substring(cursor.index, end + 1);
+            cursor.index = end + 1;
+        } else {
+            const start = cursor.index;
+            while (cursor.index < text.length) {
+                const current = text[cursor.index];
+                const next = text[cursor.index + 1];
+                if (current === ',' || current === ']' || current === '}') break;
+                if (inMapping && current === ':' && (next === undefined || /[\s,\]}]/.test(next))) break;
+                cursor.index++;
+            }
+            value = text.substring(start, cursor.index).trim();
+        }
+        
+        if (anchor) {
+            this.anchors.set(anchor, value);
+        }
+        return value;
+    }
+    
+    /**
+     * Parses a flow sequence such as [a, b, [c, d]] into sequence item nodes
+     */
+    parseFlowSequence(cursor) {
+        const items = [];
+        cursor.index++;
+        
+        while (!cursor.failed) {
+            this.skipFlowSpace(cursor);
+            if (cursor.index >= cursor.text.length) {
+                cursor.failed = true;
+                break;
+            }
+            if (cursor.text[cursor.index] === ']') {
+                cursor.index++;
+                break;
+            }
+            items.push({ _value: this.parseFlowNode(cursor, false), _comments: [] });
+            this.skipFlowSpace(cursor);
+            if (cursor.text[cursor.index] === ',') {
+                cursor.index++;
+            } else if (cursor.text[cursor.index] !== ']') {
+                cursor.failed = true;
+            }
+        }
+        
+        return items;
+    }
+    
+    /**
+     * Parses a flow mapping such as {a: 1, "b": [x]} into mapping nodes; << merge keys apply
+     */
+    parseFlowMapping(cursor) {
+        const obj = {};
+        const merges = [];
+        cursor.index++;
+        
+        while (!cursor.failed) {
+            this.skipFlowSpace(cursor);
+            if (cursor.index >= cursor.text.length) {
+                cursor.failed = true;
+                break;
+            }
+            if (cursor.text[cursor.index] === '}') {
+                cursor.index++;
+                break;
+            }
+            
+            const quoted = cursor.text[cursor.index] === '"' || cursor.text[cursor.index] === "'";
+            const rawKey = this.parseFlowNode(cursor, true);
+            const key = typeof rawKey === 'string' ? this.unquote(rawKey) : JSON.stringify(rawKey);
+            this.skipFlowSpace(cursor);
+            
+            let value = '';
+            if (cursor.text[cursor.index] === ':') {
+                cursor.index++;
+                value = this.parseFlowNode(cursor, true);
+                this.skipFlowSpace(cursor);
+            }
+            
+            if (key === '<<' && !quoted) {
+                merges.push(value);
+            } else {
+                obj[key] = { _value: value, _comments: [] };
+            }
+            
+            if (cursor.text[cursor.index] === ',') {
+                cursor.index++;
+            } else if (cursor.text[cursor.index] !== '}') {
+                cursor.failed = true;
+            }
+        }
+        
+        return this.applyMerges(obj, merges);
+    }
+    
+    /**
+     * Moves the cursor past whitespace
+     */
+    skipFlowSpace(cursor) {
+        while (cursor.index < cursor.text.length && /\s/.test(cursor.text[cursor.index])) {
+            cursor.index++;
+        }
+    }
+    
+    /**
+     * Recursively sorts YAML object by keys
+     */
+    sortRecursively(obj) {
+        if (typeof obj !== 'object' || obj === null) {
+            return obj;
+        }
+        
+        // Sequence order is significant, so only the contents of each item are sorted
+        if (Array.isArray(obj)) {
+            return obj.map(item => this.sortNode(item));
+        }
+        
+        const sorted = {};
+        const keys = Object.keys(obj).sort();
+        
+        for (const key of keys) {
+            sorted[key] = this.sortNode(obj[key]);
+        }
+        
+        return sorted;
+    }
+    
+    /**
+     * Sorts the children of a single node, keeping its metadata
+     */
+    sortNode(item) {
+        if (item && typeof item === 'object' && '_value' in item) {
+            // This is a YAML node with metadata
+            if (typeof item._value === 'object' && item._value !== null) {
+                return {
+                    _value: this.sortRecursively(item._value),
+                    _comments: item._comments || [],
+                    _trailing: item._trailing || []
+                };
+            }
+            return item;
+        }
+        return this.sortRecursively(item);
+    }
+    
+    /**
+     * Converts YAML object back to string format.
+     * options.indentWidth sets the spaces per level (default 2); options.comments = false drops comments.
+     */
+    stringify(obj, indent = 0, options = {}) {
+        if (typeof obj !== 'object' || obj === null) {
+            return String(obj);
+        }
+        
+        if (Array.isArray(obj)) {
+            return this.stringifySequence(obj, indent, options);
+        }
+        
+        const lines = [];
+        const indentStr = ' '.repeat((options.indentWidth || 2) * indent);
+        
+        for (const key of Object.keys(obj)) {
+            const item = obj[key];
+            
+            if (item && typeof item === 'object' && '_value' in item) {
+                // Add comments
+                if (item._comments && item._comments.length > 0 && options.comments !== false) {
+                    for (const comment of item._comments) {
+                        lines.push(indentStr + comment);
+                    }
+                }
+                
+                // Add key-value
+                if (typeof item._value === 'object' && item._value !== null && Object.keys(item._value).length > 0) {
+                    lines.push(indentStr + this.formatKey(key) + ':');
+                    lines.push(this.stringify(item._value, indent + 1, options));
+                } else {
+                    lines.push(indentStr + this.formatKey(key) + ': ' + this.formatValue(item._value, indentStr, options));
+                }
+                if (item._trailing && options.comments !== false) {
+                    for (const comment of item._trailing) {
+                        lines.push(indentStr + comment);
+                    }
+                }
+            } else {
+                lines.push(indentStr + this.formatKey(key) + ':');
+                lines.push(this.stringify(item, indent + 1, options));
+            }
+        }
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * Converts sequence items back to "- item" lines
+     */
+    stringifySequence(items, indent, options = {}) {
+        const lines = [];
+        const indentWidth = options.indentWidth || 2;
+        const indentStr = ' '.repeat(indentWidth * indent);
+        const dash = '-' + ' '.repeat(Math.max(indentWidth - 1, 1));
+        
+        for (const item of items) {
+            const node = item && typeof item === 'object' && '_value' in item
+                ? item
+                : { _value: item, _comments: [] };
+            
+            if (options.comments !== false) {
+                for (const comment of node._comments || []) {
+                    lines.push(indentStr + comment);
+                }
+            }
+            
+            const value = node._value;
+            if (typeof value === 'object' && value !== null && Object.keys(value).length > 0) {
+                // Render the item one level deeper and hang its first line off the dash
+                const nested = this.stringify(value, indent + 1, options);
+                if (nested.trimStart().startsWith('#')) {
+                    lines.push(indentStr + '-');
+                    lines.push(nested);
+                } else {
+                    lines.push(indentStr + dash + nested.slice(indentStr.length + indentWidth));
+                }
+            } else {
+                lines.push(indentStr + '- ' + this.formatValue(value, indentStr, options));
+            }
+        }
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * Writes a leaf value after its "key: " or "- ": empty collections in flow style,
+     * multi-line text as a literal block scalar indented one level below indentStr
+     */
+    formatValue(value, indentStr, options = {}) {
+        if (Array.isArray(value)) return '[]';
+        if (typeof value === 'object' && value !== null) return '{}';
+        const text = value != null ? String(value) : '';
+        if (!text.includes('\n')) return text;
+        
+        const body = text.replace(/\n+$/, '');
+        if (body === '') return JSON.stringify(text);
+        
+        // Chomping keeps exactly the trailing line breaks of the value
+        const trailing = text.length - body.length;
+        const chomping = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+        const indentWidth = options.indentWidth || 2;
+        const contentIndent = indentStr + ' '.repeat(indentWidth);
+        const header = '|' + (/^\s/.test(body) ? indentWidth : '') + chomping;
+        const lines = body.split('\n').map(line => line === '' ? '' : contentIndent + line);
+        for (let i = 1; i < trailing; i++) lines.push('');
+        return [header, ...lines].join('\n');
+    }
+    
+    /**
+     * Quotes a mapping key that would not read back as the same plain key, such as
+     * Spring Boot's "[a.b]" map keys
+     */
+    formatKey(key) {
+        const text = String(key);
+        if (text.startsWith('[')) {
+            return JSON.stringify(text);
+        }
+        return text === '<<' ? `'<<'` : this.formatScalar(text);
+    }
+    
+    /**
+     * Builds a YAML tree from flat { key, value, comments } entries, the inverse of flatten.
+     * Indexed keys such as routes[0].id become sequences; values are quoted where YAML requires it.
+     * A key with both a value and keys under it (a=2 and a.b=1) keeps the keys under it, and
+     * list items and named keys under one key keep the later ones; report(message) is called
+     * with what is left out.
+     */
+    unflatten(entries, report = () => {}) {
+        const root = {};
+        const isContainer = (node) => node && typeof node._value === 'object' && node._value !== null;
+        
+        for (const entry of entries) {
+            const path = (String(entry.key).match(/\[[^\]]*\]|[^.[]+/g) || []).map(element => {
+                return /^\[\d+\]$/.test(element) ? Number(element.slice(1, -1)) : element;
+            });
+            if (path.length === 0) continue;
+            const prefix = (length) => path.slice(0, length)
+                .map((element, index) => typeof element === 'number' ? `[${element}]` : (index > 0 ? '.' : '') + element)
+                .join('');
+            
+            let container = root;
+            for (let i = 0; i < path.length; i++) {
+                const element = path[i];
+                const isLast = i === path.length - 1;
+                if (isLast) {
+                    if (isContainer(container[element])) {
+                        report(`${entry.key} is left out: keys under it are set too, and YAML cannot hold both`);
+                        break;
+                    }
+                    container[element] = {
+                        _value: this.formatScalar(entry.value),
+                        _comments: entry.comments || []
+                    };
+                    break;
+                }
+                
+                const childIsSequence = typeof path[i + 1] === 'number';
+                const existing = container[element];
+                if (existing && !isContainer(existing)) {
+                    report(`${prefix(i + 1)} is left out: keys under it are set too, and YAML cannot hold both`);
+                } else if (existing && Array.isArray(existing._value) !== childIsSequence) {
+                    report(`The ${childIsSequence ? 'named keys' : 'list items'} under ${prefix(i + 1)} are left out: ${entry.key} makes it a ${childIsSequence ? 'list' : 'map'}`);
+                }
+                if (!isContainer(existing) || Array.isArray(existing._value) !== childIsSequence) {
+                    container[element] = {
+                        _value: childIsSequence ? [] : {},
+                        _comments: existing ? existing._comments : []
+                    };
+                }
+                container = container[element]._value;
+            }
+        }
+        
+        // Indices may be sparse (e.g. only [2] given); keep them in order without gaps
+        const compact = (node) => {
+            if (!node || typeof node !== 'object') return node;
+            const value = node._value;
+            if (Array.isArray(value)) {
+                node._value = value.filter(item => item !== undefined).map(compact);
+            } else if (value && typeof value === 'object') {
+                for (const key of Object.keys(value)) compact(value[key]);
+            }
+            return node;
+        };
+        for (const key of Object.keys(root)) compact(root[key]);
+        
+        return root;
+    }
+    
+    /**
+     * Writes a plain string value as a YAML scalar, single-quoting it when it would
+     * otherwise be read differently (empty, leading indicators, ": " or " #" inside, padding,
+     * or a value YAML 1.1 reads as another type, see readsAsOtherType).
+     * Multi-line text is left as is for stringify to write as a block scalar.
+     */
+    formatScalar(value) {
+        const text = value != null ? String(value) : '';
+        if (text.includes('\n')) {
+            return text;
+        }
+        if (text === '' || /^[\s\-?:,[\]{}#&*!|>'"%@`]|:\s|\s#|:$|\s$/.test(text) || this.readsAsOtherType(text)) {
+            return `'${text.replace(/'/g, "''")}'`;
+        }
+        return text;
+    }
+    
+    /**
+     * Checks whether SnakeYAML, which reads YAML 1.1 for Spring Boot, resolves a plain scalar
+     * to a value Spring Boot does not read back as the same text: null, ~, yes, no, on, off,
+     * octal, hex and sexagesimal numbers, floats and the like. Plain true, false and decimal
+     * integers read back as written.
+     */
+    readsAsOtherType(text) {
+        if (/^(true|false|0|-?[1-9][0-9]*)$/.test(text)) return false;
+        return Object.values(YAMLParser.YAML11_TYPES).some(pattern => pattern.test(text));
+    }
+    
+    /**
+     * Strips the quotes of a single- or double-quoted scalar, returning other values unchanged.
+     * Double-quoted scalars have their escapes (\\n, \\t, \\uXXXX, ...) decoded.
+     */
+    unquote(value) {
+        const text = value != null ? String(value) : '';
+        if (/^'[\s\S]*'$/.test(text) && text.length >= 2) {
+            return text.slice(1, -1).replace(/''/g, "'");
+        }
+        if (/^"[\s\S]*"$/.test(text) && text.length >= 2) {
+            return text.slice(1, -1).replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|[\s\S])/g, (match, escape) => {
+                if (escape.length > 1) {
+                    return String.fromCodePoint(parseInt(escape.substring(1), 16));
+                }
+                return escape in YAMLParser.ESCAPES ? YAMLParser.ESCAPES[escape] : escape;
+            });
+        }
+        return text;
+    }
+    
+    /**
+     * Flattens YAML object to key-value pairs for comparison.
+     * Sequence items are keyed by index the way Spring Boot binds them, e.g. routes[0].id
+     */
+    flatten(obj, prefix = '') {
+        const result = [];
+        
+        if (typeof obj !== 'object' || obj === null) {
+            return [{ key: prefix || '', value: obj != null ? String(obj) : '', comments: [] }];
+        }
+        
+        const isSequence = Array.isArray(obj);
+        
+        for (const key of Object.keys(obj)) {
+            const item = obj[key];
+            // Bracketed map keys ("[a.b]") attach without a dot, as Spring Boot writes them
+            const fullKey = isSequence ? `${prefix}[${key}]` : (prefix && !key.startsWith('[') ? `${prefix}.${key}` : `${prefix}${key}`);
+            
+            if (item == null) {
+                result.push({ key: fullKey, value: '', comments: [] });
+            } else if (typeof item === 'object' && '_value' in item) {
+                if (typeof item._value === 'object' && item._value !== null && Object.keys(item._value).length > 0) {
+                    result.push(...this.flatten(item._value, fullKey));
+                } else {
+                    result.push({
+                        key: fullKey,
+                        value: item._value != null && typeof item._value !== 'object' ? String(item._value) : '',
+                        comments: item._comments || []
+                    });
+                }
+            } else if (typeof item === 'object') {
+                result.push(...this.flatten(item, fullKey));
+            } else {
+                result.push({ key: fullKey, value: String(item), comments: [] });
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Lists the comments that trail the last key of a block as [{ key, comments }], key being
+     * the flattened key they follow
+     */
+    trailingComments(obj, prefix = '') {
+        const result = [];
+        if (typeof obj !== 'object' || obj === null) return result;
+        const isSequence = Array.isArray(obj);
+        
+        for (const key of Object.keys(obj)) {
+            const item = obj[key];
+            if (!item || typeof item !== 'object' || !('_value' in item)) continue;
+            const fullKey = isSequence ? `${prefix}[${key}]` : (prefix && !key.startsWith('[') ? `${prefix}.${key}` : `${prefix}${key}`);
+            result.push(...this.trailingComments(item._value, fullKey));
+            if (item._trailing && item._trailing.length > 0) {
+                result.push({ key: fullKey, comments: item._trailing });
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Finds the node of a flattened key (as flatten writes it) in a parsed tree. Mapping keys
+     * are matched on the longest run of key elements first, so dotted keys written on one
+     * line ("server.port: 8080") are found too. Returns the path from the root as
+     * [{ container, name }] (name being a mapping key or sequence index), or null when the
+     * key is missing; with create, missing mappings, sequences and items are added on the way.
+     */
+    locate(tree, key, create = false) {
+        const elements = [];
+        const pattern = /\[[^\]]*\]|[^.[]+/g;
+        let match;
+        while ((match = pattern.exec(key)) !== null) {
+            elements.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+        }
+        if (elements.length === 0) return null;
+        
+        const path = [];
+        let container = tree;
+        for (let i = 0; i < elements.length;) {
+            let name = null;
+            let next = i + 1;
+            if (Array.isArray(container)) {
+                const index = /^\[(\d+)\]$/.exec(elements[i].text);
+                if (!index) return null;
+                name = Number(index[1]);
+                if (name >= container.length) {
+                    if (!create) return null;
+                    name = container.length;
+                }
+            } else {
+                for (let j = elements.length; j > i && name === null; j--) {
+                    const candidate = key.slice(elements[i].start, elements[j - 1].end);
+                    if (Object.prototype.hasOwnProperty.call(container, candidate)) {
+                        name = candidate;
+                        next = j;
+                    }
+                }
+                if (name === null) {
+                    if (!create) return null;
+                    name = elements[i].text;
+                }
+            }
+            path.push({ container: container, name: name });
+            if (next === elements.length) return path;
+            
+            // Descend, replacing a scalar or a collection of the wrong kind when creating
+            const childIsSequence = /^\[\d+\]$/.test(elements[next].text);
+            const node = container[name];
+            if (!node || typeof node._value !== 'object' || node._value === null || (create && Array.isArray(node._value) !== childIsSequence)) {
+                if (!create) return null;
+                container[name] = { _value: childIsSequence ? [] : {}, _comments: node ? node._comments || [] : [] };
+            }
+            container = container[name]._value;
+            i = next;
+        }
+        return null;
+    }
+    
+    /**
+     * Sets the value of a flattened key in a parsed tree, in place. value is scalar text as
+     * the tree holds it (quotes included). An existing key keeps its place and comments; a
+     * new key is added at the end of its mapping, after the given comment lines.
+     */
+    setValue(tree, key, value, comments = []) {
+        const path = this.locate(tree, key, true);
+        if (!path) return;
+        const { container, name } = path[path.length - 1];
+        const existing = container[name];
+        container[name] = {
+            _value: value,
+            _comments: existing && existing._comments ? existing._comments : comments
+        };
+    }
+    
+    /**
+     * Removes a flattened key from a parsed tree, in place, together with its comments.
+     * Mappings and sequences left empty are removed too, so they do not turn into keys of
+     * their own. Returns whether the key was found.
+     */
+    removeKey(tree, key) {
+        const path = this.locate(tree, key);
+        if (!path) return false;
+        for (let i = path.length - 1; i >= 0; i--) {
+            const { container, name } = path[i];
+            if (Array.isArray(container)) {
+                container.splice(name, 1);
+            } else {
+                delete container[name];
+            }
+            if (Array.isArray(container) ? container.length > 0 : Object.keys(container).length > 0) break;
+        }
+        return true;
+    }
+}
+
+// Single-character escapes of double-quoted YAML scalars
+YAMLParser.ESCAPES = {
+    '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+    ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029'
+};
+
+// Plain scalars SnakeYAML resolves to other types than strings (YAML 1.1)
+YAMLParser.YAML11_TYPES = {
+    bool: /^(yes|Yes|YES|no|No|NO|true|True|TRUE|false|False|FALSE|on|On|ON|off|Off|OFF)$/,
+    null: /^(~|null|Null|NULL)$/,
+    int: /^([-+]?0b_*[0-1]+[0-1_]*|[-+]?0_*[0-7]+[0-7_]*|[-+]?(0|[1-9][0-9_]*)|[-+]?0x_*[0-9a-fA-F]+[0-9a-fA-F_]*|[-+]?[1-9][0-9_]*(:[0-5]?[0-9])+)$/,
+    float: /^([-+]?(\.[0-9]+|[0-9_]+(\.[0-9_]*)?)([eE][-+]?[0-9]+)?|[-+]?[0-9][0-9_]*(:[0-5]?[0-9])+\.[0-9_]*|[-+]?\.(inf|Inf|INF)|\.(nan|NaN|NAN))$/,
+    value: /^=$/
+};
+
+// ==================== JSON PARSER ====================
+
+class JSONParser {
+    /**
+     * Parses a JSON config, such as the value of SPRING_APPLICATION_JSON, into the tree of
+     * { _value, _comments } nodes YAMLParser builds, so it sorts and flattens the same way.
+     * Strings are decoded, numbers and booleans keep their text and null is an empty value.
+     * Problems are recorded in this.diagnostics as { line, column, message, severity }:
+     * a syntax error, which stops the reading, and a top level that is not an object are
+     * errors; duplicate keys are warnings.
+     */
+    parse(text, firstLine = 0) {
+        this.diagnostics = [];
+        this.text = text == null ? '' : String(text);
+        this.position = 0;
+        this.firstLine = firstLine;
+        this.keyPositions = new WeakMap();
+        
+        this.skipSpace();
+        if (this.position === this.text.length) return {};
+        try {
+            const start = this.position;
+            const node = this.parseValue();
+            this.skipSpace();
+            if (this.position < this.text.length) this.fail('Unexpected text after the end of the JSON value');
+            if (!node._value || typeof node._value !== 'object' || Array.isArray(node._value)) {
+                this.report(start, 'A JSON config must be an object of properties');
+                return {};
+            }
+            this.checkFlattenedKeys(node._value);
+            return node._value;
+        } catch (error) {
+            if (error.position === undefined) throw error;
+            this.report(error.position, error.message);
+            return {};
+        }
+    }
+    
+    /**
+     * Parses a JSON file, which holds a single document
+     */
+    parseDocuments(text) {
+        if (text == null) return [];
+        const data = this.parse(text);
+        return [{ data: data, startLine: 0, diagnostics: this.diagnostics }];
+    }
+    
+    /**
+     * Records a diagnostic at a character position of the text
+     */
+    report(position, message, severity = 'error') {
+        const location = lineColumn(this.text, position);
+        this.diagnostics.push({ line: this.firstLine + location.line, column: location.column, message: message, severity: severity });
+    }
+    
+    /**
+     * Stops reading with a syntax error at a character position (default: the current one)
+     */
+    fail(message, position = this.position) {
+        const error = new Error(message);
+        error.position = position;
+        throw error;
+    }
+    
+    /**
+     * Moves the position past whitespace
+     */
+    skipSpace() {
+        while (this.position < this.text.length && /\s/.test(this.text[this.position])) {
+            this.position++;
+        }
+    }
+    
+    /**
+     * Reads the value at the current position into a { _value, _comments } node
+     */
+    parseValue() {
+        const char = this.text[this.position];
+        if (char === '{') return { _value: this.parseObject(), _comments: [] };
+        if (char === '[') return { _value: this.parseArray(), _comments: [] };
+        if (char === '"') return { _value: this.parseString(), _comments: [] };
+        
+        const literal = /(true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)(?![\w.+-])/y;
+        literal.lastIndex = this.position;
+        const match = literal.exec(this.text);
+        if (!match) {
+            this.fail(char === undefined ? 'Unexpected end of the JSON text' : `Unexpected character "${char}"`);
+        }
+        this.position += match[0].length;
+        return { _value: match[1] === 'null' ? null : match[1], _comments: [] };
+    }
+    
+    /**
+     * Reads an object into a mapping of nodes; a key given twice keeps its last value
+     */
+    parseObject() {
+        const object = {};
+        const keyPositions = new Map();
+        this.position++;
+        this.skipSpace();
+        if (this.text[this.position] === '}') {
+            this.position++;
+            return object;
+        }
+        
+        let next = ',';
+        while (next === ',') {
+            this.skipSpace();
+            if (this.text[this.position] !== '"') this.fail('Expected a property name in double quotes');
+            const start = this.position;
+            const key = this.parseString();
+            if (keyPositions.has(key)) {
+                const line = this.firstLine + lineColumn(this.text, keyPositions.get(key)).line;
+                this.report(start, `Duplicate key "${key}" overrides the value on line ${line}`, 'warning');
+            }
+            keyPositions.set(key, start);
+            
+            this.skipSpace();
+            if (this.text[this.position] !== ':') this.fail('Expected ":" after the property name');
+            this.position++;
+            this.skipSpace();
+            object[key] = this.parseValue();
+            this.keyPositions.set(object[key], start);
+            this.skipSpace();
+            next = this.text[this.position++];
+        }
+        if (next !== '}') this.fail('Expected "," or "}" after the property value', this.position - 1);
+        return object;
+    }
+    
+    /**
+     * Reports keys that flatten to the same key, such as "a.b" and "a": { "b" }, as duplicates
+     */
+    checkFlattenedKeys(value, prefix = '', seen = new Map()) {
+        const isSequence = Array.isArray(value);
+        for (const key of Object.keys(value)) {
+            const node = value[key];
+            const fullKey = isSequence ? `${prefix}[${key}]` : (prefix && !key.startsWith('[') ? `${prefix}.${key}` : `${prefix}${key}`);
+            if (node._value && typeof node._value === 'object' && Object.keys(node._value).length > 0) {
+                this.checkFlattenedKeys(node._value, fullKey, seen);
+                continue;
+            }
+            const position = this.keyPositions.get(node);
+            if (seen.has(fullKey) && position !== undefined) {
+                const line = this.firstLine + lineColumn(this.text, seen.get(fullKey)).line;
+                this.report(position, `Duplicate key "${fullKey}" overrides the value on line ${line}`, 'warning');
+            }
+            if (position !== undefined) seen.set(fullKey, position);
+        }
+    }
+    
+    /**
+     * Reads an array into a sequence of nodes
+     */
+    parseArray() {
+        const items = [];
+        this.position++;
+        this.skipSpace();
+        if (this.text[this.position] === ']') {
+            this.position++;
+            return items;
+        }
+        
+        let next = ',';
+        while (next === ',') {
+            this.skipSpace();
+            const start = this.position;
+            items.push(this.parseValue());
+            this.keyPositions.set(items[items.length - 1], start);
+            this.skipSpace();
+            next = this.text[this.position++];
+        }
+        if (next !== ']') this.fail('Expected "," or "]" after the array item', this.position - 1);
+        return items;
+    }
+    
+    /**
+     * Reads a double-quoted string, decoding its escapes
+     */
+    parseString() {
+        const start = this.position;
+        let result = '';
+        this.position++;
+        
+        while (this.position < this.text.length && !/[\r\n]/.test(this.text[this.position])) {
+            const char = this.text[this.position];
+            if (char === '"') {
+                this.position++;
+                return result;
+            }
+            if (char !== '\\') {
+                result += char;
+                this.position++;
+                continue;
+            }
+            
+            const escape = this.text[this.position + 1];
+            if (escape === 'u') {
+                const hex = this.text.substr(this.position + 2, 4);
+                if (!/^[0-9a-fA-F]{4}$/.test(hex)) this.fail('Malformed \\uXXXX escape');
+                result += String.fromCharCode(parseInt(hex, 16));
+                this.position += 6;
+            } else {
+                if (!(escape in JSONParser.ESCAPES)) this.fail(`Invalid escape "\\${escape || ''}"`);
+                result += JSONParser.ESCAPES[escape];
+                this.position += 2;
+            }
+        }
+        this.fail('Unterminated string', start);
+    }
+    
+    /**
+     * Flattens a parsed JSON tree the way YAMLParser.flatten does
+     */
+    flatten(data) {
+        return new YAMLParser().flatten(data);
+    }
+    
+    /**
+     * JSON has no comments
+     */
+    trailingComments() {
+        return [];
+    }
+}
+
+// Single-character escapes of JSON strings
+JSONParser.ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+// ==================== TOML PARSER ====================
+
+class TOMLParser {
+    /**
+     * Parses TOML into the tree of { _value, _comments } nodes YAMLParser builds: [tables] and
+     * dotted keys nest mappings, [[arrays of tables]] add items to sequences, and the comment
+     * lines above a key (or above the header of the table it opens) and its inline comment
+     * become its comments. Strings are decoded, integers written in decimal and floats,
+     * booleans and dates keep their text. Problems are recorded in this.diagnostics as
+     * { line, column, message, severity }: lines that cannot be read are errors and skipped,
+     * keys and tables defined twice are warnings.
+     */
+    parse(text, firstLine = 0) {
+        this.diagnostics = [];
+        this.text = text == null ? '' : String(text);
+        this.position = 0;
+        this.firstLine = firstLine;
+        this.keyPositions = new WeakMap();
+        this.tablePositions = new Map();
+        const root = {};
+        let table = root;
+        let comments = [];
+        let lastNode = null;
+        
+        while (this.position < this.text.length) {
+            this.skipSpace();
+            const char = this.text[this.position];
+            if (char === undefined) break;
+            if (char === '\r' || char === '\n') {
+                this.position++;
+                continue;
+            }
+            if (char === '#') {
+                comments.push(this.readComment());
+                continue;
+            }
+            
+            try {
+                if (char === '[') {
+                    // Keys after a header that cannot be read are dropped with it
+                    table = {};
+                    table = this.parseTable(root);
+                    this.endLine();
+                } else {
+                    const node = this.parseKeyValue(table, comments);
+                    comments = [];
+                    const comment = this.endLine();
+                    if (comment) node._comments.push(comment);
+                    lastNode = node;
+                }
+            } catch (error) {
+                if (error.position === undefined) throw error;
+                this.report(error.position, error.message);
+                this.skipLine();
+            }
+        }
+        
+        // Comments after the last key trail it
+        if (lastNode && comments.length > 0) lastNode._trailing = comments;
+        return root;
+    }
+    
+    /**
+     * Parses a TOML file, which holds a single document
+     */
+    parseDocuments(text) {
+        if (text == null) return [];
+        const data = this.parse(text);
+        return [{ data: data, startLine: 0, diagnostics: this.diagnostics }];
+    }
+    
+    /**
+     * Records a diagnostic at a character position of the text
+     */
+    report(position, message, severity = 'error') {
+        const location = lineColumn(this.text, position);
+        this.diagnostics.push({ line: this.firstLine + location.line, column: location.column, message: message, severity: severity });
+    }
+    
+    /**
+     * Stops reading the line with a syntax error at a character position (default: the current one)
+     */
+    fail(message, position = this.position) {
+        const error = new Error(message);
+        error.position = position;
+        throw error;
+    }
+    
+    /**
+     * Moves the position past the text matching a sticky pattern and returns that text, or null
+     */
+    match(pattern) {
+        pattern.lastIndex = this.position;
+        const match = pattern.exec(this.text);
+        if (!match) return null;
+        this.position += match[0].length;
+        return match[0];
+    }
+    
+    /**
+     * Moves the position past spaces and tabs
+     */
+    skipSpace() {
+        this.match(/[ \t]*/y);
+    }
+    
+    /**
+     * Moves the position past whitespace, line breaks and comments, as allowed inside arrays
+     */
+    skipBlank() {
+        this.match(/\s*/y);
+        while (this.text[this.position] === '#') {
+            this.readComment();
+            this.match(/\s*/y);
+        }
+    }
+    
+    /**
+     * Moves the position to the start of the next line
+     */
+    skipLine() {
+        const end = this.text.indexOf('\n', this.position);
+        this.position = end === -1 ? this.text.length : end + 1;
+    }
+    
+    /**
+     * Reads a comment up to the end of the line
+     */
+    readComment() {
+        return this.match(/#[^\r\n]*/y).trim();
+    }
+    
+    /**
+     * Reads what may follow a value or a table header on its line: nothing or a comment,
+     * which is returned
+     */
+    endLine() {
+        this.skipSpace();
+        const comment = this.text[this.position] === '#' ? this.readComment() : null;
+        if (this.position < this.text.length && !/[\r\n]/.test(this.text[this.position])) {
+            this.fail('Expected the end of the line');
+        }
+        return comment;
+    }
+    
+    /**
+     * Reads a dotted key of bare, "basic" and 'literal' elements into its elements
+     */
+    parseKeys() {
+        const keys = [];
+        let more = true;
+        while (more) {
+            this.skipSpace();
+            const char = this.text[this.position];
+            if (char === '"') {
+                keys.push(this.parseBasicString());
+            } else if (char === "'") {
+                keys.push(this.parseLiteralString());
+            } else {
+                const bare = this.match(/[A-Za-z0-9_-]+/y);
+                if (bare === null) this.fail('Expected a key');
+                keys.push(bare);
+            }
+            this.skipSpace();
+            more = this.text[this.position] === '.';
+            if (more) this.position++;
+        }
+        return keys;
+    }
+    
+    /**
+     * Reads a [table] or [[array of tables]] header and returns the mapping that the keys
+     * below it go into
+     */
+    parseTable(root) {
+        const start = this.position;
+        const isArray = this.text.startsWith('[[', this.position);
+        const close = isArray ? ']]' : ']';
+        this.position += close.length;
+        const keys = this.parseKeys();
+        if (!this.text.startsWith(close, this.position)) this.fail(`Expected "${close}" to close the table header`);
+        this.position += close.length;
+        
+        const parent = this.descend(root, keys.slice(0, -1), start);
+        const name = keys[keys.length - 1];
+        if (isArray) {
+            if (!Object.prototype.hasOwnProperty.call(parent, name)) {
+                parent[name] = { _value: [], _comments: [] };
+            }
+            if (!Array.isArray(parent[name]._value)) this.fail(`Key "${keys.join('.')}" is not an array of tables`, start);
+            const table = {};
+            parent[name]._value.push({ _value: table, _comments: [] });
+            return table;
+        }
+        
+        const table = this.descend(parent, [name], start);
+        if (this.tablePositions.has(table)) {
+            const line = this.firstLine + lineColumn(this.text, this.tablePositions.get(table)).line;
+            this.report(start, `Table [${keys.join('.')}] is already defined on line ${line}`, 'warning');
+        }
+        this.tablePositions.set(table, start);
+        return table;
+    }
+    
+    /**
+     * Walks from a mapping along key elements, adding the mappings that are missing; an array
+     * of tables leads into its last table. Fails when a key on the way holds a value.
+     */
+    descend(mapping, keys, position) {
+        let current = mapping;
+        for (const key of keys) {
+            if (!Object.prototype.hasOwnProperty.call(current, key)) {
+                current[key] = { _value: {}, _comments: [] };
+            }
+            let value = current[key]._value;
+            if (Array.isArray(value) && value.length > 0) {
+                value = value[value.length - 1]._value;
+            }
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                this.fail(`Key "${key}" already holds a value`, position);
+            }
+            current = value;
+        }
+        return current;
+    }
+    
+    /**
+     * Reads a key = value pair into a mapping and returns the node of the value
+     */
+    parseKeyValue(mapping, comments) {
+        const start = this.position;
+        const keys = this.parseKeys();
+        if (this.text[this.position] !== '=') this.fail('Expected "=" after the key');
+        this.position++;
+        this.skipSpace();
+        const node = { _value: this.parseValue(), _comments: [...comments] };
+        
+        const parent = this.descend(mapping, keys.slice(0, -1), start);
+        const name = keys[keys.length - 1];
+        const positions = this.keyPositions.get(parent) || new Map();
+        if (positions.has(name)) {
+            const line = this.firstLine + lineColumn(this.text, positions.get(name)).line;
+            this.report(start, `Duplicate key "${keys.join('.')}" overrides the value on line ${line}`, 'warning');
+        }
+        positions.set(name, start);
+        this.keyPositions.set(parent, positions);
+        parent[name] = node;
+        return node;
+    }
+    
+    /**
+     * Reads a value: a string, an array, an inline table, or a bare integer, float, boolean or date
+     */
+    parseValue() {
+        const char = this.text[this.position];
+        if (this.text.startsWith('"""', this.position)) return this.parseMultilineString('"""');
+        if (this.text.startsWith("'''", this.position)) return this.parseMultilineString("'''");
+        if (char === '"') return this.parseBasicString();
+        if (char === "'") return this.parseLiteralString();
+        if (char === '[') return this.parseArray();
+        if (char === '{') return this.parseInlineTable();
+        
+        const start = this.position;
+        // A date and time may be separated by a space
+        const token = this.match(/\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?|[^\s,\]}#]+/iy);
+        if (token === null) this.fail('Expected a value');
+        const value = this.scalar(token);
+        if (value === null) this.fail(`Invalid value "${token}"`, start);
+        return value;
+    }
+    
+    /**
+     * Converts a bare value to its text, with integers in decimal and no underscores in
+     * numbers; returns null when the token is not a TOML value
+     */
+    scalar(token) {
+        if (token === 'true' || token === 'false' || /^[+-]?(inf|nan)$/.test(token)) return token;
+        if (/^0x[0-9a-fA-F](_?[0-9a-fA-F])*$|^0o[0-7](_?[0-7])*$|^0b[01](_?[01])*$/.test(token)) {
+            return BigInt(token.replace(/_/g, '')).toString();
+        }
+        if (/^[+-]?(0|[1-9](_?\d)*)(\.\d(_?\d)*)?([eE][+-]?\d(_?\d)*)?$/.test(token)) {
+            return token.replace(/_/g, '').replace(/^\+/, '');
+        }
+        if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$|^\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/i.test(token)) {
+            return token;
+        }
+        return null;
+    }
+    
+    /**
+     * Reads a "basic string" on one line, decoding its escapes
+     */
+    parseBasicString() {
+        const start = this.position;
+        let result = '';
+        this.position++;
+        
+        while (this.position < this.text.length && !/[\r\n]/.test(this.text[this.position])) {
+            const char = this.text[this.position];
+            if (char === '"') {
+                this.position++;
+                return result;
+            }
+            if (char === '\\') {
+                result += this.parseEscape();
+            } else {
+                result += char;
+                this.position++;
+            }
+        }
+        this.fail('Unterminated string', start);
+    }
+    
+    /**
+     * Reads a 'literal string' on one line, which has no escapes
+     */
+    parseLiteralString() {
+        const start = this.position;
+        const end = this.text.indexOf("'", start + 1);
+        if (end === -1 || /[\r\n]/.test(this.text.slice(start, end))) this.fail('Unterminated string', start);
+        this.position = end + 1;
+        return this.text.slice(start + 1, end);
+    }
+    
+    /**
+     * Reads a """multi-line basic""" or '''multi-line literal''' string. A line break right
+     * after the opening quotes is dropped, and in basic strings a backslash at the end of a
+     * line joins it to the next text that is not whitespace.
+     */
+    parseMultilineString(quotes) {
+        const start = this.position;
+        let result = '';
+        this.position += 3;
+        this.match(/\r?\n/y);
+        
+        while (this.position < this.text.length) {
+            if (this.text.startsWith(quotes, this.position)) {
+                // Up to two quotes may come right before the closing ones
+                let end = this.position + 3;
+                while (end < this.position + 5 && this.text[end] === quotes[0]) end++;
+                result += quotes[0].repeat(end - this.position - 3);
+                this.position = end;
+                return result;
+            }
+            if (quotes === '"""' && this.text[this.position] === '\\') {
+                if (this.match(/\\[ \t]*\r?\n\s*/y) === null) result += this.parseEscape();
+            } else {
+                result += this.text[this.position];
+                this.position++;
+            }
+        }
+        this.fail('Unterminated multi-line string', start);
+    }
+    
+    /**
+     * Decodes the escape sequence at the current position of a basic string
+     */
+    parseEscape() {
+        const escape = this.text[this.position + 1];
+        if (escape === 'u' || escape === 'U') {
+            const hex = this.text.substr(this.position + 2, escape === 'u' ? 4 : 8);
+            if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== (escape === 'u' ? 4 : 8) || parseInt(hex, 16) > 0x10ffff) {
+                this.fail(`Malformed \\${escape} escape`);
+            }
+            this.position += 2 + hex.length;
+            return String.fromCodePoint(parseInt(hex, 16));
+        }
+        if (!(escape in TOMLParser.ESCAPES)) this.fail(`Invalid escape "\\${escape || ''}"`);
+        this.position += 2;
+        return TOMLParser.ESCAPES[escape];
+    }
+    
+    /**
+     * Reads an [array], which may span lines and hold comments, into a sequence of nodes
+     */
+    parseArray() {
+        const items = [];
+        this.position++;
+        this.skipBlank();
+        
+        while (this.text[this.position] !== ']') {
+            items.push({ _value: this.parseValue(), _comments: [] });
+            this.skipBlank();
+            if (this.text[this.position] === ',') {
+                this.position++;
+                this.skipBlank();
+            } else if (this.text[this.position] !== ']') {
+                this.fail('Expected "," or "]" after the array item');
+            }
+        }
+        this.position++;
+        return items;
+    }
+    
+    /**
+     * Reads an { inline = "table" } into a mapping of nodes
+     */
+    parseInlineTable() {
+        const table = {};
+        this.position++;
+        this.skipSpace();
+        if (this.text[this.position] === '}') {
+            this.position++;
+            return table;
+        }
+        
+        let next = ',';
+        while (next === ',') {
+            this.skipSpace();
+            this.parseKeyValue(table, []);
+            this.skipSpace();
+            next = this.text[this.position++];
+        }
+        if (next !== '}') this.fail('Expected "," or "}" after the inline table value', this.position - 1);
+        return table;
+    }
+    
+    /**
+     * Flattens a parsed TOML tree the way YAMLParser.flatten does
+     */
+    flatten(data) {
+        return new YAMLParser().flatten(data);
+    }
+    
+    /**
+     * Lists the comments after the last key the way YAMLParser.trailingComments does
+     */
+    trailingComments(data) {
+        return new YAMLParser().trailingComments(data);
+    }
+}
+
+// Single-character escapes of TOML basic strings
+TOMLParser.ESCAPES = { '"': '"', '\\': '\\', b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', e: '\x1b' };
+
+// ==================== DOTENV PARSER ====================
+
+class DotenvParser {
+    /**
+     * Parses a .env file the way Docker Compose reads it: KEY=value lines, which may start
+     * with "export", and # comment lines, kept as the comments of the next key. Unquoted
+     * values are trimmed and end at " #"; 'single-quoted' values are literal and
+     * "double-quoted" ones decode \n, \r, \t, \" and \\; both may span lines.
+     * Returns { key, value, comments } entries. Problems are recorded in this.diagnostics as
+     * { line, column, message, severity }: lines that are not KEY=value and unterminated
+     * quotes are errors, duplicate keys and text after a closing quote warnings.
+     */
+    parse(text, firstLine = 0) {
+        this.diagnostics = [];
+        if (text == null) return [];
+        const lines = String(text).split(/\r\n|\r|\n/);
+        const entries = [];
+        const seen = new Map();
+        let comments = [];
+        let i = 0;
+        
+        while (i < lines.length) {
+            const line = lines[i];
+            const trimmed = line.trim();
+            const lineNumber = firstLine + i + 1;
+            i++;
+            if (trimmed === '') continue;
+            if (trimmed.startsWith('#')) {
+                comments.push(trimmed);
+                continue;
+            }
+            
+            const match = /^(?:export\s+)?([A-Za-z_][\w.-]*)\s*=\s*(.*)$/.exec(trimmed);
+            if (!match) {
+                this.report(lineNumber, line.search(/\S/) + 1, 'Expected KEY=value; the line is skipped');
+                continue;
+            }
+            const key = match[1];
+            const valueColumn = line.trimEnd().length - match[2].length + 1;
+            let value = match[2];
+            let comment = null;
+            
+            const quote = value[0];
+            if (quote === '"' || quote === "'") {
+                // A quoted value ends at its closing quote, which may be on a later line
+                let body = value.slice(1);
+                let end = this.closingQuote(body, quote);
+                let next = i;
+                while (end === -1 && next < lines.length) {
+                    body += '\n' + lines[next++];
+                    end = this.closingQuote(body, quote);
+                }
+                if (end === -1) {
+                    this.report(lineNumber, valueColumn, `Unterminated ${quote === '"' ? 'double' : 'single'}-quoted value; the line is skipped`);
+                    continue;
+                }
+                i = next;
+                const rest = body.slice(end + 1).trim();
+                if (rest.startsWith('#')) {
+                    comment = rest;
+                } else if (rest !== '') {
+                    this.report(lineNumber, valueColumn, 'Text after the closing quote is ignored', 'warning');
+                }
+                value = quote === '"'
+                    ? body.slice(0, end).replace(/\\([nrt"\\])/g, (escape, char) => DotenvParser.ESCAPES[char])
+                    : body.slice(0, end);
+            } else {
+                const inline = /(^|\s)#.*$/.exec(value);
+                if (inline) {
+                    comment = inline[0].trim();
+                    value = value.slice(0, inline.index).trim();
+                }
+            }
+            
+            if (seen.has(key)) {
+                this.report(lineNumber, line.search(/\S/) + 1, `Duplicate key "${key}" overrides the value on line ${seen.get(key)}`, 'warning');
+            }
+            seen.set(key, lineNumber);
+            entries.push({ key: key, value: value, comments: comment ? [...comments, comment] : comments });
+            comments = [];
+        }
+        
+        return entries;
+    }
+    
+    /**
+     * Parses a .env file, which holds a single document
+     */
+    parseDocuments(text) {
+        if (text == null) return [];
+        const data = this.parse(text);
+        return [{ data: data, startLine: 0, diagnostics: this.diagnostics }];
+    }
+    
+    /**
+     * Records a diagnostic
+     */
+    report(line, column, message, severity = 'error') {
+        this.diagnostics.push({ line: line, column: column, message: message, severity: severity });
+    }
+    
+    /**
+     * Finds the closing quote of a quoted value (the text after its opening quote); in
+     * double-quoted values a quote escaped with a backslash does not close it. Returns -1
+     * when there is none.
+     */
+    closingQuote(body, quote) {
+        if (quote === "'") return body.indexOf("'");
+        for (let i = 0; i < body.length; i++) {
+            if (body[i] === '\\') {
+                i++;
+            } else if (body[i] === '"') {
+                return i;
+            }
+        }
+        return -1;
+    }
+    
+    /**
+     * Parsed .env entries are already flat
+     */
+    flatten(data) {
+        return Array.isArray(data) ? data : [];
+    }
+}
+
+// Escapes decoded in double-quoted .env values
+DotenvParser.ESCAPES = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\' };
+
+// ==================== CONFIGMAP PARSER ====================
+
+class ConfigMapParser {
+    /**
+     * Reads ConfigMap and Secret manifests into documents of { key, value, comments } entries;
+     * embedded config files are parsed in their own format, and plain keys override them
+     */
+    parseDocuments(text) {
+        this.diagnostics = [];
+        if (text == null) return [];
+        const yaml = new YAMLParser();
+        const lines = String(text).split(/\r\n|\r|\n/);
+        const documents = [];
+        
+        for (const manifest of yaml.parseDocuments(text)) {
+            const fields = manifest.data || {};
+            const kind = fields.kind && typeof fields.kind._value === 'string' ? yaml.unquote(fields.kind._value) : '';
+            const diagnostics = [...manifest.diagnostics];
+            const plain = [];
+            const fileCount = documents.length;
+            
+            if (kind === 'ConfigMap' || kind === 'Secret') {
+                for (const field of ['data', 'stringData']) {
+                    const entries = fields[field] && fields[field]._value;
+                    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) continue;
+                    
+                    for (const name of Object.keys(entries)) {
+                        const entry = entries[name];
+                        const keyIndex = this.keyLine(lines, manifest.startLine, name);
+                        let value = entry && typeof entry._value === 'string' ? yaml.unquote(entry._value) : '';
+                        const encoded = kind === 'Secret' && field === 'data';
+                        if (encoded) {
+                            value = this.decodeBase64(value);
+                            if (value === null) {
+                                diagnostics.push({ line: keyIndex + 1, column: lines[keyIndex].search(/\S/) + 1, message: `The value of "${name}" is not valid base64`, severity: 'error' });
+                                continue;
+                            }
+                        }
+                        
+                        if (isConfigFile(name)) {
+                            // Only a block scalar keeps the lines of the file in the manifest
+                            const written = !encoded && /:\s*[|>]/.test(lines[keyIndex]);
+                            documents.push(...this.parseFile(name, value, lines, keyIndex, written));
+                        } else {
+                            plain.push({ key: name, value: value, comments: (entry && entry._comments) || [] });
+                        }
+                    }
+                }
+            } else if (Object.keys(fields).length > 0) {
+                diagnostics.push({
+                    line: manifest.startLine + 1,
+                    column: 1,
+                    message: `${kind ? `A ${kind}` : 'A resource without a kind'} is skipped; only ConfigMap and Secret data is compared`,
+                    severity: 'warning'
+                });
+            }
+            
+            if (plain.length > 0 || diagnostics.length > 0 || documents.length === fileCount) {
+                documents.push({ data: plain, startLine: manifest.startLine, diagnostics: diagnostics });
+            }
+        }
+        
+        this.diagnostics = documents.flatMap(document => document.diagnostics);
+        return documents;
+    }
+    
+    /**
+     * Parses a config file held in an entry into documents of flattened entries, which apply
+     * to the profile in the file name. Diagnostics are moved to the manifest lines the file
+     * was written on when written is set, along with the lines their messages name, and onto
+     * the line of its key otherwise.
+     */
+    parseFile(name, text, lines, keyIndex, written) {
+        const named = fileTypeFromName(name, text);
+        const fileType = named === 'configmap' ? 'yaml' : named;
+        const format = configFormat(fileType);
+        const parser = format.parser();
+        const yaml = new YAMLParser();
+        const profile = new ConfigStack().layerProfile({ name: name }, []);
+        const indent = Math.max(0, (lines[keyIndex + 1] || '').search(/\S/));
+        const keyColumn = lines[keyIndex].search(/\S/) + 1;
+        
+        // Messages naming another line of the file, like duplicate keys, name it on the manifest too
+        const place = (diagnostic) => written
+            ? {
+                ...diagnostic,
+                line: keyIndex + 1 + diagnostic.line,
+                column: diagnostic.column + indent,
+                message: diagnostic.message.replace(/\b(on line )(\d+)\b/g, (match, prefix, line) => prefix + (keyIndex + 1 + Number(line)))
+            }
+            : { ...diagnostic, line: keyIndex + 1, column: keyColumn, message: `${name}, line ${diagnostic.line}: ${diagnostic.message}` };
+        
+        return parser.parseDocuments(text).map(document => ({
+            data: parser.flatten(document.data).map(entry => ({
+                key: entry.key,
+                value: format.rawValues ? yaml.unquote(entry.value) : entry.value,
+                comments: entry.comments
+            })),
+            startLine: keyIndex + 1 + document.startLine,
+            profile: profile,
+            diagnostics: document.diagnostics.map(place)
+        }));
+    }
+    
+    /**
+     * Finds the 0-based index of the line an entry's key is written on, falling back to the
+     * first line of its manifest
+     */
+    keyLine(lines, startLine, name) {
+        const pattern = new RegExp(`^\\s+(["']?)${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\1\\s*:`);
+        for (let i = startLine; i < lines.length; i++) {
+            if (pattern.test(lines[i])) return i;
+        }
+        return Math.min(startLine, lines.length - 1);
+    }
+    
+    /**
+     * Decodes base64 to UTF-8 text, or returns null when the value is not base64
+     */
+    decodeBase64(value) {
+        const clean = String(value).replace(/\s+/g, '');
+        if (!/^[A-Za-z0-9+/]*={0,2}$/.test(clean) || clean.length % 4 === 1) return null;
+        try {
+            // Node only has atob from version 16
+            const bytes = typeof Buffer !== 'undefined'
+                ? Buffer.from(clean, 'base64')
+                : Uint8Array.from(atob(clean), char => char.charCodeAt(0));
+            return new TextDecoder().decode(bytes);
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Parsed ConfigMap documents are already flat
+     */
+    flatten(data) {
+        return Array.isArray(data) ? data : [];
+    }
+}
+
+// ==================== NORMALIZATION ====================
+
+class ConfigNormalizer {
+    /**
+     * Rewrites config text with sorted keys, optionally converted to options.targetType; keys
+     * the conversion to YAML leaves out go to this.diagnostics
+     */
+    normalize(text, fileType, options = {}) {
+        const targetType = options.targetType || configFormat(fileType).outputType;
+        const documents = configFormat(fileType).parser().parseDocuments(text);
+        this.diagnostics = [];
+        
+        const normalized = documents.map(document => {
+            const entries = this.toEntries(document.data, fileType);
+            return targetType === 'properties'
+                ? this.writeProperties(entries, options)
+                : this.writeYaml(document.data, fileType, entries, options);
+        });
+        
+        const separator = targetType === 'properties' ? '\n#---\n' : '\n---\n';
+        return normalized.join(separator).replace(/\n*$/, '\n');
+    }
+    
+    /**
+     * Flattens parsed data into sorted { key, value, comments } entries
+     */
+    toEntries(data, fileType) {
+        if (fileType === 'properties') {
+            const parser = new PropertyParser();
+            const sorted = parser.sort(data);
+            const entries = [];
+            let comments = [];
+            for (const entry of sorted) {
+                if (entry.type === 'comment') {
+                    comments.push(entry.line.trim());
+                } else if (entry.type === 'property') {
+                    // The raw text lets the writer keep the original escaping
+                    entries.push({ ...entry, comments: comments });
+                    comments = [];
+                }
+            }
+            return entries;
+        }
+        
+        if (!configFormat(fileType).rawValues) {
+            return configFormat(fileType).parser().flatten(data)
+                .map(entry => ({ key: entry.key, value: entry.value, comments: entry.comments }))
+                .sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+        }
+        
+        const parser = new YAMLParser();
+        return parser.flatten(parser.sortRecursively(data)).map(entry => ({
+            key: entry.key,
+            value: parser.unquote(entry.value),
+            comments: entry.comments
+        }));
+    }
+    
+    /**
+     * Writes sorted entries as a properties document
+     */
+    writeProperties(entries, options) {
+        const parser = new PropertyParser();
+        const output = [];
+        for (const entry of entries) {
+            if (options.comments !== false) {
+                for (const comment of entry.comments) {
+                    output.push({ type: 'comment', line: comment.startsWith('#') || comment.startsWith('!') ? comment : `# ${comment}` });
+                }
+            }
+            const { comments, ...property } = entry;
+            output.push({ ...property, type: 'property' });
+        }
+        return parser.stringify(output, { separator: options.separator || undefined });
+    }
+    
+    /**
+     * Writes a YAML document, re-using the parsed tree when the source was already YAML
+     */
+    writeYaml(data, fileType, entries, options) {
+        const parser = new YAMLParser();
+        const report = (message) => this.diagnostics.push({ message: message, severity: 'error' });
+        const tree = fileType === 'yaml' ? parser.sortRecursively(data) : parser.unflatten(entries, report);
+        return parser.stringify(tree, 0, {
+            indentWidth: options.indentWidth || 2,
+            comments: options.comments
+        });
+    }
+}
+
+// ==================== CONFIG FORMATS ====================
+
+/**
+ * The config formats by file type; a format is added by adding its entry. Each names its
+ * parser, file name pattern and content detection, and how values are held and written.
+ */
+const CONFIG_FORMATS = {
+    properties: {
+        label: 'Properties',
+        parser: () => new PropertyParser(),
+        pattern: /\.properties$/i,
+        separator: '=',
+        outputType: 'properties',
+        fileName: 'application.properties'
+    },
+    yaml: {
+        label: 'YAML',
+        parser: () => new YAMLParser(),
+        pattern: /\.ya?ml$/i,
+        rawValues: true,
+        nested: true,
+        separator: ': ',
+        outputType: 'yaml',
+        fileName: 'application.yml'
+    },
+    json: {
+        label: 'JSON',
+        parser: () => new JSONParser(),
+        pattern: /\.json$/i,
+        nested: true,
+        detect: text => /^\s*\{/.test(text),
+        separator: ': ',
+        outputType: 'yaml',
+        fileName: 'application.json'
+    },
+    toml: {
+        label: 'TOML',
+        parser: () => new TOMLParser(),
+        pattern: /\.toml$/i,
+        nested: true,
+        detect: text => /^\s*\[\[?[\w"'. -]+\]\]?\s*(#.*)?$/m.test(text) && /^\s*[\w"'.-]+\s*=/m.test(text),
+        separator: ' = ',
+        outputType: 'yaml',
+        fileName: 'application.toml'
+    },
+    dotenv: {
+        label: '.env',
+        parser: () => new DotenvParser(),
+        pattern: /(^|[\\/])\.env(\.[\w.-]+)?$|\.env$/i,
+        // Upper-case KEY=value lines without spaces, which .properties files rarely use
+        detect: text => {
+            const lines = text.split('\n').map(line => line.trim()).filter(line => line !== '' && !line.startsWith('#'));
+            return lines.length > 0 && lines.every(line => /^(export\s+)?[A-Z_][A-Z0-9_]*=/.test(line));
+        },
+        separator: '=',
+        outputType: 'properties',
+        fileName: '.env'
+    },
+    configmap: {
+        label: 'ConfigMap/Secret',
+        parser: () => new ConfigMapParser(),
+        within: 'yaml',
+        detect: text => /^kind:\s*["']?(ConfigMap|Secret)["']?\s*(#.*)?$/m.test(text) && /^apiVersion:/m.test(text),
+        separator: ': ',
+        outputType: 'yaml',
+        fileName: 'configmap.yml'
+    }
+};
+
+/**
+ * Returns the format of a file type, treating unknown types as YAML
+ */
+function configFormat(fileType) {
+    return CONFIG_FORMATS[fileType] || CONFIG_FORMATS.yaml;
+}
+
+// ==================== FORMAT DETECTION ====================
+
+/**
+ * Guesses the file type of text. Formats with a signature of their own (see
+ * CONFIG_FORMATS detect) come first; otherwise it is a .properties or a YAML file:
+ * indented lines, sequence items, document markers and "key:" block openers vote for YAML,
+ * "key=value" lines vote for properties. Flat "key: value" lines are valid in both.
+ */
+function detectFileType(text) {
+    const source = String(text || '');
+    const detected = Object.keys(CONFIG_FORMATS).find(type => CONFIG_FORMATS[type].detect && CONFIG_FORMATS[type].detect(source));
+    if (detected) return detected;
+    
+    const lines = source.split('\n');
+    let propertiesScore = 0;
+    let yamlScore = 0;
+    let continued = false;
+    
+    for (const line of lines) {
+        const trimmed = line.trim();
+        const isContinuation = continued;
+        continued = trimmed.endsWith('\\');
+        
+        if (trimmed === '' || trimmed.startsWith('#') || trimmed.startsWith('!') || isContinuation) {
+            continue;
+        }
+        
+        if (trimmed === '---' || /^\s+\S/.test(line) || trimmed.startsWith('- ') || /^[^=\s]+:$/.test(trimmed)) {
+            yamlScore++;
+        } else if (/^[^=:\s]+\s*=/.test(trimmed)) {
+            propertiesScore++;
+        }
+    }
+    
+    return yamlScore > propertiesScore ? 'yaml' : 'properties';
+}
+
+/**
+ * Determines the file type from a file name, falling back to content detection. Formats
+ * written within another one, such as Kubernetes manifests in .yml files, are told apart
+ * by content.
+ */
+function fileTypeFromName(name, text) {
+    const types = Object.keys(CONFIG_FORMATS);
+    const named = types.find(type => CONFIG_FORMATS[type].pattern && CONFIG_FORMATS[type].pattern.test(name || ''));
+    if (!named) return detectFileType(text);
+    return types.find(type => CONFIG_FORMATS[type].within === named && CONFIG_FORMATS[type].detect(String(text || ''))) || named;
+}
+
+// ==================== RELAXED BINDING ====================
+
+/**
+ * Converts a property name to Spring Boot's uniform form so that names written in
+ * different styles compare equal: elements without dashes, lower case, [n] list indices.
+ *   contextPath / context_path / context-path / CONTEXTPATH  -> contextpath
+ *   SERVER_PORT / SPRING_PROFILES_INCLUDE_0_   -> server.port / spring.profiles.include[0]
+ * Bracketed map keys such as [x.y] are kept verbatim. Keys are shown as written (see keyName).
+ */
+function canonicalizeKey(key) {
+    return dashedKey(key)
+        .split(/(\[[^\]]*\])/)
+        .map(part => part.startsWith('[') ? part : part.replace(/-/g, ''))
+        .join('');
+}
+
+/**
+ * Checks whether a property name is written as an environment variable (SERVER_PORT)
+ */
+function isEnvironmentKey(key) {
+    const text = String(key == null ? '' : key).trim();
+    return /^[A-Z0-9_]+$/.test(text) && text.includes('_');
+}
+
+/**
+ * Returns the spelling a key is shown with: as written, or in dotted kebab-case form for
+ * an environment variable name
+ */
+function keyName(key) {
+    return isEnvironmentKey(key) ? dashedKey(key) : String(key).trim();
+}
+
+/**
+ * Records the spelling of a key under its canonical form. A name written in dotted form is
+ * kept over an environment variable name, otherwise the first spelling is kept; keys already
+ * in canonical form only fill in missing spellings.
+ */
+function recordKeyName(names, key) {
+    const canonical = canonicalizeKey(key);
+    const preferred = canonical !== key && isEnvironmentKey(names.get(canonical)) && !isEnvironmentKey(key);
+    if (!names.has(canonical) || preferred) {
+        names.set(canonical, key);
+    }
+    return canonical;
+}
+
+/**
+ * Converts a property name to dotted kebab-case elements in lower case, the spelling of
+ * Spring Boot's documentation (contextPath -> context-path)
+ */
+function dashedKey(key) {
+    if (key == null) return '';
+    const text = String(key).trim();
+    
+    // Environment variable form: underscores separate elements, numbers are list indices
+    if (isEnvironmentKey(text)) {
+        return text.split('_')
+            .filter(part => part !== '')
+            .map(part => /^\d+$/.test(part) ? `[${part}]` : part.toLowerCase())
+            .join('.')
+            .replace(/\.\[/g, '[');
+    }
+    
+    const elements = text.match(/\[[^\]]*\]|[^.[]+/g) || [];
+    return elements
+        .map(element => {
+            if (element.startsWith('[')) return element;
+            return element
+                .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+                .replace(/_/g, '-')
+                .replace(/^-+|-+$/g, '')
+                .toLowerCase();
+        })
+        .join('.')
+        .replace(/\.\[/g, '[');
+}
+
+// ==================== KEY COMMENTS ====================
+
+/**
+ * Reads a commented-out property such as "#spring.jpa.show-sql=true" from a comment line and
+ * returns its { key, value }, or null for a plain comment. The "key: value" form only counts
+ * with a lower-case key and a value without spaces, and "key = value" with spaces around the
+ * "=" only with a value without spaces, so prose like "# TODO: remove after migration" or
+ * "# key = value pairs below" stays a comment.
+ */
+function disabledProperty(comment) {
+    const text = String(comment).replace(/^\s*[#!]+\s*/, '').replace(/^export\s+/, '');
+    const assignment = /^([A-Za-z_][\w-]*(?:\.[\w-]+|\[\d+\])*)(\s*=\s*)(.*)$/.exec(text);
+    if (assignment && (assignment[2] === '=' || !/\s/.test(assignment[3].trim()))) {
+        return { key: assignment[1], value: assignment[3].trim() };
+    }
+    const mapping = /^([a-z][a-z0-9-]*(?:\.[a-z0-9-]+|\[\d+\])*):\s+(\S+)$/.exec(text);
+    return mapping ? { key: mapping[1], value: mapping[2] } : null;
+}
+
+/**
+ * Collects the comments of a parsed document of the given file type: comments maps each key to
+ * the comment lines written above it, other than commented-out properties, and disabled maps
+ * the keys of commented-out properties to their values. In nested formats a commented-out
+ * key is read within the section of the key below it, unless it spells out that section itself.
+ */
+function keyComments(data, fileType) {
+    const format = configFormat(fileType);
+    const comments = new Map();
+    const disabled = new Map();
+    
+    const collect = (lines, key) => {
+        const section = format.nested && key != null ? /^(.*?)(?:\.[^.[\]]+|\[[^\]]*\])$/.exec(key) : null;
+        for (const line of lines) {
+            const property = disabledProperty(line);
+            if (!property) continue;
+            const absolute = !section || key.split(/[.[]/)[0] === property.key.split(/[.[]/)[0];
+            disabled.set(absolute ? property.key : `${section[1]}.${property.key}`, property.value);
+        }
+    };
+    
+    for (const entry of format.parser().flatten(data)) {
+        // A commented-out property is a key of its own, not a comment on the key below it
+        const own = entry.comments.filter(line => !disabledProperty(line));
+        if (own.length > 0) comments.set(entry.key, own);
+        collect(entry.comments, entry.key);
+    }
+    // Comments after the last property of a .properties file belong to no key; in nested
+    // formats, those after the last key of a block are read within that block
+    if (fileType === 'properties' && Array.isArray(data)) {
+        const last = data.map(entry => entry.type).lastIndexOf('property');
+        collect(data.slice(last + 1).filter(entry => entry.type === 'comment').map(entry => entry.line.trim()), null);
+    } else if (format.nested && typeof format.parser().trailingComments === 'function') {
+        for (const trailing of format.parser().trailingComments(data)) {
+            collect(trailing.comments, trailing.key);
+        }
+    }
+    
+    return { comments, disabled };
+}
+
+// ==================== PROFILE RESOLUTION ====================
+
+class ProfileResolver {
+    /**
+     * Parses config text into its documents, each flattened to a Map of key->value without its
+     * activation keys and tagged with the profile expression that activates it (null for unconditional documents;
+     * the profile a parser gives a document applies when its keys name none), the comments
+     * and commented-out properties of its keys (see keyComments) and the parser diagnostics
+     * of its lines
+     */
+    parseDocuments(text, fileType) {
+        const parser = configFormat(fileType).parser();
+        const engine = new DiffEngine();
+        
+        return parser.parseDocuments(text).map((document, index) => {
+            const entries = engine.toMap(document.data, fileType);
+            const { comments, disabled } = keyComments(document.data, fileType);
+            const profile = this.documentProfile(entries) || document.profile || null;
+            // The activation keys are read as the profile, not compared as config
+            for (const key of Array.from(entries.keys())) {
+                if (this.isActivationKey(key)) {
+                    entries.delete(key);
+                    comments.delete(key);
+                }
+            }
+            return {
+                index: index,
+                startLine: document.startLine,
+                profile: profile,
+                entries: entries,
+                comments: comments,
+                disabled: disabled,
+                diagnostics: document.diagnostics || []
+            };
+        });
+    }
+    
+    /**
+     * Reads spring.config.activate.on-profile, falling back to the legacy spring.profiles key
+     * (a plain value or a list)
+     */
+    documentProfile(entries) {
+        let onProfile = null;
+        const legacy = [];
+        
+        for (const [key, value] of entries) {
+            if (canonicalizeKey(key) === 'spring.config.activate.onprofile') {
+                onProfile = value;
+            } else if (this.isActivationKey(key)) {
+                legacy.push(value);
+            }
+        }
+        
+        const profile = (onProfile != null ? onProfile : legacy.join(',')).trim().replace(/^(["'])(.*)\1$/, '$2');
+        return profile !== '' ? profile : null;
+    }
+    
+    /**
+     * Checks whether a key activates its document for a profile (spring.config.activate.on-profile
+     * or spring.profiles, as a plain value or a list)
+     */
+    isActivationKey(key) {
+        const canonical = canonicalizeKey(key);
+        return /^spring\.config\.activate\.onprofile(\[\d+\])?$/.test(canonical) || /^spring\.profiles(\[\d+\])?$/.test(canonical);
+    }
+    
+    /**
+     * Evaluates a profile expression against the active profiles.
+     * Supports comma-separated alternatives and the !, & and | operators with parentheses.
+     * With no active profiles, the "default" profile is active, as in Spring Boot.
+     */
+    matches(expression, activeProfiles) {
+        const active = activeProfiles && activeProfiles.length > 0 ? activeProfiles : ['default'];
+        return String(expression)
+            .split(',')
+            .map(part => part.trim())
+            .filter(part => part !== '')
+            .some(part => this.evaluate(part, active));
+    }
+    
+    /**
+     * Recursive descent evaluation of a single profile expression such as "prod & (eu | us)"
+     */
+    evaluate(expression, active) {
+        const tokens = expression.match(/[()!&|]|[^()!&|\s]+/g) || [];
+        let pos = 0;
+        
+        const parseOr = () => {
+            let result = parseAnd();
+            while (tokens[pos] === '|') {
+                pos++;
+                result = parseAnd() || result;
+            }
+            return result;
+        };
+        const parseAnd = () => {
+            let result = parseUnary();
+            while (tokens[pos] === '&') {
+                pos++;
+                result = parseUnary() && result;
+            }
+            return result;
+        };
+        const parseUnary = () => {
+            const token = tokens[pos++];
+            if (token === '!') return !parseUnary();
+            if (token === '(') {
+                const result = parseOr();
+                pos++;
+                return result;
+            }
+            return token !== undefined && active.includes(token);
+        };
+        
+        return parseOr();
+    }
+    
+    /**
+     * Overlays one Map of entries onto another. As in Spring Boot, a list defined by the
+     * override replaces the whole list rather than being merged item by item.
+     */
+    merge(base, override) {
+        const merged = new Map(base);
+        const lists = new Set();
+        
+        for (const key of override.keys()) {
+            const listMatch = key.match(/^(.*?)\[\d+\]/);
+            if (listMatch) lists.add(listMatch[1]);
+        }
+        for (const key of merged.keys()) {
+            for (const list of lists) {
+                if (key.startsWith(list + '[')) {
+                    merged.delete(key);
+                    break;
+                }
+            }
+        }
+        for (const [key, value] of override) {
+            merged.set(key, value);
+        }
+        
+        return merged;
+    }
+}
+
+// ==================== EFFECTIVE CONFIG ====================
+
+class ConfigStack {
+    /**
+     * Returns the profile a file applies to from Spring Boot's "<name>-<profile>.<ext>" naming,
+     * or null for a base file. "<name>" must be "application" or the name of another file in the stack.
+     */
+    layerProfile(layer, layers) {
+        const stemOf = (name) => String(name || '').split(/[\\/]/).pop().replace(/\.[^.]*$/, '');
+        const stem = stemOf(layer.name);
+        const stems = layers.map(other => stemOf(other.name));
+        
+        for (let i = stem.indexOf('-'); i > 0; i = stem.indexOf('-', i + 1)) {
+            const base = stem.slice(0, i);
+            if (base === 'application' || stems.includes(base)) {
+                return stem.slice(i + 1);
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Profiles to activate: the requested ones or, when none are given, the profiles of
+     * the profile-specific files in stack order
+     */
+    activeProfiles(layers, requested) {
+        if (requested && requested.length > 0) return requested;
+        const implied = [];
+        for (const layer of layers) {
+            const profile = this.layerProfile(layer, layers);
+            if (profile && !implied.includes(profile)) implied.push(profile);
+        }
+        return implied;
+    }
+    
+    /**
+     * Orders layers from lowest to highest precedence: base files before profile-specific files,
+     * profile-specific files in active profile order, and .properties over YAML at the same level.
+     * Otherwise the stack order is kept.
+     */
+    order(layers, activeProfiles) {
+        const rank = (layer, index) => {
+            const profile = this.layerProfile(layer, layers);
+            const profileRank = profile == null ? -1 : activeProfiles.indexOf(profile);
+            return [
+                profile == null ? 0 : 1,
+                profileRank === -1 && profile != null ? activeProfiles.length : profileRank,
+                layer.fileType === 'properties' ? 1 : 0,
+                index
+            ];
+        };
+        
+        return layers
+            .map((layer, index) => ({ layer, rank: rank(layer, index) }))
+            .sort((a, b) => {
+                for (let i = 0; i < a.rank.length; i++) {
+                    if (a.rank[i] !== b.rank[i]) return a.rank[i] - b.rank[i];
+                }
+                return 0;
+            })
+            .map(item => item.layer);
+    }
+    
+    /**
+     * Parses the layers, in precedence order, into documents tagged with their source file.
+     * With relaxedBinding, keys are canonicalized first so differently spelled keys override each
+     * other, and each document records their spellings as names (see recordKeyName).
+     */
+    documents(layers, activeProfiles, relaxedBinding = false) {
+        const resolver = new ProfileResolver();
+        const engine = new DiffEngine();
+        const documents = [];
+        
+        for (const layer of this.order(layers, activeProfiles)) {
+            const layerProfile = this.layerProfile(layer, layers);
+            for (const document of resolver.parseDocuments(layer.text, layer.fileType)) {
+                const names = new Map();
+                const [entries, comments, disabled] = [document.entries, document.comments, document.disabled]
+                    .map((map, index) => relaxedBinding ? engine.canonicalizeKeys(map, index === 0 ? names : null) : map);
+                documents.push({ ...document, entries, comments, disabled, names, source: layer.name, fileType: layer.fileType, layerProfile: layerProfile });
+            }
+        }
+        
+        return documents;
+    }
+    
+    /**
+     * Lists the distinct profiles used by documents and profile-specific files, in order of appearance
+     */
+    profiles(documents) {
+        const profiles = [];
+        for (const document of documents) {
+            const profile = document.profile != null ? document.profile : document.layerProfile;
+            if (profile != null && !profiles.includes(profile)) {
+                profiles.push(profile);
+            }
+        }
+        return profiles;
+    }
+    
+    /**
+     * Builds the effective config for a set of active profiles. Returns the merged values and,
+     * for each key, the name of the file that supplied the winning value and that value's
+     * comments, plus the commented-out properties no document sets.
+     */
+    resolve(documents, activeProfiles) {
+        const resolver = new ProfileResolver();
+        const active = activeProfiles.length > 0 ? activeProfiles : ['default'];
+        
+        return documents
+            .filter(document => document.layerProfile == null || active.includes(document.layerProfile))
+            .filter(document => document.profile == null || resolver.matches(document.profile, activeProfiles))
+            .reduce((result, document) => this.overlay(result, document), { values: new Map(), sources: new Map(), types: new Map(), comments: new Map(), disabled: new Map(), names: new Map() });
+    }
+    
+    /**
+     * Merges only the documents written for one profile (null selects the unconditional
+     * documents of base files)
+     */
+    documentFor(documents, profile) {
+        return documents
+            .filter(document => (document.profile != null ? document.profile : document.layerProfile) === profile)
+            .reduce((result, document) => this.overlay(result, document), { values: new Map(), sources: new Map(), types: new Map(), comments: new Map(), disabled: new Map(), names: new Map() });
+    }
+    
+    /**
+     * Applies one document on top of the merged result, recording where each value came from
+     * and in which file type, the comments written above it and the spellings of the keys
+     */
+    overlay(result, document) {
+        const values = new ProfileResolver().merge(result.values, document.entries);
+        const sources = new Map();
+        const types = new Map();
+        const comments = new Map();
+        const disabled = new Map();
+        const names = new Map(result.names);
+        
+        for (const key of (document.names || new Map()).values()) {
+            recordKeyName(names, key);
+        }
+        for (const [key, source] of result.sources) {
+            if (values.has(key)) sources.set(key, source);
+        }
+        for (const [key, fileType] of result.types) {
+            if (values.has(key)) types.set(key, fileType);
+        }
+        for (const key of document.entries.keys()) {
+            sources.set(key, document.source);
+            types.set(key, document.fileType);
+        }
+        for (const [key, lines] of result.comments) {
+            if (values.has(key) && !document.entries.has(key)) comments.set(key, lines);
+        }
+        for (const [key, lines] of document.comments) {
+            comments.set(key, lines);
+        }
+        for (const [key, value] of [...result.disabled, ...document.disabled]) {
+            if (!values.has(key)) disabled.set(key, value);
+        }
+        
+        return { values, sources, types, comments, disabled, names };
+    }
+}
+
+// ==================== PLACEHOLDER RESOLUTION ====================
+
+class PlaceholderResolver {
+    /**
+     * Expands placeholders in every value of a config Map. Returns a Map of key->resolved value.
+     */
+    resolveAll(values, environment) {
+        const env = environment || new Map();
+        const resolved = new Map();
+        for (const [key, value] of values) {
+            resolved.set(key, this.resolve(value, values, env, new Set([key])));
+        }
+        return resolved;
+    }
+    
+    /**
+     * Expands ${name} and ${name:default} placeholders, including nested ones such as
+     * ${a:${b:c}}. Unresolvable or circular placeholders are left as written.
+     */
+    resolve(value, values, env, visiting = new Set()) {
+        const text = value != null ? String(value) : '';
+        let result = '';
+        let index = 0;
+        
+        while (index < text.length) {
+            const start = text.indexOf('${', index);
+            if (start === -1) {
+                result += text.slice(index);
+                break;
+            }
+            
+            const end = this.findClosingBrace(text, start + 2);
+            if (end === -1) {
+                result += text.slice(index);
+                break;
+            }
+            
+            result += text.slice(index, start);
+            const body = text.slice(start + 2, end);
+            const separator = this.findDefaultSeparator(body);
+            const name = this.resolve(separator === -1 ? body : body.slice(0, separator), values, env, visiting).trim();
+            const fallback = separator === -1 ? null : body.slice(separator + 1);
+            const replacement = visiting.has(name) ? undefined : this.lookup(name, values, env);
+            
+            if (replacement !== undefined) {
+                result += this.resolve(replacement, values, env, new Set([...visiting, name]));
+            } else if (fallback !== null) {
+                result += this.resolve(fallback, values, env, visiting);
+            } else {
+                result += text.slice(start, end + 1);
+            }
+            index = end + 1;
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Looks a placeholder name up like Spring Boot's environment does: environment variables
+     * first (as written, then in UPPER_SNAKE form), then the config's own keys
+     */
+    lookup(name, values, env) {
+        const envName = name.replace(/[.\-[\]]/g, '_').toUpperCase();
+        if (env.has(name)) return env.get(name);
+        if (env.has(envName)) return env.get(envName);
+        if (values.has(name)) return values.get(name);
+        const canonical = canonicalizeKey(name);
+        if (values.has(canonical)) return values.get(canonical);
+        return undefined;
+    }
+    
+    /**
+     * Finds the "}" closing a placeholder body that starts at the given index
+     */
+    findClosingBrace(text, from) {
+        let depth = 1;
+        for (let i = from; i < text.length; i++) {
+            if (text.startsWith('${', i)) {
+                depth++;
+                i++;
+            } else if (text[i] === '}' && --depth === 0) {
+                return i;
+            }
+        }
+        return -1;
+    }
+    
+    /**
+     * Finds the ":" separating a placeholder name from its default, ignoring nested placeholders
+     */
+    findDefaultSeparator(body) {
+        let depth = 0;
+        for (let i = 0; i < body.length; i++) {
+            if (body.startsWith('${', i)) {
+                depth++;
+                i++;
+            } else if (body[i] === '}') {
+                depth--;
+            } else if (body[i] === ':' && depth === 0) {
+                return i;
+            }
+        }
+        return -1;
+    }
+}
+
+// ==================== SECRET MASKING ====================
+
+class SecretMasker {
+    /**
+     * Masks the values of sensitive keys in diff rows. options.patterns are case-insensitive
+     * regular expressions (strings or RegExp) tested against the canonical key; values that look
+     * like generated credentials are masked too unless options.detectHighEntropy is false.
+     */
+    constructor(options = {}) {
+        this.patterns = (options.patterns || SecretMasker.DEFAULT_PATTERNS)
+            .map(pattern => pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i'));
+        this.detectHighEntropy = options.detectHighEntropy !== false;
+    }
+    
+    /**
+     * Checks whether a key or its value should be hidden
+     */
+    isSensitive(key, value) {
+        const names = [dashedKey(key), canonicalizeKey(key)];
+        if (this.patterns.some(pattern => names.some(name => pattern.test(name)))) return true;
+        return this.detectHighEntropy && this.isHighEntropy(value);
+    }
+    
+    /**
+     * Detects random-looking tokens: long hex strings, or long strings without spaces or URL
+     * punctuation that mix upper case, lower case and digits with a high Shannon entropy
+     */
+    isHighEntropy(value) {
+        if (typeof value !== 'string' || value.length < 20) return false;
+        if (/^[0-9a-f]{32,}$/i.test(value)) return true;
+        if (!/^[A-Za-z0-9+/=_-]+$/.test(value) || !/[0-9]/.test(value) || !/[a-z]/.test(value) || !/[A-Z]/.test(value)) {
+            return false;
+        }
+        
+        const counts = new Map();
+        for (const char of value) {
+            counts.set(char, (counts.get(char) || 0) + 1);
+        }
+        let entropy = 0;
+        for (const count of counts.values()) {
+            const p = count / value.length;
+            entropy -= p * Math.log2(p);
+        }
+        return entropy >= 3.5;
+    }
+    
+    /**
+     * Values that only reference another property or environment variable are not secrets
+     */
+    isReference(value) {
+        return typeof value === 'string' && /^\$\{[^:}]+\}$/.test(value);
+    }
+    
+    /**
+     * Hashes a value (cyrb53) so masked values can be compared without being kept in the row
+     */
+    hash(value) {
+        if (value === undefined) return undefined;
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < value.length; i++) {
+            const code = value.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 2654435761);
+            h2 = Math.imul(h2 ^ code, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+    }
+    
+    /**
+     * Returns the rows with sensitive values replaced by a fixed mask. The status of a masked
+     * row comes from comparing value hashes; the original fields are kept under row.secret so
+     * the browser can reveal them, and exporters never read them.
+     */
+    maskRows(rows) {
+        return rows.map(row => this.maskRow(row));
+    }
+    
+    /**
+     * Masks a single diff row when its key or either value is sensitive
+     */
+    maskRow(row) {
+        row = this.maskComments(row);
+        const sensitive = (value) => value !== undefined && !this.isReference(value) &&
+            (this.isSensitive(row.key, value) || (row.oldKey !== undefined && this.isSensitive(row.oldKey, value)));
+        if (![row.leftValue, row.rightValue, row.leftResolved, row.rightResolved].some(sensitive)) return row;
+        
+        // Each value is masked on its own, so a switch to ${ENV_VAR} stays readable
+        const mask = (value) => sensitive(value) ? SecretMasker.MASK : value;
+        const engine = new DiffEngine();
+        const masked = {
+            ...row,
+            masked: true,
+            leftValue: mask(row.leftValue),
+            rightValue: mask(row.rightValue),
+            leftLine: row.leftValue === undefined ? '' : engine.formatLine(row.oldKey || row.key, mask(row.leftValue), row.leftFileType),
+            rightLine: row.rightValue === undefined ? '' : engine.formatLine(row.key, mask(row.rightValue), row.rightFileType),
+            leftHighlight: null,
+            rightHighlight: null,
+            secret: {
+                leftValue: row.leftValue,
+                rightValue: row.rightValue,
+                leftLine: row.leftLine,
+                rightLine: row.rightLine,
+                leftHighlight: row.leftHighlight,
+                rightHighlight: row.rightHighlight
+            }
+        };
+        if ('leftResolved' in row) {
+            masked.leftResolved = mask(row.leftResolved);
+            masked.rightResolved = mask(row.rightResolved);
+            masked.leftResolvedHighlight = null;
+            masked.rightResolvedHighlight = null;
+            Object.assign(masked.secret, {
+                leftResolved: row.leftResolved,
+                rightResolved: row.rightResolved,
+                leftResolvedHighlight: row.leftResolvedHighlight,
+                rightResolvedHighlight: row.rightResolvedHighlight
+            });
+        }
+        
+        if (row.leftValue !== undefined && row.rightValue !== undefined && (row.status === 'modified' || row.status === 'unchanged') && !row.normalized) {
+            const hash = (side, value) => this.hash(side === 'left'
+                ? engine.comparable(value, row.leftFileType, row.rightFileType)
+                : engine.comparable(value, row.rightFileType, row.leftFileType));
+            const rawChanged = hash('left', row.leftValue) !== hash('right', row.rightValue);
+            const resolvedChanged = hash('left', row.leftResolved) !== hash('right', row.rightResolved);
+            masked.status = rawChanged || resolvedChanged || row.commentsChanged ? 'modified' : 'unchanged';
+        }
+        return masked;
+    }
+    
+    /**
+     * Masks the values of commented-out sensitive properties in a row's comments and
+     * disabled values, which the browser does not reveal
+     */
+    maskComments(row) {
+        const maskLine = (line) => {
+            const property = disabledProperty(line);
+            if (!property || property.value === '' || this.isReference(property.value) || !this.isSensitive(property.key, property.value)) {
+                return line;
+            }
+            return line.slice(0, line.lastIndexOf(property.value)) + SecretMasker.MASK;
+        };
+        
+        const masked = { ...row };
+        let changed = false;
+        for (const field of ['leftComments', 'rightComments']) {
+            if (!row[field]) continue;
+            masked[field] = row[field].map(maskLine);
+            changed = changed || masked[field].some((line, index) => line !== row[field][index]);
+        }
+        for (const field of ['leftDisabled', 'rightDisabled']) {
+            if (row[field] === undefined || this.isReference(row[field]) || !this.isSensitive(row.key, row[field])) continue;
+            masked[field] = SecretMasker.MASK;
+            changed = true;
+        }
+        return changed ? masked : row;
+    }
+}
+
+SecretMasker.MASK = '********';
+
+SecretMasker.DEFAULT_PATTERNS = ['password', 'passwd', 'secret', 'token', 'credentials?', '(^|[.-])key$'];
+
+// ==================== RENAME DETECTION ====================
+
+// Spring Boot property migrations as [pattern, replacement] pairs over dotted kebab-case keys (see dashedKey)
+const SPRING_BOOT_MIGRATIONS = [
+    // Boot 3.0
+    ['^spring\\.redis\\.', 'spring.data.redis.'],
+    ['^spring\\.data\\.cassandra\\.', 'spring.cassandra.'],
+    ['^management\\.metrics\\.export\\.([^.]+)\\.', 'management.$1.metrics.export.'],
+    ['^management\\.trace\\.http\\.(enabled|include)$', 'management.httpexchanges.recording.$1'],
+    ['^server\\.max-http-header-size$', 'server.max-http-request-header-size'],
+    ['^(spring\\.security\\.saml2\\.relyingparty\\.registration\\.[^.]+)\\.identityprovider\\.', '$1.assertingparty.'],
+    ['^spring\\.sleuth\\.sampler\\.probability$', 'management.tracing.sampling.probability'],
+    // Boot 2.x
+    ['^spring\\.datasource\\.initialization-mode$', 'spring.sql.init.mode'],
+    ['^spring\\.datasource\\.schema$', 'spring.sql.init.schema-locations'],
+    ['^spring\\.datasource\\.data$', 'spring.sql.init.data-locations'],
+    ['^spring\\.datasource\\.platform$', 'spring.sql.init.platform'],
+    ['^spring\\.datasource\\.continue-on-error$', 'spring.sql.init.continue-on-error'],
+    ['^spring\\.datasource\\.separator$', 'spring.sql.init.separator'],
+    ['^spring\\.datasource\\.sql-script-encoding$', 'spring.sql.init.encoding'],
+    ['^spring\\.batch\\.(initialize-schema|schema|table-prefix)$', 'spring.batch.jdbc.$1'],
+    ['^spring\\.elasticsearch\\.rest\\.', 'spring.elasticsearch.'],
+    ['^spring\\.data\\.neo4j\\.uri$', 'spring.neo4j.uri'],
+    ['^spring\\.data\\.neo4j\\.(username|password)$', 'spring.neo4j.authentication.$1'],
+    ['^spring\\.resources\\.', 'spring.web.resources.'],
+    ['^spring\\.mvc\\.(locale|locale-resolver)$', 'spring.web.$1'],
+    ['^spring\\.http\\.encoding\\.', 'server.servlet.encoding.'],
+    ['^spring\\.http\\.converters\\.preferred-json-mapper$', 'spring.mvc.converters.preferred-json-mapper'],
+    ['^management\\.server\\.servlet\\.context-path$', 'management.server.base-path'],
+    ['^spring\\.profiles$', 'spring.config.activate.on-profile']
+];
+
+class RenameDetector {
+    /**
+     * Pairs removed and added keys that are really one key under a new name. options.migrations
+     * replaces the known migrations (SPRING_BOOT_MIGRATIONS); with options.fuzzy (default true)
+     * keys whose changed elements are spelled alike, with the same or a similar last element and
+     * the same or a nearly equal value are paired too, unless the value is one many keys share:
+     * a boolean, a small number or a very short value.
+     */
+    constructor(options = {}) {
+        this.migrations = (options.migrations || SPRING_BOOT_MIGRATIONS)
+            .map(([pattern, replacement]) => [new RegExp(pattern), replacement]);
+        this.fuzzy = options.fuzzy !== false;
+    }
+    
+    /**
+     * Returns the key a known migration renames the given key to, or null
+     */
+    migrate(key) {
+        const dashed = dashedKey(key);
+        for (const [pattern, replacement] of this.migrations) {
+            if (pattern.test(dashed)) return canonicalizeKey(dashed.replace(pattern, replacement));
+        }
+        return null;
+    }
+    
+    /**
+     * Matches removed rows to added rows. Returns { removed, added, reason } pairs, where reason
+     * is 'migration' for a known migration and 'similar' for a fuzzy match.
+     */
+    findPairs(removedRows, addedRows) {
+        const pairs = [];
+        const usedRemoved = new Set();
+        const usedAdded = new Set();
+        
+        // Known migrations pair up whatever the values
+        const addedByKey = new Map(addedRows.map(row => [canonicalizeKey(row.key), row]));
+        for (const removed of removedRows) {
+            const target = this.migrate(removed.key);
+            const added = target != null ? addedByKey.get(target) : undefined;
+            if (added && !usedAdded.has(added)) {
+                pairs.push({ removed: removed, added: added, reason: 'migration' });
+                usedRemoved.add(removed);
+                usedAdded.add(added);
+            }
+        }
+        
+        // Fuzzy matches, best first; skipped for huge diffs where every pair would be scored
+        const remainingRemoved = removedRows.filter(row => !usedRemoved.has(row));
+        const remainingAdded = addedRows.filter(row => !usedAdded.has(row));
+        if (!this.fuzzy || remainingRemoved.length * remainingAdded.length > RenameDetector.MAX_CANDIDATES) {
+            return pairs;
+        }
+        
+        const describe = (row, value) => {
+            const elements = this.keyElements(row.key);
+            return { row, elements, last: Array.from(elements[elements.length - 1] || ''), value: Array.from(value || '') };
+        };
+        // Values many unrelated keys share say nothing about where a key went
+        const removedSides = remainingRemoved.filter(row => this.distinctive(row.leftValue)).map(row => describe(row, row.leftValue));
+        const addedSides = remainingAdded.filter(row => this.distinctive(row.rightValue)).map(row => describe(row, row.rightValue));
+        
+        const candidates = [];
+        for (const removed of removedSides) {
+            for (const added of addedSides) {
+                if (this.similarity(removed.last, added.last, 0.8) < 0.8) continue;
+                const valueSimilarity = this.similarity(removed.value, added.value, 0.8);
+                if (valueSimilarity < 0.8) continue;
+                const keySimilarity = this.similarity(...this.changedElements(removed.elements, added.elements), 0.6);
+                if (keySimilarity < 0.6) continue;
+                candidates.push({ removed: removed.row, added: added.row, score: valueSimilarity * 0.6 + keySimilarity * 0.4 });
+            }
+        }
+        candidates.sort((a, b) => b.score - a.score);
+        for (const candidate of candidates) {
+            if (usedRemoved.has(candidate.removed) || usedAdded.has(candidate.added)) continue;
+            pairs.push({ removed: candidate.removed, added: candidate.added, reason: 'similar' });
+            usedRemoved.add(candidate.removed);
+            usedAdded.add(candidate.added);
+        }
+        
+        return pairs;
+    }
+    
+    /**
+     * Checks whether a value is rare enough to link two keys: not empty, a boolean, a number
+     * of up to five digits or shorter than four characters
+     */
+    distinctive(value) {
+        const text = String(value == null ? '' : value).trim();
+        return text.length >= 4 && !/^(true|false|yes|no|on|off)$/i.test(text) && !/^[-+]?\d{1,5}(\.\d+)?$/.test(text);
+    }
+    
+    /**
+     * Returns the elements two keys do not share at their start and end, each side joined
+     * into an array of characters: "a.b.c.d" and "a.x.d" give "b.c" and "x"
+     */
+    changedElements(elements1, elements2) {
+        let start = 0;
+        while (start < Math.min(elements1.length, elements2.length) && elements1[start] === elements2[start]) start++;
+        let end = 0;
+        while (end < Math.min(elements1.length, elements2.length) - start &&
+            elements1[elements1.length - 1 - end] === elements2[elements2.length - 1 - end]) end++;
+        return [elements1, elements2].map(elements => Array.from(elements.slice(start, elements.length - end).join('.')));
+    }
+    
+    /**
+     * Splits a canonical key into its dotted and [index] elements
+     */
+    keyElements(key) {
+        return canonicalizeKey(key).match(/\[[^\]]*\]|[^.[]+/g) || [];
+    }
+    
+    /**
+     * Dice similarity of two sequences (2 * common / total length), or 0 when it is certainly
+     * below minimum; the minimum bounds the diff work
+     */
+    similarity(seq1, seq2, minimum = 0) {
+        const total = seq1.length + seq2.length;
+        if (total === 0) return 1;
+        if (2 * Math.min(seq1.length, seq2.length) / total < minimum) return 0;
+        const ops = myersDiff(seq1, seq2, Math.floor(total * (1 - minimum)));
+        if (!ops) return 0;
+        return 2 * ops.filter(op => op.type === 'unchanged').length / total;
+    }
+}
+
+// Removed x added key pairs above which only known migrations are detected
+RenameDetector.MAX_CANDIDATES = 250000;
+
+// ==================== SEMANTIC VALUES ====================
+
+class ValueConverter {
+    /**
+     * Returns the typed readings of a raw value following Spring Boot's conversion rules, as
+     * { type, value } pairs. A value can have several readings, e.g. 1024 is a number, a
+     * duration in milliseconds and a data size in bytes; two values are equivalent when they
+     * share a reading. YAML values are unquoted first. valueType is the Java type of the
+     * property from configuration metadata, if known (see scalarReadings).
+     */
+    readings(raw, fileType, valueType) {
+        const text = (configFormat(fileType).rawValues ? new YAMLParser().unquote(raw) : String(raw)).trim();
+        const readings = this.scalarReadings(text, MetadataIndex.TYPES[valueType] === 'boolean');
+        const items = this.listItems(text, fileType);
+        if (items) readings.push({ type: 'list', value: items });
+        return readings;
+    }
+    
+    /**
+     * Readings of a single value: boolean, number, duration (nanoseconds), data size (bytes)
+     * and the plain string. Durations and data sizes tell whether the value has a unit.
+     * Only true and false in any case are booleans, unless springBooleans also allows the
+     * on, yes and 1 (off, no and 0) Spring converts for a boolean property.
+     */
+    scalarReadings(text, springBooleans = false) {
+        const readings = [];
+        const lower = text.toLowerCase();
+        if (ValueConverter.TRUE.includes(lower) && (springBooleans || lower === 'true')) readings.push({ type: 'boolean', value: true });
+        if (ValueConverter.FALSE.includes(lower) && (springBooleans || lower === 'false')) readings.push({ type: 'boolean', value: false });
+        
+        if (/^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/.test(text)) {
+            readings.push({ type: 'number', value: Number(text) });
+        }
+        
+        const unit = !/^[+-]?\d+$/.test(text);
+        const duration = this.parseDuration(text);
+        if (duration !== null) readings.push({ type: 'duration', value: duration, unit: unit });
+        const size = this.parseDataSize(text);
+        if (size !== null) readings.push({ type: 'size', value: size, unit: unit });
+        
+        readings.push({ type: 'string', value: text });
+        return readings;
+    }
+    
+    /**
+     * Parses a Duration in Spring Boot's simple (30s, 500ms; milliseconds without a unit)
+     * or ISO-8601 (PT30S) style to nanoseconds as a BigInt, or null
+     */
+    parseDuration(text) {
+        const simple = /^([+-]?\d+)([a-zA-Z]{0,2})$/.exec(text);
+        if (simple) {
+            const unit = ValueConverter.DURATION_UNITS[(simple[2] || 'ms').toLowerCase()];
+            return unit !== undefined ? BigInt(simple[1]) * unit : null;
+        }
+        
+        const iso = /^([+-])?P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)(?:\.(\d{1,9}))?S)?)?$/i.exec(text);
+        if (!iso || !/\d/.test(text) || /T$/i.test(text)) return null;
+        const units = ValueConverter.DURATION_UNITS;
+        const nanos = BigInt(iso[2] || 0) * units.d +
+            BigInt(iso[3] || 0) * units.h +
+            BigInt(iso[4] || 0) * units.m +
+            BigInt(iso[5] || 0) * units.s +
+            BigInt((iso[6] || '').padEnd(9, '0'));
+        return iso[1] === '-' ? -nanos : nanos;
+    }
+    
+    /**
+     * Parses a DataSize (10MB, 512KB; bytes without a unit) to bytes as a BigInt, or null.
+     * Units are binary and upper case, as in Spring's DataUnit.
+     */
+    parseDataSize(text) {
+        const match = /^([+-]?\d+)([a-zA-Z]{0,2})$/.exec(text);
+        if (!match) return null;
+        const unit = ValueConverter.SIZE_UNITS[match[2] || 'B'];
+        return unit !== undefined ? BigInt(match[1]) * unit : null;
+    }
+    
+    /**
+     * Splits a comma-separated list, or a [a, b] list written by the engine for indexed keys,
+     * into trimmed items
+     */
+    listItems(text, fileType) {
+        const bracketed = /^\[(.*)\]$/.exec(text);
+        const body = bracketed ? bracketed[1] : text;
+        if (body.trim() === '') return [];
+        return body.split(',').map(item => {
+            const trimmed = item.trim();
+            return bracketed && configFormat(fileType).rawValues ? new YAMLParser().unquote(trimmed) : trimmed;
+        });
+    }
+    
+    /**
+     * Returns the type under which two raw values are equal ('boolean', 'number', 'duration',
+     * 'size', 'string' or 'list'), or null when they really differ. Both values must read as
+     * the same kind of literal: a duration with a unit only matches another with a unit,
+     * while a data size also matches a number of bytes. Values are compared as lists with
+     * options.list, for a key that is a list on one side (see foldLists), or when both hold
+     * a comma. options.valueType, the Java type of the property from
+     * configuration metadata, limits the readings to the ones Spring converts it from and
+     * lifts the unit rule, as a Duration property reads 60000 as 60000ms.
+     */
+    equivalence(left, right, leftType, rightType = leftType, options = {}) {
+        if (left === undefined || right === undefined) return null;
+        const types = this.readingTypes(options.valueType);
+        const leftReadings = this.readings(left, leftType, options.valueType);
+        const rightReadings = this.readings(right, rightType, options.valueType);
+        for (const type of ['boolean', 'number', 'duration', 'size', 'string', 'list']) {
+            if (types ? !types.includes(type) : type === 'list' && !options.list && !(String(left).includes(',') && String(right).includes(','))) continue;
+            const leftReading = leftReadings.find(reading => reading.type === type);
+            const rightReading = rightReadings.find(reading => reading.type === type);
+            if (leftReading && rightReading && this.sameReading(leftReading, rightReading, Boolean(types))) {
+                return type;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Returns the readings a value of a Java property type is compared under, or null for
+     * no or an unknown type
+     */
+    readingTypes(valueType) {
+        if (!valueType) return null;
+        const expected = MetadataIndex.TYPES[valueType];
+        if (expected) return [expected === 'integer' ? 'number' : expected, 'string'];
+        if (valueType === 'java.lang.String') return ['string'];
+        if (/^java\.util\.(List|Set|Collection)\b|\[\]$/.test(valueType)) return ['list', 'string'];
+        return null;
+    }
+    
+    /**
+     * Compares two readings of the same type. Durations must both have a unit or both lack
+     * one unless typed; list items are compared as scalars.
+     */
+    sameReading(left, right, typed) {
+        if (left.type === 'list') {
+            if (left.value.length !== right.value.length) return false;
+            return left.value.every((item, index) => {
+                const leftReadings = this.scalarReadings(item);
+                const rightReadings = this.scalarReadings(right.value[index]);
+                return leftReadings.some(reading => rightReadings.some(other => other.type === reading.type && this.sameReading(reading, other, false)));
+            });
+        }
+        if (left.type === 'duration' && left.unit !== right.unit && !typed) return false;
+        return left.value === right.value;
+    }
+    
+    /**
+     * Folds indexed keys (list[0], list[1]) into a single [a, b] value under the list key when
+     * the other side has that key as a plain value, so list=a,b can match the YAML list.
+     * Returns the maps, with sources moved to the folded key, and the Set of folded keys as lists.
+     */
+    foldLists(entries, otherEntries, sources) {
+        let folded = null;
+        const lists = new Set();
+        for (const key of otherEntries.keys()) {
+            if (entries.has(key) || !entries.has(`${key}[0]`)) continue;
+            const prefix = `${key}[`;
+            const nested = Array.from(entries.keys()).filter(other => other.startsWith(prefix));
+            const items = [];
+            while (entries.has(`${key}[${items.length}]`)) items.push(entries.get(`${key}[${items.length}]`));
+            // Lists of objects (list[0].name) or with gaps keep their indexed keys
+            if (nested.length !== items.length) continue;
+            
+            if (!folded) {
+                folded = { entries: new Map(entries), sources: new Map(sources) };
+            }
+            folded.entries.set(key, `[${items.join(', ')}]`);
+            lists.add(key);
+            if (sources.has(`${key}[0]`)) folded.sources.set(key, sources.get(`${key}[0]`));
+            for (const other of nested) {
+                folded.entries.delete(other);
+                folded.sources.delete(other);
+            }
+        }
+        return { ...(folded || { entries, sources }), lists };
+    }
+}
+
+// Spring's StringToBooleanConverter values, lower case
+ValueConverter.TRUE = ['true', 'on', 'yes', '1'];
+ValueConverter.FALSE = ['false', 'off', 'no', '0'];
+
+ValueConverter.DURATION_UNITS = {
+    ns: 1n,
+    us: 1000n,
+    ms: 1000000n,
+    s: 1000000000n,
+    m: 60000000000n,
+    h: 3600000000000n,
+    d: 86400000000000n
+};
+
+ValueConverter.SIZE_UNITS = {
+    B: 1n,
+    KB: 1024n,
+    MB: 1048576n,
+    GB: 1073741824n,
+    TB: 1099511627776n
+};
+
+// ==================== COMPARISON RULES ====================
+
+class DiffRules {
+    /**
+     * Compiles the ignore, include and normalize rules of a .configdiffrc file; with
+     * options.relaxedBinding, key globs are canonicalized. Throws on invalid patterns.
+     */
+    constructor(rules = {}, options = {}) {
+        this.relaxedBinding = Boolean(options.relaxedBinding);
+        this.rules = normalizeRules(rules);
+        this.ignore = this.rules.ignore.map(pattern => this.compileKeyPattern(pattern));
+        this.include = this.rules.include.map(pattern => this.compileKeyPattern(pattern));
+        this.rewrites = this.rules.normalize.map(rule => ({
+            pattern: this.compileRegex(rule.pattern, 'g'),
+            replacement: rule.replacement
+        }));
+    }
+    
+    /**
+     * Compiles a /regex/ (without the stateful g and y flags) or a key glob, where * matches
+     * within one key element and ** across elements, also matching the keys nested under it
+     */
+    compileKeyPattern(pattern) {
+        const regex = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+        if (regex) return this.compileRegex(regex[1], regex[2].replace(/[gy]/g, ''));
+        
+        const trimmed = pattern.replace(/\.+$/, '');
+        const glob = this.relaxedBinding ? canonicalizeKey(trimmed) : trimmed;
+        const source = glob.split(/(\*\*|\*)/).map(part => {
+            if (part === '**') return '.*';
+            if (part === '*') return '[^.]*';
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+        return new RegExp(`^${source}(?:$|[.[])`, 'i');
+    }
+    
+    /**
+     * Compiles a user-supplied regular expression, naming it in the error when it is invalid
+     */
+    compileRegex(source, flags = '') {
+        try {
+            return new RegExp(source, flags);
+        } catch (error) {
+            throw new Error(`Invalid rule pattern /${source}/: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Checks whether a key, also given as written, survives the include and ignore rules
+     */
+    keeps(key, name = key) {
+        const matches = (pattern) => pattern.test(key) || pattern.test(name);
+        if (this.include.length > 0 && !this.include.some(matches)) return false;
+        return !this.ignore.some(matches);
+    }
+    
+    /**
+     * Returns a copy of a key->value Map holding only the kept keys; names maps canonical
+     * keys to their spellings (see recordKeyName)
+     */
+    filter(map, names = new Map()) {
+        if (this.ignore.length === 0 && this.include.length === 0) return map;
+        return new Map(Array.from(map).filter(([key]) => this.keeps(key, names.has(key) ? keyName(names.get(key)) : key)));
+    }
+    
+    /**
+     * Applies the normalize rewrites to a value
+     */
+    normalizeValue(value) {
+        if (value === undefined) return value;
+        return this.rewrites.reduce((text, rule) => text.replace(rule.pattern, rule.replacement), String(value));
+    }
+    
+    /**
+     * Checks whether any rule is set
+     */
+    isEmpty() {
+        return this.ignore.length === 0 && this.include.length === 0 && this.rewrites.length === 0;
+    }
+}
+
+/**
+ * Brings rules into the { ignore, include, normalize } shape, dropping blank entries;
+ * throws when a field has the wrong type
+ */
+function normalizeRules(rules) {
+    const list = (name) => {
+        const value = rules && rules[name];
+        if (value == null) return [];
+        if (!Array.isArray(value)) throw new Error(`Rules: "${name}" must be an array`);
+        return value;
+    };
+    const patterns = (name) => list(name).map(pattern => {
+        if (typeof pattern !== 'string') throw new Error(`Rules: "${name}" must contain strings`);
+        return pattern.trim();
+    }).filter(pattern => pattern !== '');
+    
+    return {
+        ignore: patterns('ignore'),
+        include: patterns('include'),
+        normalize: list('normalize').map(rule => {
+            if (!rule || typeof rule.pattern !== 'string') {
+                throw new Error('Rules: every "normalize" entry needs a "pattern" string');
+            }
+            return { pattern: rule.pattern, replacement: rule.replacement != null ? String(rule.replacement) : '' };
+        }).filter(rule => rule.pattern !== '')
+    };
+}
+
+/**
+ * Parses the JSON of a .configdiffrc file into normalized rules
+ */
+function parseRules(text) {
+    let rules;
+    try {
+        rules = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Rules file is not valid JSON: ${error.message}`);
+    }
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        throw new Error('Rules file must contain a JSON object');
+    }
+    const normalized = normalizeRules(rules);
+    // Compile once so bad patterns are reported on import
+    new DiffRules(normalized);
+    return normalized;
+}
+
+/**
+ * Serializes rules as the JSON of a .configdiffrc file
+ */
+function stringifyRules(rules) {
+    return JSON.stringify(normalizeRules(rules), null, 2) + '\n';
+}
+
+// ==================== CONFIGURATION METADATA ====================
+
+class MetadataIndex {
+    /**
+     * Indexes Spring Boot configuration metadata (spring-configuration-metadata.json and
+     * additional-spring-configuration-metadata.json) by canonical property name, to check the
+     * keys and values of a diff against the properties an application really has
+     */
+    constructor() {
+        this.properties = new Map();
+        this.hints = new Map();
+        // First key elements the metadata covers; keys outside them are not judged
+        this.roots = new Set();
+    }
+    
+    /**
+     * Adds the properties and value hints of one metadata file. Entries for a property that is
+     * already known complete it, the way additional metadata extends the generated file.
+     * Throws when the file is not metadata JSON.
+     */
+    add(text, source) {
+        let metadata;
+        try {
+            metadata = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${source}: invalid metadata JSON: ${error.message}`);
+        }
+        if (metadata === null || typeof metadata !== 'object' || !['groups', 'properties', 'hints'].some(field => Array.isArray(metadata[field]))) {
+            throw new Error(`${source}: not a Spring Boot configuration metadata file`);
+        }
+        
+        for (const group of metadata.groups || []) {
+            if (group && group.name) this.roots.add(this.root(group.name));
+        }
+        for (const property of metadata.properties || []) {
+            if (!property || !property.name) continue;
+            const name = canonicalizeKey(property.name);
+            const defined = Object.fromEntries(Object.entries(property).filter(([, value]) => value !== undefined));
+            // Older metadata only flags deprecated properties
+            if (defined.deprecated && !defined.deprecation) defined.deprecation = {};
+            this.properties.set(name, { ...this.properties.get(name), ...defined });
+            this.roots.add(this.root(name));
+        }
+        for (const hint of metadata.hints || []) {
+            if (!hint || !hint.name || !Array.isArray(hint.values) || hint.values.length === 0) continue;
+            // Values are only suggestions when a provider accepts others
+            if (Array.isArray(hint.providers) && hint.providers.some(provider => provider && provider.name === 'any')) continue;
+            this.hints.set(canonicalizeKey(hint.name), hint.values.map(value => String(value.value)));
+        }
+        
+        return (metadata.properties || []).length;
+    }
+    
+    /**
+     * Returns the first element of a canonical key
+     */
+    root(name) {
+        return (canonicalizeKey(name).match(/^[^.[]+/) || [''])[0];
+    }
+    
+    /**
+     * Finds the property of a key: the property itself, or the Map, List or array property
+     * the key is an entry of (logging.level.org.example, spring.profiles.include[0]).
+     * Returns { property, entry } where entry tells the key is an entry, or null.
+     */
+    lookup(key) {
+        const canonical = canonicalizeKey(key);
+        if (this.properties.has(canonical)) return { property: this.properties.get(canonical), entry: false };
+        
+        const elements = canonical.match(/\[[^\]]*\]|[^.[]+/g) || [];
+        for (let length = elements.length - 1; length > 0; length--) {
+            const prefix = elements.slice(0, length).join('.').replace(/\.\[/g, '[');
+            const property = this.properties.get(prefix);
+            if (property) return this.isContainer(property.type) ? { property, entry: true } : null;
+        }
+        return null;
+    }
+    
+    /**
+     * Returns the Java type of the values written for a key, or undefined for keys the
+     * metadata does not have
+     */
+    typeOf(key) {
+        const found = this.lookup(key);
+        return found ? this.valueType(found.property, found.entry) : undefined;
+    }
+    
+    /**
+     * Checks whether a Java type holds entries under its own key
+     */
+    isContainer(type) {
+        return /^java\.util\.(Map|List|Set|Collection|Properties)\b|\[\]$/.test(type || '');
+    }
+    
+    /**
+     * Returns the type of the values written for a key: the property type, or the element or
+     * map value type of a container
+     */
+    valueType(property, entry) {
+        if (!entry) return property.type;
+        const generics = /<(.*)>$/.exec(property.type || '');
+        if (generics) {
+            const parameters = generics[1].split(/,(?![^<]*>)/);
+            return parameters[parameters.length - 1].trim();
+        }
+        return (property.type || '').replace(/\[\]$/, '');
+    }
+    
+    /**
+     * Checks a key and the values of both sides of a diff row. Returns null for keys outside
+     * the metadata; otherwise { known, name, type, description, defaultValue, deprecation,
+     * suggestion, leftMismatch, rightMismatch }: unknown keys get the closest known key as
+     * suggestion, deprecation holds the level, reason and replacement of deprecated properties,
+     * and a mismatch describes the expected type of a value that does not convert to it.
+     */
+    annotate(key, leftValue, rightValue, leftType, rightType = leftType) {
+        const canonical = canonicalizeKey(key);
+        if (!this.roots.has(this.root(canonical))) return null;
+        
+        const found = this.lookup(canonical);
+        if (!found) {
+            const suggestion = this.suggest(canonical);
+            return suggestion ? { known: false, suggestion: suggestion } : { known: false };
+        }
+        
+        const { property, entry } = found;
+        const annotation = { known: true, name: property.name };
+        for (const field of ['type', 'description', 'defaultValue', 'deprecation']) {
+            if (property[field] !== undefined) annotation[field] = property[field];
+        }
+        const valueType = this.valueType(property, entry);
+        const hints = this.hints.get(canonicalizeKey(entry ? `${property.name}.values` : property.name));
+        const leftMismatch = this.mismatch(leftValue, leftType, valueType, hints);
+        const rightMismatch = this.mismatch(rightValue, rightType, valueType, hints);
+        if (leftMismatch) annotation.leftMismatch = leftMismatch;
+        if (rightMismatch) annotation.rightMismatch = rightMismatch;
+        return annotation;
+    }
+    
+    /**
+     * Describes why a raw value does not convert to a Java type or is not one of the hinted
+     * values, or returns null. Empty values and placeholders are not checked.
+     */
+    mismatch(raw, fileType, type, hints) {
+        if (raw === undefined || raw === null) return null;
+        const converter = new ValueConverter();
+        const text = (configFormat(fileType).rawValues ? new YAMLParser().unquote(raw) : String(raw)).trim();
+        if (text === '' || text.includes('${')) return null;
+        
+        const expected = MetadataIndex.TYPES[type];
+        if (expected) {
+            const readings = converter.scalarReadings(text, true);
+            const matches = expected === 'integer'
+                ? /^[+-]?(\d+|0[xX][0-9a-fA-F]+)$/.test(text)
+                : readings.some(reading => reading.type === expected);
+            if (!matches) return `expected ${MetadataIndex.TYPE_LABELS[expected]}, the type is ${type}`;
+        }
+        // Enum values bind leniently: case, dashes and underscores do not matter
+        const lenient = (value) => value.toLowerCase().replace(/[-_]/g, '');
+        if (hints && !hints.some(value => lenient(value) === lenient(text))) {
+            const shown = hints.slice(0, MetadataIndex.MAX_LISTED_VALUES).join(', ');
+            return `expected one of ${shown}${hints.length > MetadataIndex.MAX_LISTED_VALUES ? ', …' : ''}`;
+        }
+        return null;
+    }
+    
+    /**
+     * Returns the known key most like an unknown one among the properties next to it, or null
+     */
+    suggest(canonical) {
+        const detector = new RenameDetector();
+        const elements = detector.keyElements(canonical);
+        const parent = elements.slice(0, -1).join('.');
+        const last = Array.from(elements[elements.length - 1] || '');
+        
+        let best = null;
+        let bestScore = MetadataIndex.MIN_SUGGESTION_SIMILARITY;
+        for (const name of this.properties.keys()) {
+            const candidate = detector.keyElements(name);
+            if (candidate.length !== elements.length || candidate.slice(0, -1).join('.') !== parent) continue;
+            const score = detector.similarity(last, Array.from(candidate[candidate.length - 1]), bestScore);
+            if (score >= bestScore) {
+                best = name;
+                bestScore = score;
+            }
+        }
+        return best && this.properties.get(best).name;
+    }
+}
+
+// Java types whose values are checked, by the ValueConverter reading they must have
+MetadataIndex.TYPES = {
+    'boolean': 'boolean',
+    'java.lang.Boolean': 'boolean',
+    'int': 'integer',
+    'long': 'integer',
+    'short': 'integer',
+    'byte': 'integer',
+    'java.lang.Integer': 'integer',
+    'java.lang.Long': 'integer',
+    'java.lang.Short': 'integer',
+    'java.lang.Byte': 'integer',
+    'java.math.BigInteger': 'integer',
+    'float': 'number',
+    'double': 'number',
+    'java.lang.Float': 'number',
+    'java.lang.Double': 'number',
+    'java.math.BigDecimal': 'number',
+    'java.time.Duration': 'duration',
+    'org.springframework.util.unit.DataSize': 'size'
+};
+
+MetadataIndex.TYPE_LABELS = {
+    boolean: 'a boolean',
+    integer: 'a whole number',
+    number: 'a number',
+    duration: 'a duration',
+    size: 'a data size'
+};
+
+MetadataIndex.MAX_LISTED_VALUES = 8;
+
+// Dice similarity of the last key element above which an unknown key suggests a known one
+MetadataIndex.MIN_SUGGESTION_SIMILARITY = 0.75;
+
+/**
+ * Builds a MetadataIndex from metadata files ({ name, text }); an index is returned as is
+ */
+function metadataIndex(files) {
+    if (files instanceof MetadataIndex) return files;
+    const index = new MetadataIndex();
+    for (const file of files) {
+        index.add(file.text, file.name);
+    }
+    return index;
+}
+
+/**
+ * Reads the metadata files a jar carries in META-INF as { name, text }, named
+ * "<jarName>!/META-INF/..."
+ */
+async function readMetadataJar(bytes, inflateRaw, jarName) {
+    const decoder = new TextDecoder();
+    const files = await readZip(bytes, inflateRaw, name => /^META-INF\/(additional-)?spring-configuration-metadata\.json$/.test(name));
+    return files.map(file => ({ name: `${jarName}!/${file.name}`, text: decoder.decode(file.bytes) }));
+}
+
+// ==================== DIFF ENGINE ====================
+
+class DiffEngine {
+    /**
+     * Compares two sets of config data and generates diff. Each side, or each key given in
+     * options.leftTypes / rightTypes, is read as its own file type; compareConfigs lists the
+     * other options.
+     */
+    compare(leftData, rightData, leftType, rightType = leftType, options = {}) {
+        if (leftData == null && rightData == null) return [];
+        
+        let leftEntries = this.toMap(leftData, leftType);
+        let rightEntries = this.toMap(rightData, rightType);
+        
+        let leftSources = options.leftSources || new Map();
+        let rightSources = options.rightSources || new Map();
+        let leftTypes = options.leftTypes || new Map();
+        let rightTypes = options.rightTypes || new Map();
+        
+        const withComments = Boolean(options.leftComments || options.rightComments);
+        let leftComments = options.leftComments || new Map();
+        let rightComments = options.rightComments || new Map();
+        let leftDisabled = options.leftDisabled || new Map();
+        let rightDisabled = options.rightDisabled || new Map();
+        
+        // Spellings of the canonical keys on each side
+        const leftNames = new Map(options.leftNames || []);
+        const rightNames = new Map(options.rightNames || []);
+        if (options.relaxedBinding) {
+            leftEntries = this.canonicalizeKeys(leftEntries, leftNames);
+            rightEntries = this.canonicalizeKeys(rightEntries, rightNames);
+            leftSources = this.canonicalizeKeys(leftSources);
+            rightSources = this.canonicalizeKeys(rightSources);
+            leftTypes = this.canonicalizeKeys(leftTypes);
+            rightTypes = this.canonicalizeKeys(rightTypes);
+            leftComments = this.canonicalizeKeys(leftComments);
+            rightComments = this.canonicalizeKeys(rightComments);
+            leftDisabled = this.canonicalizeKeys(leftDisabled);
+            rightDisabled = this.canonicalizeKeys(rightDisabled);
+        }
+        
+        const rules = options.rules ? new DiffRules(options.rules, { relaxedBinding: options.relaxedBinding }) : null;
+        // Values are equal when their text, read as the file types of the key, matches, or
+        // matches after the normalize rewrites
+        const texts = (left, right, types) => [this.comparable(left, types.left, types.right), this.comparable(right, types.right, types.left)];
+        const equal = (left, right, types) => {
+            const [leftText, rightText] = texts(left, right, types);
+            return leftText === rightText;
+        };
+        const same = rules && rules.rewrites.length > 0
+            ? (left, right, types) => {
+                const [leftText, rightText] = texts(left, right, types);
+                return leftText === rightText || rules.normalizeValue(leftText) === rules.normalizeValue(rightText);
+            }
+            : equal;
+        
+        const converter = options.semantic ? new ValueConverter() : null;
+        let lists = new Set();
+        if (converter) {
+            const leftFolded = converter.foldLists(leftEntries, rightEntries, leftSources);
+            const rightFolded = converter.foldLists(rightEntries, leftEntries, rightSources);
+            ({ entries: leftEntries, sources: leftSources } = leftFolded);
+            ({ entries: rightEntries, sources: rightSources } = rightFolded);
+            lists = new Set([...leftFolded.lists, ...rightFolded.lists]);
+        }
+        
+        // Expand ${...} placeholders against each side's own keys and the supplied environment
+        let leftResolved = null;
+        let rightResolved = null;
+        if (options.resolvePlaceholders) {
+            const resolver = new PlaceholderResolver();
+            leftResolved = resolver.resolveAll(leftEntries, options.environment);
+            rightResolved = resolver.resolveAll(rightEntries, options.environment);
+        }
+        // Rules apply once placeholders are resolved, so an ignored key still supplies its value
+        if (rules) {
+            leftEntries = rules.filter(leftEntries, leftNames);
+            rightEntries = rules.filter(rightEntries, rightNames);
+        }
+        
+        const highlightOptions = { granularity: options.granularity, cutoff: options.cutoff };
+        
+        // Get all unique keys
+        const allKeys = new Set([...leftEntries.keys(), ...rightEntries.keys()]);
+        const sortedKeys = Array.from(allKeys).sort();
+        
+        const diffResults = [];
+        
+        for (const key of sortedKeys) {
+            const hasLeft = leftEntries.has(key);
+            const hasRight = rightEntries.has(key);
+            const leftValue = hasLeft ? leftEntries.get(key) : undefined;
+            const rightValue = hasRight ? rightEntries.get(key) : undefined;
+            const types = { left: leftTypes.get(key) || leftType, right: rightTypes.get(key) || rightType };
+            
+            // Keys are shown as the left side writes them, or else the right side
+            const names = new Map();
+            for (const spelling of [leftNames.get(key), rightNames.get(key)]) {
+                if (spelling !== undefined) recordKeyName(names, spelling);
+            }
+            const name = names.has(key) ? keyName(names.get(key)) : key;
+            const leftName = leftNames.has(key) ? keyName(leftNames.get(key)) : name;
+            const rightName = rightNames.has(key) ? keyName(rightNames.get(key)) : name;
+            
+            // Fields shared by every row
+            const details = {
+                key: name,
+                leftValue: leftValue,
+                rightValue: rightValue,
+                leftFileType: types.left,
+                rightFileType: types.right,
+                leftSource: leftSources.get(key),
+                rightSource: rightSources.get(key)
+            };
+            if (leftResolved) {
+                details.leftResolved = hasLeft ? leftResolved.get(key) : undefined;
+                details.rightResolved = hasRight ? rightResolved.get(key) : undefined;
+            }
+            if (withComments) {
+                details.leftComments = hasLeft ? leftComments.get(key) || [] : undefined;
+                details.rightComments = hasRight ? rightComments.get(key) || [] : undefined;
+                if (!hasLeft && leftDisabled.has(key)) details.leftDisabled = leftDisabled.get(key);
+                if (!hasRight && rightDisabled.has(key)) details.rightDisabled = rightDisabled.get(key);
+            }
+            
+            if (!hasLeft && hasRight) {
+                // Added
+                diffResults.push({
+                    status: 'added',
+                    leftLine: '',
+                    rightLine: this.formatLine(rightName, rightValue, types.right),
+                    leftHighlight: null,
+                    rightHighlight: null,
+                    ...details
+                });
+            } else if (hasLeft && !hasRight) {
+                // Removed
+                diffResults.push({
+                    status: 'removed',
+                    leftLine: this.formatLine(leftName, leftValue, types.left),
+                    rightLine: '',
+                    leftHighlight: null,
+                    rightHighlight: null,
+                    ...details
+                });
+            } else if (!same(leftValue, rightValue, types) || (leftResolved && !same(details.leftResolved, details.rightResolved, types))) {
+                // Modified: the raw text, the resolved value, or both changed
+                const highlights = leftValue !== rightValue
+                    ? highlightDifferences(leftValue, rightValue, highlightOptions)
+                    : { left: null, right: null };
+                const row = {
+                    status: 'modified',
+                    leftLine: this.formatLine(leftName, leftValue, types.left),
+                    rightLine: this.formatLine(rightName, rightValue, types.right),
+                    leftHighlight: highlights.left,
+                    rightHighlight: highlights.right,
+                    ...details
+                };
+                if (leftResolved) {
+                    const rawChanged = !same(leftValue, rightValue, types);
+                    const resolvedChanged = !same(details.leftResolved, details.rightResolved, types);
+                    row.change = rawChanged && resolvedChanged ? 'both' : (rawChanged ? 'raw' : 'resolved');
+                    if (resolvedChanged) {
+                        const resolvedHighlights = highlightDifferences(details.leftResolved, details.rightResolved, highlightOptions);
+                        row.leftResolvedHighlight = resolvedHighlights.left;
+                        row.rightResolvedHighlight = resolvedHighlights.right;
+                    }
+                }
+                if (converter) {
+                    const semantic = {
+                        list: lists.has(key),
+                        valueType: options.metadata ? options.metadata.typeOf(key) : undefined
+                    };
+                    const equivalence = (left, right) => same(left, right, types) ? 'same' : converter.equivalence(left, right, types.left, types.right, semantic);
+                    const raw = equivalence(leftValue, rightValue);
+                    const resolved = leftResolved ? equivalence(details.leftResolved, details.rightResolved) : 'same';
+                    if (raw && resolved) {
+                        row.status = 'equivalent';
+                        row.equivalence = raw !== 'same' ? raw : resolved;
+                    }
+                }
+                diffResults.push(row);
+            } else {
+                // Unchanged, possibly only after the normalize rules
+                const row = {
+                    status: 'unchanged',
+                    leftLine: this.formatLine(leftName, leftValue, types.left),
+                    rightLine: this.formatLine(rightName, rightValue, types.right),
+                    leftHighlight: null,
+                    rightHighlight: null,
+                    ...details
+                };
+                if (!equal(leftValue, rightValue, types) || (leftResolved && !equal(details.leftResolved, details.rightResolved, types))) {
+                    row.normalized = true;
+                }
+                diffResults.push(row);
+            }
+        }
+        
+        const rows = options.detectRenames
+            ? this.pairRenames(diffResults, options.detectRenames === true ? {} : options.detectRenames, highlightOptions)
+            : diffResults;
+        
+        // A changed comment is a change even where the values match
+        if (withComments) {
+            for (const row of rows) {
+                if (!row.leftComments || !row.rightComments || row.leftComments.join('\n') === row.rightComments.join('\n')) continue;
+                row.commentsChanged = true;
+                if (row.status === 'unchanged' || row.status === 'equivalent') {
+                    row.status = 'modified';
+                    row.commentsOnly = true;
+                }
+            }
+        }
+        
+        return rows;
+    }
+    
+    /**
+     * Replaces paired removed and added rows by 'renamed' rows placed at the new key. Keys
+     * that are only commented out on the other side are not renamed.
+     */
+    pairRenames(rows, detectorOptions, highlightOptions) {
+        const pairs = new RenameDetector(detectorOptions).findPairs(
+            rows.filter(row => row.status === 'removed' && row.rightDisabled === undefined),
+            rows.filter(row => row.status === 'added' && row.leftDisabled === undefined)
+        );
+        if (pairs.length === 0) return rows;
+        
+        const removed = new Set(pairs.map(pair => pair.removed));
+        const renamed = new Map(pairs.map(({ removed, added, reason }) => {
+            const highlights = removed.leftValue !== added.rightValue
+                ? highlightDifferences(removed.leftValue, added.rightValue, highlightOptions)
+                : { left: null, right: null };
+            const row = {
+                ...added,
+                status: 'renamed',
+                oldKey: removed.key,
+                renameReason: reason,
+                leftLine: removed.leftLine,
+                leftHighlight: highlights.left,
+                rightHighlight: highlights.right,
+                leftValue: removed.leftValue,
+                leftFileType: removed.leftFileType,
+                leftSource: removed.leftSource
+            };
+            if ('leftResolved' in removed) row.leftResolved = removed.leftResolved;
+            if ('leftComments' in removed) row.leftComments = removed.leftComments;
+            return [added, row];
+        }));
+        
+        return rows
+            .filter(row => !removed.has(row))
+            .map(row => renamed.get(row) || row);
+    }
+    
+    /**
+     * Converts sorted parser output of the given file type to a Map of key->value.
+     * Data that is already a Map (e.g. a resolved profile view) is used as is.
+     */
+    toMap(data, fileType) {
+        if (data instanceof Map) {
+            return data;
+        }
+        if (fileType === 'properties') {
+            return this.propertiesToMap(data);
+        }
+        return this.yamlToMap(configFormat(fileType).parser().flatten(data));
+    }
+    
+    /**
+     * Re-keys a Map by canonical property name; on collisions the last entry wins. The
+     * spellings of the keys are recorded in names when given (see recordKeyName).
+     */
+    canonicalizeKeys(map, names) {
+        const canonical = new Map();
+        for (const [key, value] of map) {
+            canonical.set(names ? recordKeyName(names, key) : canonicalizeKey(key), value);
+        }
+        return canonical;
+    }
+    
+    /**
+     * Converts property entries to a Map of key->value
+     */
+    propertiesToMap(entries) {
+        const map = new Map();
+        if (!Array.isArray(entries)) return map;
+        for (const entry of entries) {
+            if (entry && entry.type === 'property') {
+                map.set(entry.key || '', entry.value || '');
+            }
+        }
+        return map;
+    }
+    
+    /**
+     * Returns a value of one file type as it compares against a value of another: YAML values
+     * keep their quotes and escapes, which are decoded against formats that hold plain text
+     */
+    comparable(value, fileType, otherType) {
+        if (value === undefined || !configFormat(fileType).rawValues || configFormat(otherType).rawValues) return value;
+        return new YAMLParser().unquote(value);
+    }
+    
+    /**
+     * Converts YAML flat entries to a Map of key->value
+     */
+    yamlToMap(entries) {
+        const map = new Map();
+        if (!Array.isArray(entries)) return map;
+        for (const entry of entries) {
+            if (entry) {
+                map.set(entry.key || '', entry.value || '');
+            }
+        }
+        return map;
+    }
+    
+    /**
+     * Formats a key-value pair as a display line
+     */
+    formatLine(key, value, fileType) {
+        const safeKey = key != null ? key : '';
+        const safeValue = value != null ? value : '';
+        return `${safeKey}${configFormat(fileType).separator}${safeValue}`;
+    }
+}
+
+// ==================== DIFF EXPORT ====================
+
+class DiffExporter {
+    /**
+     * Counts rows per status
+     */
+    summarize(rows) {
+        const summary = { added: 0, removed: 0, modified: 0, renamed: 0, equivalent: 0, unchanged: 0 };
+        for (const row of rows) {
+            summary[row.status] = (summary[row.status] || 0) + 1;
+        }
+        return summary;
+    }
+    
+    /**
+     * Exports rows as structured JSON: a status summary plus, per key, the old and new
+     * values and the character segments of modified values, with comments their comment
+     * lines and the values of keys commented out on the other side, and with metadata the
+     * checks of the key
+     */
+    toJSON(rows) {
+        const segments = (highlights) => Array.isArray(highlights)
+            ? highlights.map(segment => ({ text: segment.text, type: segment.type }))
+            : null;
+        
+        return JSON.stringify({
+            summary: this.summarize(rows),
+            rows: rows.map(row => {
+                const item = {
+                    key: row.key,
+                    status: row.status,
+                    oldValue: row.leftValue !== undefined ? row.leftValue : null,
+                    newValue: row.rightValue !== undefined ? row.rightValue : null
+                };
+                if (row.file !== undefined) item.file = row.file;
+                if (row.status === 'renamed') {
+                    item.oldKey = row.oldKey;
+                    item.renameReason = row.renameReason;
+                }
+                if (row.status === 'equivalent') item.equivalence = row.equivalence;
+                if (row.status !== 'added' && row.status !== 'removed' && row.leftHighlight) {
+                    item.segments = { old: segments(row.leftHighlight), new: segments(row.rightHighlight) };
+                }
+                if (row.leftResolved !== undefined || row.rightResolved !== undefined) {
+                    item.oldResolved = row.leftResolved !== undefined ? row.leftResolved : null;
+                    item.newResolved = row.rightResolved !== undefined ? row.rightResolved : null;
+                    if (row.change) item.change = row.change;
+                }
+                if (row.leftSource || row.rightSource) {
+                    item.oldSource = row.leftSource || null;
+                    item.newSource = row.rightSource || null;
+                }
+                if (row.leftComments || row.rightComments) {
+                    item.oldComments = row.leftComments || null;
+                    item.newComments = row.rightComments || null;
+                    if (row.commentsChanged) item.commentsChanged = true;
+                }
+                if (row.leftDisabled !== undefined) item.oldDisabled = row.leftDisabled;
+                if (row.rightDisabled !== undefined) item.newDisabled = row.rightDisabled;
+                if (row.metadata) item.metadata = row.metadata;
+                return item;
+            })
+        }, null, 2);
+    }
+    
+    /**
+     * Exports rows as a unified diff of the sorted files of both sides, one file section per
+     * row.file (or a single section named after options.leftName / options.rightName). Both
+     * sides are written in the output format of options.fileType (default: the left file type),
+     * and only the values of changed rows are changed lines.
+     */
+    toUnifiedPatch(rows, options = {}) {
+        const context = options.context != null ? options.context : 3;
+        const output = [];
+        
+        for (const group of this.groupByFile(rows)) {
+            const targetType = configFormat(options.fileType || group.rows[0].leftFileType).outputType;
+            const leftLines = this.patchLines(group.rows, 'left', targetType);
+            const rightLines = this.patchLines(group.rows, 'right', targetType);
+            const hunks = this.buildHunks(this.diffLines(leftLines, rightLines), context);
+            if (hunks.length === 0) continue;
+            
+            output.push(`--- a/${group.file != null ? group.file : (options.leftName || 'original')}`);
+            output.push(`+++ b/${group.file != null ? group.file : (options.rightName || 'new')}`);
+            output.push(...hunks);
+        }
+        
+        return output.length > 0 ? output.join('\n') + '\n' : '';
+    }
+    
+    /**
+     * Writes one side of the rows as a sorted .properties or YAML file of { text, id } lines.
+     * The value lines of rows that did not change share their id with the other side, and
+     * those of changed rows do not, so a changed masked value still differs. Keys YAML cannot
+     * hold are written as .properties lines after the YAML.
+     */
+    patchLines(rows, side, targetType) {
+        const entries = [];
+        rows.forEach((row, index) => {
+            const value = side === 'left' ? row.leftValue : row.rightValue;
+            if (value === undefined) return;
+            const same = row.status === 'unchanged' || row.status === 'equivalent' || row.commentsOnly;
+            entries.push({
+                key: side === 'left' && row.oldKey !== undefined ? row.oldKey : row.key,
+                value: convertValue(value, side === 'left' ? row.leftFileType : row.rightFileType, 'properties'),
+                id: `\0${same ? '=' : side}${index}`
+            });
+        });
+        entries.sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+        
+        const propertyParser = new PropertyParser();
+        const propertyLine = (entry) => ({ text: propertyParser.formatProperty({ key: entry.key, value: entry.value }, '='), id: entry.id });
+        if (targetType === 'properties') {
+            return entries.map(propertyLine);
+        }
+        if (entries.length === 0) return [];
+        
+        // The tree is written twice, with a marker for each value to find the lines of its row
+        const parser = new YAMLParser();
+        let leftOut = false;
+        const write = (valueOf) => parser.stringify(parser.sortRecursively(
+            parser.unflatten(entries.map((entry, index) => ({ key: entry.key, value: valueOf(entry, index) })), () => {
+                leftOut = true;
+            })
+        ), 0).split('\n');
+        const written = write(entry => entry.value);
+        const lines = [];
+        const found = new Set();
+        let position = 0;
+        for (const line of write((entry, index) => `\u0001${index}\u0001`)) {
+            const marker = /\u0001(\d+)\u0001/.exec(line);
+            const entry = marker ? entries[Number(marker[1])] : null;
+            if (entry) found.add(entry);
+            // A multi-line value is written as a block scalar over several lines
+            const count = entry ? parser.formatValue(parser.formatScalar(entry.value), '').split('\n').length : 1;
+            for (let i = 0; i < count; i++) {
+                lines.push({ text: written[position++], id: entry ? `${entry.id}\0${i}` : line });
+            }
+        }
+        if (leftOut) {
+            lines.push(...entries.filter(entry => !found.has(entry)).map(propertyLine));
+        }
+        return lines;
+    }
+    
+    /**
+     * Diffs two lists of { text, id } lines on their ids into an edit script of their texts;
+     * unchanged lines read as the left side writes them
+     */
+    diffLines(leftLines, rightLines) {
+        let left = 0;
+        let right = 0;
+        return diffSequences(leftLines.map(line => line.id), rightLines.map(line => line.id)).map(op => {
+            if (op.type === 'added') return { type: op.type, value: rightLines[right++].text };
+            right += op.type === 'unchanged' ? 1 : 0;
+            return { type: op.type, value: leftLines[left++].text };
+        });
+    }
+    
+    /**
+     * Groups an edit script into unified diff hunks with the given number of context lines
+     */
+    buildHunks(ops, context) {
+        const lines = [];
+        let leftLine = 1;
+        let rightLine = 1;
+        const positioned = ops.map(op => {
+            const item = { ...op, left: leftLine, right: rightLine };
+            if (op.type !== 'added') leftLine++;
+            if (op.type !== 'removed') rightLine++;
+            return item;
+        });
+        
+        let index = 0;
+        while (index < positioned.length) {
+            // Find the next change and open a hunk with leading context
+            while (index < positioned.length && positioned[index].type === 'unchanged') index++;
+            if (index >= positioned.length) break;
+            
+            const start = Math.max(0, index - context);
+            let end = index;
+            // Extend over changes separated by at most 2 * context unchanged lines
+            while (end < positioned.length) {
+                if (positioned[end].type !== 'unchanged') {
+                    end++;
+                    continue;
+                }
+                let run = end;
+                while (run < positioned.length && positioned[run].type === 'unchanged') run++;
+                if (run < positioned.length && run - end <= context * 2) {
+                    end = run;
+                } else {
+                    end = Math.min(run, end + context);
+                    break;
+                }
+            }
+            
+            const hunk = positioned.slice(start, end);
+            const leftCount = hunk.filter(op => op.type !== 'added').length;
+            const rightCount = hunk.filter(op => op.type !== 'removed').length;
+            const leftStart = leftCount > 0 ? hunk.find(op => op.type !== 'added').left : hunk[0].left - 1;
+            const rightStart = rightCount > 0 ? hunk.find(op => op.type !== 'removed').right : hunk[0].right - 1;
+            
+            lines.push(`@@ -${leftStart},${leftCount} +${rightStart},${rightCount} @@`);
+            for (const op of hunk) {
+                const prefix = op.type === 'added' ? '+' : (op.type === 'removed' ? '-' : ' ');
+                lines.push(prefix + op.value);
+            }
+            index = end;
+        }
+        
+        return lines;
+    }
+    
+    /**
+     * Exports rows as a Markdown table for pull request comments. Unchanged rows are left out
+     * unless options.includeUnchanged is set.
+     */
+    toMarkdown(rows, options = {}) {
+        const summary = this.summarize(rows);
+        const shown = rows.filter(row => options.includeUnchanged || row.status !== 'unchanged');
+        const withFile = shown.some(row => row.file !== undefined);
+        const cell = (value) => value === undefined || value === null
+            ? ''
+            : '`' + String(value).replace(/`/g, "'").replace(/\|/g, '\\|').replace(/\r?\n/g, ' ') + '`';
+        
+        const renamed = summary.renamed > 0 ? `, **${summary.renamed}** renamed` : '';
+        const equivalent = summary.equivalent > 0 ? `, **${summary.equivalent}** equivalent` : '';
+        const lines = [
+            `**${summary.added}** added, **${summary.removed}** removed, **${summary.modified}** modified${renamed}${equivalent}, **${summary.unchanged}** unchanged`,
+            ''
+        ];
+        if (shown.length === 0) {
+            lines.push('No differences found.');
+            return lines.join('\n') + '\n';
+        }
+        
+        lines.push(withFile ? '| File | Status | Key | Original | New |' : '| Status | Key | Original | New |');
+        lines.push(withFile ? '|------|--------|-----|----------|-----|' : '|--------|-----|----------|-----|');
+        for (const row of shown) {
+            const key = row.oldKey !== undefined ? `${cell(row.oldKey)} → ${cell(row.key)}` : cell(row.key);
+            const notes = [
+                row.commentsChanged ? 'comments changed' : null,
+                row.rightDisabled !== undefined ? 'commented out' : null,
+                row.leftDisabled !== undefined ? 'was commented out' : null,
+                row.metadata && !row.metadata.known ? 'unknown key' : null,
+                row.metadata && row.metadata.deprecation ? 'deprecated' : null,
+                row.metadata && (row.metadata.leftMismatch || row.metadata.rightMismatch) ? 'type mismatch' : null
+            ].filter(Boolean);
+            const status = notes.length > 0 ? `${row.status} (${notes.join(', ')})` : row.status;
+            const cells = [status, key, cell(row.leftValue), cell(row.rightValue)];
+            if (withFile) cells.unshift(cell(row.file));
+            lines.push(`| ${cells.join(' | ')} |`);
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    /**
+     * Exports every row as CSV (RFC 4180 quoting) for audits
+     */
+    toCSV(rows) {
+        const withFile = rows.some(row => row.file !== undefined);
+        const withRenames = rows.some(row => row.oldKey !== undefined);
+        const quote = (value) => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const header = ['status', 'key', 'old_value', 'new_value', 'old_source', 'new_source'];
+        if (withRenames) header.push('old_key');
+        if (withFile) header.unshift('file');
+        const lines = [header.join(',')];
+        for (const row of rows) {
+            const cells = [row.status, row.key, row.leftValue, row.rightValue, row.leftSource, row.rightSource];
+            if (withRenames) cells.push(row.oldKey);
+            if (withFile) cells.unshift(row.file);
+            lines.push(cells.map(quote).join(','));
+        }
+        
+        return lines.join('\r\n') + '\r\n';
+    }
+    
+    /**
+     * Splits rows into consecutive runs sharing the same row.file
+     */
+    groupByFile(rows) {
+        const groups = [];
+        for (const row of rows) {
+            const last = groups[groups.length - 1];
+            if (last && last.file === row.file) {
+                last.rows.push(row);
+            } else {
+                groups.push({ file: row.file, rows: [row] });
+            }
+        }
+        return groups;
+    }
+    
+    /**
+     * Exports rows in the named format: json, patch, markdown or csv
+     */
+    export(rows, format, options = {}) {
+        switch (format) {
+            case 'json': return this.toJSON(rows);
+            case 'patch': return this.toUnifiedPatch(rows, options);
+            case 'markdown': return this.toMarkdown(rows, options);
+            case 'csv': return this.toCSV(rows);
+            default: throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+}
+
+// ==================== DIFF TREE ====================
+
+/**
+ * Nests diff rows by key path (dotted elements and [index] elements) for the tree view.
+ * Every node is { name, path, row, children, summary }: row is the diff row of the node's own
+ * key if there is one, children are sorted by name (list indices numerically) and summary
+ * counts the row statuses of the whole subtree.
+ */
+function buildDiffTree(rows) {
+    const createNode = (name, path) => ({ name: name, path: path, row: null, children: new Map(), summary: {} });
+    const root = createNode('', '');
+    
+    for (const row of rows) {
+        const key = String(row.key);
+        const elements = key.match(/\[[^\]]*\]|[^.[]+/g) || [key];
+        let node = root;
+        node.summary[row.status] = (node.summary[row.status] || 0) + 1;
+        for (const element of elements) {
+            if (!node.children.has(element)) {
+                const path = element.startsWith('[') || node === root ? node.path + element : `${node.path}.${element}`;
+                node.children.set(element, createNode(element, path));
+            }
+            node = node.children.get(element);
+            node.summary[row.status] = (node.summary[row.status] || 0) + 1;
+        }
+        node.row = row;
+    }
+    
+    const order = (a, b) => {
+        const indexA = /^\[(\d+)\]$/.exec(a.name);
+        const indexB = /^\[(\d+)\]$/.exec(b.name);
+        if (indexA && indexB) return Number(indexA[1]) - Number(indexB[1]);
+        return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0);
+    };
+    const finish = (node) => {
+        node.children = Array.from(node.children.values()).sort(order);
+        node.children.forEach(finish);
+        return node;
+    };
+    return finish(root);
+}
+
+// ==================== COMPARISON PIPELINE ====================
+
+/**
+ * Compares two stacks of config layers ({ name, text, fileType }), each merged for the
+ * profile view, with DiffEngine. options: relaxedBinding (default true), activeProfiles,
+ * profileView, resolvePlaceholders, environment (a Map or plain object of variables),
+ * maskSecrets, granularity, cutoff, detectRenames (default true), semantic, rules, comments
+ * and metadata.
+ * Returns { rows, profiles, diagnostics }.
+ */
+function compareConfigs(leftLayers, rightLayers, options = {}) {
+    const stack = new ConfigStack();
+    const relaxedBinding = options.relaxedBinding !== false;
+    const profileView = options.profileView || 'resolved';
+    
+    const buildView = (layers) => {
+        const activeProfiles = stack.activeProfiles(layers, options.activeProfiles || []);
+        const documents = stack.documents(layers, activeProfiles, relaxedBinding);
+        let result;
+        if (profileView === 'default') {
+            result = stack.documentFor(documents, null);
+        } else if (profileView.startsWith('profile:')) {
+            result = stack.documentFor(documents, profileView.slice('profile:'.length));
+        } else {
+            result = stack.resolve(documents, activeProfiles);
+        }
+        const diagnostics = documents.flatMap(document => document.diagnostics.map(diagnostic => ({ source: document.source, ...diagnostic })));
+        return { ...result, profiles: stack.profiles(documents), diagnostics: diagnostics };
+    };
+    
+    const left = buildView(leftLayers);
+    const right = buildView(rightLayers);
+    const leftType = leftLayers.length > 0 ? leftLayers[0].fileType : (rightLayers.length > 0 ? rightLayers[0].fileType : 'properties');
+    const rightType = rightLayers.length > 0 ? rightLayers[0].fileType : leftType;
+    
+    const index = options.metadata ? metadataIndex(options.metadata) : null;
+    // Source files are only worth reporting when a side merges several
+    const rows = new DiffEngine().compare(left.values, right.values, leftType, rightType, {
+        relaxedBinding: relaxedBinding,
+        resolvePlaceholders: options.resolvePlaceholders,
+        environment: options.environment && !(options.environment instanceof Map)
+            ? new Map(Object.entries(options.environment))
+            : options.environment,
+        granularity: options.granularity,
+        cutoff: options.cutoff,
+        detectRenames: options.detectRenames !== undefined ? options.detectRenames : true,
+        semantic: options.semantic,
+        metadata: index,
+        rules: options.rules,
+        leftNames: left.names,
+        rightNames: right.names,
+        leftTypes: left.types,
+        rightTypes: right.types,
+        leftSources: leftLayers.length > 1 ? left.sources : null,
+        rightSources: rightLayers.length > 1 ? right.sources : null,
+        leftComments: options.comments ? left.comments : null,
+        rightComments: options.comments ? right.comments : null,
+        leftDisabled: options.comments ? left.disabled : null,
+        rightDisabled: options.comments ? right.disabled : null
+    });
+    if (index) {
+        for (const row of rows) {
+            const annotation = index.annotate(row.key, row.leftValue, row.rightValue, row.leftFileType, row.rightFileType);
+            if (annotation) row.metadata = annotation;
+        }
+    }
+    const masker = options.maskSecrets
+        ? new SecretMasker(options.maskSecrets === true ? {} : options.maskSecrets)
+        : null;
+    
+    return {
+        rows: masker ? masker.maskRows(rows) : rows,
+        profiles: [...new Set([...left.profiles, ...right.profiles])],
+        diagnostics: { left: left.diagnostics, right: right.diagnostics }
+    };
+}
+
+/**
+ * Parses config text of the given file type on its own and returns the diagnostics of all
+ * its documents ({ line, column, message, severity }) in line order, e.g. to validate an
+ * editor while typing
+ */
+function validateConfig(text, fileType) {
+    const parser = configFormat(fileType).parser();
+    parser.parseDocuments(text);
+    return [...parser.diagnostics].sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Counts diagnostics by severity, as { errors, warnings }
+ */
+function countDiagnostics(diagnostics) {
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+    return { errors: errors, warnings: diagnostics.length - errors };
+}
+
+// ==================== FILE MATCHING ====================
+
+/**
+ * Pairs two sets of files ({ name, text }) by name, e.g. the relative paths of two config
+ * directories. Returns { name, left, right, status } sorted by name, where status is
+ * 'matched', 'added' (right only) or 'removed' (left only).
+ */
+function matchFiles(leftFiles, rightFiles) {
+    const left = new Map(leftFiles.map(file => [file.name, file]));
+    const right = new Map(rightFiles.map(file => [file.name, file]));
+    const names = Array.from(new Set([...left.keys(), ...right.keys()])).sort();
+    
+    return names.map(name => ({
+        name: name,
+        left: left.get(name) || null,
+        right: right.get(name) || null,
+        status: !left.has(name) ? 'added' : (!right.has(name) ? 'removed' : 'matched')
+    }));
+}
+
+/**
+ * Compares two sets of files ({ name, text }) pair by pair with compareConfigs. Returns
+ * { name, status, left, right, rows, profiles, diagnostics, summary } per file name, where status is
+ * 'added', 'removed', 'modified' or 'unchanged' (also when only equivalent values differ)
+ * and summary counts the rows per status.
+ */
+function compareFileSets(leftFiles, rightFiles, options = {}) {
+    const toLayers = (file) => file ? [{ name: file.name, text: file.text, fileType: fileTypeFromName(file.name, file.text) }] : [];
+    const exporter = new DiffExporter();
+    // The metadata is indexed once for all pairs
+    const pairOptions = options.metadata ? { ...options, metadata: metadataIndex(options.metadata) } : options;
+    
+    return matchFiles(leftFiles, rightFiles).map(pair => {
+        const { rows, profiles, diagnostics } = compareConfigs(toLayers(pair.left), toLayers(pair.right), pairOptions);
+        let status = pair.status;
+        if (status === 'matched') {
+            status = rows.some(row => row.status !== 'unchanged' && row.status !== 'equivalent') ? 'modified' : 'unchanged';
+        }
+        return { ...pair, status: status, rows: rows, profiles: profiles, diagnostics: diagnostics, summary: exporter.summarize(rows) };
+    });
+}
+
+// ==================== THREE-WAY MERGE ====================
+
+class ConfigMerger {
+    /**
+     * Parses the base, ours and theirs texts and pairs their documents by profile, as
+     * { data, values, comments, text } or null per side; only .properties and YAML can merge
+     */
+    pairDocuments(texts, fileType) {
+        if (typeof configFormat(fileType).parser().setValue !== 'function') {
+            throw new Error(`${configFormat(fileType).label} files cannot be merged; merge .properties or YAML files`);
+        }
+        const engine = new DiffEngine();
+        const resolver = new ProfileResolver();
+        const documents = [];
+        this.diagnostics = {};
+        
+        for (const side of ['ours', 'theirs', 'base']) {
+            const parser = fileType === 'properties' ? new PropertyParser() : new YAMLParser();
+            const occurrences = new Map();
+            const lines = String(texts[side] || '').split('\n');
+            for (const document of parser.parseDocuments(texts[side] || '')) {
+                const values = engine.toMap(document.data, fileType);
+                const profile = resolver.documentProfile(values);
+                const occurrence = occurrences.get(profile) || 0;
+                occurrences.set(profile, occurrence + 1);
+                
+                let pair = documents.find(other => other.profile === profile && other.occurrence === occurrence);
+                if (!pair) {
+                    pair = { profile: profile, occurrence: occurrence, base: null, ours: null, theirs: null };
+                    documents.push(pair);
+                }
+                pair[side] = {
+                    data: document.data,
+                    values: values,
+                    comments: this.comments(document.data, fileType),
+                    text: lines.slice(document.startLine, documentEnd(lines, document.startLine, fileType)).join('\n')
+                };
+            }
+            this.diagnostics[side] = parser.diagnostics;
+        }
+        
+        return documents;
+    }
+    
+    /**
+     * Maps each key of a parsed document, and in YAML each mapping and list, to the comment
+     * lines written above it
+     */
+    comments(data, fileType) {
+        const comments = new Map();
+        if (fileType === 'properties') {
+            let pending = [];
+            for (const entry of data) {
+                if (entry.type === 'comment') {
+                    pending.push(entry.line);
+                } else {
+                    if (entry.type === 'property') comments.set(entry.key, pending);
+                    pending = [];
+                }
+            }
+        } else {
+            const sections = (obj, prefix) => {
+                const isSequence = Array.isArray(obj);
+                for (const key of Object.keys(obj)) {
+                    const item = obj[key];
+                    if (!item || typeof item._value !== 'object' || item._value === null) continue;
+                    const fullKey = isSequence ? `${prefix}[${key}]` : (prefix && !key.startsWith('[') ? `${prefix}.${key}` : `${prefix}${key}`);
+                    if (item._comments && item._comments.length > 0) comments.set(fullKey, item._comments);
+                    sections(item._value, fullKey);
+                }
+            };
+            sections(data, '');
+            for (const entry of new YAMLParser().flatten(data)) {
+                comments.set(entry.key, entry.comments);
+            }
+        }
+        return comments;
+    }
+    
+    /**
+     * Splits the text of a document into its lines and the comment and blank lines after
+     * its last key
+     */
+    splitTrailing(text, fileType) {
+        const lines = String(text).split('\n');
+        const comment = fileType === 'properties' ? /^\s*([#!].*)?$/ : /^\s*(#.*)?$/;
+        let end = lines.length;
+        while (end > 0 && comment.test(lines[end - 1])) end--;
+        return { body: lines.slice(0, end), trailing: lines.slice(end) };
+    }
+    
+    /**
+     * Classifies the keys of three Maps of key->value by the side that changed them since
+     * the base. Returns rows sorted by key as { key, status, baseValue, oursValue,
+     * theirsValue, merged }, undefined standing for a missing key, where status is
+     * 'unchanged', 'ours' or 'theirs' (only that side added, modified or removed the key),
+     * 'both' (both sides made the same change) or 'conflict' (they changed it differently).
+     * merged is the value of the key in the merge result, undefined when it is removed;
+     * conflicts have resolution: null and no merged value until resolve is called. When both
+     * sides changed a list differently, every item of it is a conflict naming the list.
+     */
+    classify(base, ours, theirs) {
+        const keys = Array.from(new Set([...base.keys(), ...ours.keys(), ...theirs.keys()])).sort();
+        const listOf = (key) => {
+            const match = /\[\d+\]/.exec(key);
+            return match ? key.slice(0, match.index) : null;
+        };
+        const itemsOf = (values, list) => JSON.stringify(keys.filter(key => listOf(key) === list).map(key => values.get(key)));
+        const conflictingLists = new Set(keys.map(listOf).filter(list => {
+            if (list === null) return false;
+            const baseItems = itemsOf(base, list);
+            const oursItems = itemsOf(ours, list);
+            const theirsItems = itemsOf(theirs, list);
+            return oursItems !== baseItems && theirsItems !== baseItems && oursItems !== theirsItems;
+        }));
+        
+        return keys.map(key => {
+            const row = {
+                key: key,
+                baseValue: base.get(key),
+                oursValue: ours.get(key),
+                theirsValue: theirs.get(key)
+            };
+            const oursChanged = row.oursValue !== row.baseValue;
+            const theirsChanged = row.theirsValue !== row.baseValue;
+            
+            // The items of one list are not merged from both sides
+            if (conflictingLists.has(listOf(key))) {
+                return { ...row, status: 'conflict', merged: undefined, resolution: null, list: listOf(key) };
+            } else if (!oursChanged && !theirsChanged) {
+                return { ...row, status: 'unchanged', merged: row.oursValue };
+            } else if (row.oursValue === row.theirsValue) {
+                return { ...row, status: 'both', merged: row.oursValue };
+            } else if (!theirsChanged) {
+                return { ...row, status: 'ours', merged: row.oursValue };
+            } else if (!oursChanged) {
+                return { ...row, status: 'theirs', merged: row.theirsValue };
+            }
+            return { ...row, status: 'conflict', merged: undefined, resolution: null };
+        });
+    }
+    
+    /**
+     * Resolves a row by taking the value of 'ours' or 'theirs', or with 'edit' the given
+     * value (undefined removes the key). Returns the updated row.
+     */
+    resolve(row, resolution, value) {
+        let merged = value;
+        if (resolution === 'ours') merged = row.oursValue;
+        if (resolution === 'theirs') merged = row.theirsValue;
+        return { ...row, resolution: resolution, merged: merged };
+    }
+    
+    /**
+     * Writes the merge result of classified rows, editing only the lines of changed keys in
+     * each document; throws for unresolved conflicts and values behind YAML anchors
+     */
+    write(texts, fileType, rows) {
+        const unresolved = rows.filter(row => row.status === 'conflict' && !row.resolution).length;
+        if (unresolved > 0) {
+            throw new Error(`${unresolved} conflict${unresolved === 1 ? ' is' : 's are'} not resolved`);
+        }
+        
+        // List items are set in index order and removed from the last one, so indices stay valid
+        const byKey = (a, b) => a.key.localeCompare(b.key, undefined, { numeric: true });
+        const written = [];
+        
+        const same = (a, b) => JSON.stringify(a || []) === JSON.stringify(b || []);
+        
+        this.pairDocuments(texts, fileType).forEach((document, index) => {
+            const carrier = document.ours || document.theirs || document.base;
+            const values = carrier ? carrier.values : new Map();
+            const documentRows = rows.filter(row => row.document === index).sort(byKey);
+            const edits = [];
+            
+            for (const row of documentRows) {
+                if (row.merged === undefined) continue;
+                const source = this.commentSource(document, row);
+                const comments = source.comments.get(row.key) || [];
+                if (!values.has(row.key)) {
+                    edits.push({ key: row.key, value: row.merged, comments: comments, sections: source.comments });
+                } else if (values.get(row.key) !== row.merged || !same(comments, carrier.comments.get(row.key))) {
+                    edits.push({ key: row.key, value: row.merged, comments: same(comments, carrier.comments.get(row.key)) ? undefined : comments });
+                }
+            }
+            for (const row of documentRows.reverse()) {
+                if (row.merged === undefined && values.has(row.key)) edits.push({ key: row.key, value: undefined });
+            }
+            
+            // A document whose keys were all removed is dropped; one that never had keys is kept for its comments
+            if (!documentRows.some(row => row.merged !== undefined) && !(document.ours && documentRows.length === 0)) return;
+            written.push(editDocument(this.mergeTrailing(document, carrier, fileType), fileType, edits).replace(/\n+$/, ''));
+        });
+        
+        const separator = fileType === 'properties' ? '\n#---\n' : '\n---\n';
+        return written.join(separator).replace(/\n*$/, '\n');
+    }
+    
+    /**
+     * Picks the side whose comments a merged key takes: the side its value was taken from,
+     * else theirs when only theirs changed the comments
+     */
+    commentSource(document, row) {
+        const fallback = [document.ours, document.theirs, document.base]
+            .find(side => side && side.values.get(row.key) === row.merged);
+        if ((row.status === 'theirs' || row.resolution === 'theirs') && document.theirs) return document.theirs;
+        if ((row.status === 'ours' || row.resolution === 'ours') && document.ours) return document.ours;
+        
+        const comments = (side) => JSON.stringify(side ? side.comments.get(row.key) || [] : []);
+        if (document.ours && document.theirs && document.theirs.values.has(row.key)
+            && comments(document.ours) === comments(document.base) && comments(document.theirs) !== comments(document.base)) {
+            return document.theirs;
+        }
+        return fallback || document.ours || document.theirs;
+    }
+    
+    /**
+     * Returns the text of the carrier document, with the comments after its last key taken
+     * from theirs when only theirs changed them
+     */
+    mergeTrailing(document, carrier, fileType) {
+        if (!carrier) return '';
+        if (!document.theirs || carrier === document.theirs) return carrier.text;
+        const comments = (side) => JSON.stringify(side
+            ? this.splitTrailing(side.text, fileType).trailing.map(line => line.trim()).filter(line => line !== '')
+            : []);
+        if (comments(carrier) !== comments(document.base) || comments(document.theirs) === comments(document.base)) {
+            return carrier.text;
+        }
+        return [...this.splitTrailing(carrier.text, fileType).body, ...this.splitTrailing(document.theirs.text, fileType).trailing].join('\n');
+    }
+}
+
+/**
+ * Three-way merges config texts ({ base, ours, theirs }) of one file type by key: each key is
+ * classified by the side that changed it since the base (see ConfigMerger.classify), per
+ * document of multi-document files. Returns { rows, documents, diagnostics } where rows also
+ * carry document, the index of their document in documents ({ profile }, null for documents
+ * without one), and diagnostics holds the parser diagnostics of each side as { base, ours, theirs }.
+ * Resolve conflicts with ConfigMerger.resolve and write the result with ConfigMerger.write.
+ */
+function mergeConfigs(texts, fileType) {
+    const merger = new ConfigMerger();
+    const documents = merger.pairDocuments(texts, fileType);
+    const values = (side) => side ? side.values : new Map();
+    
+    const rows = documents.flatMap((document, index) => {
+        return merger.classify(values(document.base), values(document.ours), values(document.theirs))
+            .map(row => ({ ...row, document: index }));
+    });
+    
+    return {
+        rows: rows,
+        documents: documents.map(document => ({ profile: document.profile })),
+        diagnostics: merger.diagnostics
+    };
+}
+
+// ==================== CONFIG EDITING ====================
+
+/**
+ * Guesses the spaces per level of YAML text from its smallest indentation (default 2)
+ */
+function indentWidth(text) {
+    const indents = String(text || '').split('\n')
+        .filter(line => line.trim() !== '' && !line.trim().startsWith('#'))
+        .map(line => line.search(/\S/))
+        .filter(indent => indent > 0);
+    return indents.length > 0 ? Math.min(...indents) : 2;
+}
+
+/**
+ * Edits the lines of one YAML document in place, keeping the layout of all other keys
+ */
+class YAMLWriter {
+    constructor(text, indentWidth = 2) {
+        this.lines = String(text).split('\n');
+        this.indentWidth = indentWidth;
+        this.parser = new YAMLParser();
+        this.overrides = new Map();
+    }
+    
+    /**
+     * Sets a flattened key to scalar text as YAMLParser holds it (quotes included). Given
+     * comment lines replace those above an existing key; a new key gets them, and the mappings
+     * and lists it adds get theirs from sections (flattened key -> comment lines).
+     */
+    set(key, value, comments, sections = new Map()) {
+        const target = this.locate(key);
+        if (target.found) {
+            const entry = target.found;
+            if (entry.value !== value || entry.child) {
+                this.replace(entry, this.entryLines(entry, this.parser.formatValue(value, ' '.repeat(entry.indent), { indentWidth: this.indentWidth })));
+            }
+            if (comments !== undefined) this.replaceComments(entry, comments);
+        } else if (target.flow) {
+            this.editFlow(target.flow, target.rest, tree => this.parser.setValue(tree, target.rest, value));
+        } else if (target.missing && !this.merges(target.missing.collection, key, value)) {
+            const offset = key.length - target.missing.rest.length;
+            const added = new Map(Array.from(sections)
+                .filter(([section]) => section.length > offset && key.startsWith(section) && /^[.[]/.test(key.slice(section.length)))
+                .map(([section, lines]) => [section.slice(offset), lines]));
+            this.insert(target.missing, value, comments || [], added);
+        }
+    }
+    
+    /**
+     * Checks whether a collection has a merge key that already gives key the value
+     */
+    merges(collection, key, value) {
+        if (!collection || !collection.entries.some(entry => entry.merge)) return false;
+        return new DiffEngine().toMap(new YAMLParser().parse(this.toString()), 'yaml').get(key) === value;
+    }
+    
+    /**
+     * Removes a flattened key with the comment lines above it, and the mappings and
+     * sequences it leaves empty
+     */
+    remove(key) {
+        const target = this.locate(key);
+        if (target.flow) {
+            this.editFlow(target.flow, target.rest, tree => this.parser.removeKey(tree, target.rest));
+        }
+        if (!target.found) return;
+        
+        let step = target.steps.length - 1;
+        while (step > 0 && target.steps[step].collection.entries.length === 1) step--;
+        const { collection, entry } = target.steps[step];
+        
+        // A mapping that starts on the dash line of its item hands the dash to its next key
+        const next = collection.entries[collection.entries.indexOf(entry) + 1];
+        const dash = /^\s*-(\s|$)/.test(this.lines[entry.line]) && typeof entry.name === 'string';
+        if (dash && next) {
+            this.lines[next.line] = this.lines[entry.line].slice(0, entry.indent) + this.lines[next.line].slice(entry.indent);
+        }
+        this.lines.splice(entry.commentStart, entry.end - entry.commentStart);
+    }
+    
+    toString() {
+        return this.lines.join('\n');
+    }
+    
+    /**
+     * Finds the lines of a flattened key: { found, steps }, { missing }, { flow, rest }
+     * or { blocked } when it is reached through an alias, a merge key or a scalar
+     */
+    locate(key) {
+        const elements = [];
+        const pattern = /\[[^\]]*\]|[^.[]+/g;
+        let match;
+        while ((match = pattern.exec(key)) !== null) {
+            elements.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+        }
+        
+        const steps = [];
+        let collection = this.scan();
+        let parent = null;
+        for (let i = 0; i < elements.length;) {
+            const rest = key.slice(elements[i].start);
+            const index = /^\[(\d+)\]$/.exec(elements[i].text);
+            if (!collection) {
+                return parent && parent.value !== '' ? { blocked: true } : { missing: { collection, parent, rest } };
+            }
+            if (collection.sequence !== Boolean(index)) return { blocked: true };
+            
+            let entry = null;
+            let next = i + 1;
+            if (index) {
+                entry = collection.entries[Number(index[1])] || null;
+            } else {
+                for (let j = elements.length; j > i && entry === null; j--) {
+                    const candidate = key.slice(elements[i].start, elements[j - 1].end);
+                    entry = collection.entries.filter(other => other.name === candidate && !other.merge).pop() || null;
+                    if (entry) next = j;
+                }
+            }
+            if (!entry) return { missing: { collection, parent, rest } };
+            
+            steps.push({ collection, entry });
+            if (next === elements.length) return { found: entry, steps };
+            if (entry.flow) return { flow: entry, rest: key.slice(elements[next].start) };
+            if (entry.alias) return { blocked: true };
+            collection = entry.child;
+            parent = entry;
+            i = next;
+        }
+        return { blocked: true };
+    }
+    
+    /**
+     * Indexes the lines of the document as nested collections { sequence, indent, entries,
+     * end }, each entry being { name, line, end, commentStart, indent, head, props, value,
+     * comment, alias, merge, flow, child }: its lines are [line, end), preceded by its
+     * comment lines from commentStart, and head is the text before its value.
+     */
+    scan() {
+        this.overrides = new Map();
+        return this.scanCollection(0, this.lines.length);
+    }
+    
+    lineAt(index) {
+        return this.overrides.has(index) ? this.overrides.get(index) : this.lines[index];
+    }
+    
+    scanCollection(start, end) {
+        let first = start;
+        while (first < end && /^(#|$)/.test(this.lineAt(first).trim())) first++;
+        if (first === end) return null;
+        
+        const indent = this.lineAt(first).search(/\S/);
+        const sequence = this.parser.isSequenceItem(this.lineAt(first).trim());
+        const collection = { sequence, indent, entries: [], end: first + 1 };
+        let commentStart = -1;
+        for (let i = start; i < end;) {
+            const line = this.lineAt(i);
+            const trimmed = line.trim();
+            if (trimmed === '' || trimmed.startsWith('#')) {
+                commentStart = trimmed === '' ? -1 : commentStart === -1 ? i : commentStart;
+                i++;
+                continue;
+            }
+            // Lines the parser reports as misplaced are skipped
+            if (line.search(/\S/) !== indent || this.parser.isSequenceItem(trimmed) !== sequence) {
+                commentStart = -1;
+                i++;
+                continue;
+            }
+            
+            const blockEnd = this.blockEnd(i, end, indent, sequence);
+            const entry = sequence ? this.scanItem(i, blockEnd, collection.entries.length) : this.scanEntry(i, blockEnd);
+            if (entry) {
+                entry.commentStart = commentStart === -1 ? i : commentStart;
+                collection.entries.push(entry);
+                collection.end = blockEnd;
+            }
+            commentStart = -1;
+            i = blockEnd;
+        }
+        return collection;
+    }
+    
+    /**
+     * Returns the end of the lines of the entry on line start: the deeper lines after it,
+     * and for a mapping key the sequence items it may hold at its own indentation
+     */
+    blockEnd(start, end, indent, sequence) {
+        let last = start;
+        for (let i = start + 1; i < end; i++) {
+            const line = this.lineAt(i);
+            const trimmed = line.trim();
+            if (trimmed === '' || trimmed.startsWith('#')) continue;
+            const lineIndent = line.search(/\S/);
+            if (lineIndent > indent || (!sequence && lineIndent === indent && this.parser.isSequenceItem(trimmed))) {
+                last = i;
+            } else {
+                break;
+            }
+        }
+        return last + 1;
+    }
+    
+    scanEntry(line, end) {
+        const text = this.lineAt(line);
+        const pair = this.parser.splitKey(text.trim());
+        if (!pair) return null;
+        const entry = this.scanValue(line, end, text.trimEnd().length - pair.rest.length, pair.rest);
+        entry.name = pair.key;
+        entry.merge = pair.key === '<<' && !pair.quoted;
+        entry.indent = text.search(/\S/);
+        return entry;
+    }
+    
+    scanItem(line, end, index) {
+        const text = this.lineAt(line);
+        const trimmed = text.trim();
+        const content = trimmed.substring(1).trim();
+        const indent = text.search(/\S/);
+        if (this.parser.isSequenceItem(content) || this.parser.splitKey(content)) {
+            // A collection that starts on the dash line is read with the dash blanked out
+            this.overrides.set(line, ' '.repeat(indent + 1 + trimmed.substring(1).search(/\S/)) + content);
+            return {
+                name: index, line, end, indent, head: this.lines[line].slice(0, indent + 1), props: '', value: '',
+                comment: null, alias: false, merge: false, flow: false, child: this.scanCollection(line, end)
+            };
+        }
+        const entry = this.scanValue(line, end, text.trimEnd().length - content.length, content);
+        entry.name = index;
+        entry.merge = false;
+        entry.indent = indent;
+        return entry;
+    }
+    
+    /**
+     * Reads the value written from column on line, with its anchor and tag (props) apart
+     */
+    scanValue(line, end, column, rest) {
+        const split = this.parser.stripComment(rest);
+        let value = split.value;
+        let match;
+        while ((match = value.match(/^[&!]\S*\s*/)) !== null) value = value.substring(match[0].length);
+        const props = split.value.substring(0, split.value.length - value.length);
+        // The comment keeps the spaces before it
+        const comment = split.comment === null ? null
+            : rest.substring(0, rest.length - split.comment.length).match(/\s*$/)[0] + split.comment;
+        return {
+            line, end,
+            head: this.lines[line].slice(0, column).trimEnd(),
+            props: props === '' || props.endsWith(' ') ? props : props + ' ',
+            value, comment,
+            alias: value.startsWith('*'),
+            flow: /^[[{]/.test(value),
+            child: value === '' && end > line + 1 ? this.scanCollection(line + 1, end) : null
+        };
+    }
+    
+    /**
+     * Returns the lines of an entry holding a new formatted value, keeping its key, anchor,
+     * tag and inline comment
+     */
+    entryLines(entry, formatted) {
+        const lines = (entry.head + ' ' + entry.props + formatted).trimEnd().split('\n');
+        if (entry.comment) lines[0] += entry.comment;
+        return lines;
+    }
+    
+    replace(entry, lines) {
+        this.lines.splice(entry.line, entry.end - entry.line, ...lines);
+    }
+    
+    /**
+     * Replaces the comment lines above an entry, up to the previous line of content or a
+     * comment indented deeper than the entry, keeping the blank lines before them
+     */
+    replaceComments(entry, comments) {
+        let start = entry.line;
+        for (let i = entry.line - 1; i >= 0; i--) {
+            const trimmed = this.lines[i].trim();
+            if (trimmed === '') continue;
+            if (!trimmed.startsWith('#') || this.lines[i].search(/\S/) > entry.indent) break;
+            start = i;
+        }
+        this.lines.splice(start, entry.line - start, ...comments.map(comment => ' '.repeat(entry.indent) + comment));
+    }
+    
+    /**
+     * Adds a missing key with its comments at the end of the collection it belongs in, or
+     * below its parent key when the parent holds nothing yet; sections holds the comment lines
+     * of the mappings and lists it adds, by their key relative to rest
+     */
+    insert({ collection, parent, rest }, value, comments, sections = new Map()) {
+        const tree = rest.startsWith('[') ? [] : {};
+        this.parser.setValue(tree, rest, value, comments);
+        for (const [section, lines] of sections) {
+            const path = this.parser.locate(tree, section);
+            if (path) path[path.length - 1].container[path[path.length - 1].name]._comments = lines;
+        }
+        const indent = collection ? collection.indent : parent ? parent.indent + this.indentWidth : 0;
+        const written = this.parser.stringify(tree, 0, { indentWidth: this.indentWidth }).split('\n')
+            .map(line => line === '' ? line : ' '.repeat(indent) + line);
+        
+        let at = collection ? collection.end : parent ? parent.end : this.lines.length;
+        if (!collection && !parent) {
+            while (at > 0 && this.lines[at - 1].trim() === '') at--;
+        }
+        this.lines.splice(at, 0, ...written);
+    }
+    
+    /**
+     * Applies an edit to the flow collection of an entry through a parsed copy, and writes
+     * the collection back on one line
+     */
+    editFlow(entry, rest, edit) {
+        const text = [entry.value, ...this.lines.slice(entry.line + 1, entry.end)
+            .map(line => this.parser.stripComment(line.trim()).value)].join(' ');
+        const node = new YAMLParser().parse('flow: ' + text).flow;
+        if (!node || typeof node._value !== 'object' || node._value === null) return;
+        edit(node._value);
+        this.replace(entry, this.entryLines(entry, this.flowText(node._value)));
+    }
+    
+    flowText(value) {
+        if (Array.isArray(value)) {
+            return '[' + value.map(item => this.flowText(item._value)).join(', ') + ']';
+        }
+        if (typeof value === 'object' && value !== null) {
+            return '{' + Object.keys(value).map(key => `${this.parser.formatKey(key)}: ${this.flowText(value[key]._value)}`).join(', ') + '}';
+        }
+        const text = value != null ? String(value) : '';
+        // Flow indicators would end a plain scalar
+        return /^["']/.test(text) || !/[,[\]{}]/.test(text) ? text : `'${text.replace(/'/g, "''")}'`;
+    }
+}
+
+/**
+ * Applies edits ([{ key, value, comments, sections }]) to the text of one document, changing only
+ * their lines; comments replace those of an existing key and sections are the comment lines of
+ * new YAML mappings by key (see YAMLWriter.set). Throws when a YAML key comes from, or shares
+ * its value through, an anchor, alias or merge key.
+ */
+function editDocument(text, fileType, edits) {
+    if (fileType === 'properties') {
+        const parser = new PropertyParser();
+        const entries = parser.parse(text);
+        for (const edit of edits) {
+            if (edit.value === undefined) {
+                parser.removeKey(entries, edit.key);
+            } else {
+                parser.setValue(entries, edit.key, edit.value, edit.comments);
+            }
+        }
+        return parser.stringify(entries);
+    }
+    
+    const parser = new YAMLParser();
+    const tree = parser.parse(text);
+    const writer = new YAMLWriter(text, indentWidth(text));
+    for (const edit of edits) {
+        if (edit.value === undefined) {
+            parser.removeKey(tree, edit.key);
+            writer.remove(edit.key);
+        } else {
+            parser.setValue(tree, edit.key, edit.value, edit.comments);
+            writer.set(edit.key, edit.value, edit.comments, edit.sections);
+        }
+    }
+    
+    const written = writer.toString();
+    const engine = new DiffEngine();
+    const expected = engine.toMap(tree, fileType);
+    const actual = engine.toMap(new YAMLParser().parse(written), fileType);
+    // Values written into a flow collection may need quotes they did not have
+    const key = Array.from(new Set([...expected.keys(), ...actual.keys()])).find(other => expected.has(other) !== actual.has(other)
+        || parser.unquote(expected.get(other)) !== parser.unquote(actual.get(other)));
+    if (key !== undefined) {
+        const edited = edits.map(edit => edit.key);
+        throw new Error(edited.includes(key)
+            ? `Cannot write ${key}: its value comes from a YAML anchor, alias or merge key; edit the file by hand`
+            : `Cannot change ${edited.join(', ')}: ${key} shares the value through a YAML anchor, alias or merge key; edit the file by hand`);
+    }
+    return written;
+}
+
+/**
+ * Returns the line after the last line of the document starting on line start: the
+ * separator of the next document, or the end of the text
+ */
+function documentEnd(lines, start, fileType) {
+    const separator = fileType === 'properties' ? /^[#!]---\s*$/ : /^(---|\.\.\.)(\s+#.*)?\s*$/;
+    let end = start;
+    while (end < lines.length && !separator.test(lines[end])) end++;
+    return end;
+}
+
+/**
+ * Sets a key of config text to a value, or removes it when value is undefined, in the documents
+ * of the profile view; only .properties and YAML can be written
+ */
+function editConfig(text, fileType, key, value, options = {}) {
+    const format = configFormat(fileType);
+    const parser = format.parser();
+    if (typeof parser.setValue !== 'function') {
+        throw new Error(`${format.label} files cannot be edited; edit .properties or YAML files`);
+    }
+    text = String(text || '');
+    const canonical = canonicalizeKey(key);
+    const profileView = options.profileView || 'resolved';
+    const resolver = new ProfileResolver();
+    const activeProfiles = options.activeProfiles || [];
+    const inView = (profile) => profileView === 'default' ? profile == null
+        : profileView.startsWith('profile:') ? profile === profileView.slice('profile:'.length)
+            : profile == null || resolver.matches(profile, activeProfiles);
+    
+    // The parser's documents line up with the resolver's, which know their profiles
+    const documents = parser.parseDocuments(text);
+    const visible = resolver.parseDocuments(text, fileType)
+        .filter(document => inView(document.profile))
+        .map(document => ({
+            index: document.index,
+            keys: Array.from(document.entries.keys()).filter(other => canonicalizeKey(other) === canonical)
+        }));
+    
+    // Edits per document index
+    const edits = new Map();
+    if (value === undefined) {
+        for (const { index, keys } of visible) {
+            if (keys.length > 0) edits.set(index, keys.slice().reverse().map(other => ({ key: other, value: undefined })));
+        }
+    } else {
+        const holders = visible.filter(document => document.keys.length > 0);
+        if (holders.length > 0) {
+            const { index, keys } = holders[holders.length - 1];
+            edits.set(index, [{ key: keys[keys.length - 1], value: value }]);
+        } else if (visible.length > 0) {
+            edits.set(visible[0].index, [{ key: key, value: value, comments: options.comments || [] }]);
+        } else {
+            throw new Error(`No document for profile ${profileView.slice('profile:'.length)}; add one to edit it`);
+        }
+    }
+    if (edits.size === 0) return text;
+    
+    // Each edited document replaces its own lines, up to the next document separator
+    const lines = text.split('\n');
+    for (const index of Array.from(edits.keys()).sort((a, b) => b - a)) {
+        const start = documents[index].startLine;
+        const end = documentEnd(lines, start, fileType);
+        const written = editDocument(lines.slice(start, end).join('\n'), fileType, edits.get(index));
+        lines.splice(start, end - start, ...(written === '' && start === end ? [] : written.split('\n')));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Converts a value as one file type holds it to how another holds it: YAML values keep
+ * their quotes, the other formats hold decoded text
+ */
+function convertValue(value, fromType, toType) {
+    if (value === undefined) return value;
+    const fromRaw = Boolean(configFormat(fromType).rawValues);
+    const toRaw = Boolean(configFormat(toType).rawValues);
+    if (fromRaw === toRaw) return value;
+    const yaml = new YAMLParser();
+    return fromRaw ? yaml.unquote(value) : yaml.formatScalar(value);
+}
+
+// ==================== KEY TIMELINE ====================
+
+/**
+ * Follows one key through saved snapshots ({ name, savedAt, text, fileType }, oldest first).
+ * Each snapshot is resolved for the active profiles like one side of compareConfigs, and the
+ * key's value is compared with the one in the snapshot before. options: relaxedBinding
+ * (default true), activeProfiles and maskSecrets (true or the SecretMasker options; sensitive
+ * values are masked after they are compared). Returns { name, savedAt, value, status } per
+ * snapshot, value being undefined where the key is missing and status 'added', 'removed',
+ * 'modified', 'unchanged' or 'absent'; the first snapshot that has the key shows it as added.
+ */
+function keyTimeline(snapshots, key, options = {}) {
+    const stack = new ConfigStack();
+    const relaxedBinding = options.relaxedBinding !== false;
+    const wanted = relaxedBinding ? canonicalizeKey(key) : key;
+    const masker = options.maskSecrets
+        ? new SecretMasker(options.maskSecrets === true ? {} : options.maskSecrets)
+        : null;
+    
+    let previous;
+    return snapshots.map(snapshot => {
+        const layers = [{ name: snapshot.name, text: snapshot.text, fileType: snapshot.fileType }];
+        const activeProfiles = stack.activeProfiles(layers, options.activeProfiles || []);
+        const { values } = stack.resolve(stack.documents(layers, activeProfiles, relaxedBinding), activeProfiles);
+        const value = values.get(wanted);
+        
+        let status;
+        if (value === undefined) {
+            status = previous === undefined ? 'absent' : 'removed';
+        } else if (previous === undefined) {
+            status = 'added';
+        } else {
+            status = previous === value ? 'unchanged' : 'modified';
+        }
+        previous = value;
+        
+        const entry = { name: snapshot.name, savedAt: snapshot.savedAt, value: value, status: status };
+        if (masker && value !== undefined && !masker.isReference(value) && masker.isSensitive(wanted, value)) {
+            entry.value = SecretMasker.MASK;
+            entry.masked = true;
+        }
+        return entry;
+    });
+}
+
+// ==================== CONFIG ARCHIVES ====================
+
+/**
+ * Checks whether a file name looks like a Spring Boot config file
+ */
+function isConfigFile(name) {
+    return Object.values(CONFIG_FORMATS).some(format => format.pattern && format.pattern.test(name));
+}
+
+/**
+ * Removes the leading folders shared by every file name, so trees picked or zipped under
+ * different root folders (e.g. two branch checkouts) still match by relative path
+ */
+function stripCommonRoot(files) {
+    if (files.length === 0) return files;
+    const parts = files.map(file => file.name.split('/'));
+    let depth = 0;
+    while (parts.every(segments => segments.length > depth + 1 && segments[depth] === parts[0][depth])) {
+        depth++;
+    }
+    return files.map((file, index) => ({ ...file, name: parts[index].slice(depth).join('/') }));
+}
+
+/**
+ * Lists the files of a zip archive as { name, bytes }. inflateRaw decompresses raw DEFLATE
+ * data and may return a Promise (DecompressionStream in browsers, zlib in Node.js).
+ * Only the files whose names pass include are read.
+ */
+async function readZip(bytes, inflateRaw, include = () => true) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const decoder = new TextDecoder();
+    
+    // The end of central directory record sits in the last 22 bytes plus an optional comment
+    let end = -1;
+    for (let offset = data.length - 22; offset >= Math.max(0, data.length - 22 - 0xffff); offset--) {
+        if (view.getUint32(offset, true) === 0x06054b50) {
+            end = offset;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('Not a zip archive');
+    }
+    
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const files = [];
+    
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error('Corrupt zip central directory');
+        }
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(data.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+        
+        if (name.endsWith('/') || !include(name)) continue;
+        
+        // The local header repeats the name and may carry a different extra field
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const compressed = data.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) {
+            files.push({ name: name, bytes: compressed });
+        } else if (method === 8) {
+            files.push({ name: name, bytes: new Uint8Array(await inflateRaw(compressed)) });
+        } else {
+            throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+        }
+    }
+    
+    return files;
+}
+
+/**
+ * Reads the config files of a zip archive as { name, text }, relative to their common folder
+ */
+async function readConfigZip(bytes, inflateRaw) {
+    const decoder = new TextDecoder();
+    const files = (await readZip(bytes, inflateRaw, isConfigFile))
+        .map(file => ({ name: file.name, text: decoder.decode(file.bytes) }));
+    return stripCommonRoot(files);
+}
+
+// ==================== MODULE EXPORTS ====================
+
+// Loaded with a plain <script> tag in the browser; required as a CommonJS module by the CLI
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        escapeHtml,
+        myersDiff,
+        tokenize,
+        highlightDifferences,
+        diffSequences,
+        PropertyParser,
+        YAMLParser,
+        JSONParser,
+        TOMLParser,
+        DotenvParser,
+        ConfigMapParser,
+        CONFIG_FORMATS,
+        configFormat,
+        detectFileType,
+        fileTypeFromName,
+        canonicalizeKey,
+        disabledProperty,
+        keyComments,
+        ProfileResolver,
+        ConfigStack,
+        PlaceholderResolver,
+        SecretMasker,
+        SPRING_BOOT_MIGRATIONS,
+        RenameDetector,
+        ValueConverter,
+        DiffRules,
+        parseRules,
+        stringifyRules,
+        MetadataIndex,
+        metadataIndex,
+        readMetadataJar,
+        DiffEngine,
+        DiffExporter,
+        buildDiffTree,
+        ConfigNormalizer,
+        compareConfigs,
+        validateConfig,
+        countDiagnostics,
+        matchFiles,
+        compareFileSets,
+        ConfigMerger,
+        mergeConfigs,
+        editConfig,
+        convertValue,
+        keyTimeline,
+        isConfigFile,
+        stripCommonRoot,
+        readZip,
+        readConfigZip
+    };
+}
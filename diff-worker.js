@@ -0,0 +1,18 @@
+// ==================== DIFF WORKER ====================
+
+// Runs comparisons off the main thread so large files do not freeze the page.
+// Messages are { id, task, args } and are answered with { id, result } or { id, error }.
+importScripts('core.js');
+
+// The core.js functions the page may call
+const TASKS = { compareConfigs, compareFileSets };
+
+self.addEventListener('message', (event) => {
+    const { id, task, args } = event.data;
+    try {
+        if (!TASKS[task]) throw new Error(`Unknown task: ${task}`);
+        self.postMessage({ id: id, result: TASKS[task](...args) });
+    } catch (error) {
+        self.postMessage({ id: id, error: error.message });
+    }
+});
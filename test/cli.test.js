@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'config-differ.js');
+
+/**
+ * Writes the files into a new temporary directory and runs the CLI there
+ */
+function run(files, args) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-differ-'));
+    for (const [name, text] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, name), text);
+    }
+    const result = spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: 'utf8' });
+    fs.rmSync(dir, { recursive: true, force: true });
+    return result;
+}
+
+test('names each side\'s file in the header', () => {
+    const result = run({
+        'a.properties': 'server.port=80\n',
+        'b.yml': 'server:\n  port: 81\n'
+    }, ['a.properties', 'b.yml']);
+    assert.strictEqual(result.status, 1, result.stderr);
+    assert.match(result.stdout, /^--- a\/a\.properties$/m);
+    assert.match(result.stdout, /^\+\+\+ b\/b\.yml$/m);
+});
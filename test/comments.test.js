@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { keyComments, disabledProperty, PropertyParser, YAMLParser, TOMLParser } = require('../core.js');
+const { compareTexts } = require('./helpers.js');
+
+test('does not count a commented-out property as a comment of the key below it', () => {
+    const { comments, disabled } = keyComments(new PropertyParser().parse('# the port\n#old.key=1\nserver.port=80\n'), 'properties');
+    assert.deepStrictEqual(comments.get('server.port'), ['# the port']);
+    assert.strictEqual(disabled.get('old.key'), '1');
+});
+
+test('does not report a comment change for the key below a disabled property', () => {
+    const rows = compareTexts('old.key=1\nserver.port=80\n', '#old.key=1\nserver.port=80\n', { comments: true });
+    const port = rows.find(row => row.key === 'server.port');
+    assert.strictEqual(port.status, 'unchanged');
+    assert.ok(!port.commentsChanged);
+    assert.strictEqual(rows.find(row => row.key === 'old.key').rightDisabled, '1');
+});
+
+test('reads a commented-out YAML key after the last key of a block within that block', () => {
+    const parser = new YAMLParser();
+    const atEnd = keyComments(parser.parse('a:\n  b: 1\n  #c: 2\n'), 'yaml');
+    assert.strictEqual(atEnd.disabled.get('a.c'), '2');
+    const beforeDedent = keyComments(parser.parse('a:\n  b: 1\n  #c: 2\nd: 3\n'), 'yaml');
+    assert.strictEqual(beforeDedent.disabled.get('a.c'), '2');
+    assert.ok(!beforeDedent.disabled.has('c'));
+});
+
+test('reads a commented-out TOML key after the last key', () => {
+    const { disabled } = keyComments(new TOMLParser().parse('[server]\nport = 80\n# host = "a"\n'), 'toml');
+    assert.strictEqual(disabled.get('server.host'), '"a"');
+});
+
+test('keeps prose with "=" a comment', () => {
+    assert.strictEqual(disabledProperty('# key = value pairs below'), null);
+    assert.deepStrictEqual(disabledProperty('# server.port = 8080'), { key: 'server.port', value: '8080' });
+    assert.deepStrictEqual(disabledProperty('#app.greeting=Hello World'), { key: 'app.greeting', value: 'Hello World' });
+});
+
+test('reports a change to a prose comment with "="', () => {
+    const rows = compareTexts('# key = value pairs below\na=1\n', '# key = value pairs above\na=1\n', { comments: true });
+    assert.deepStrictEqual(rows.map(row => `${row.status} ${row.key} ${Boolean(row.commentsChanged)}`), ['modified a true']);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compare } = require('./helpers.js');
+
+test('compares quoted YAML values with .properties values by their text', () => {
+    const properties = 'app.label=has: colon\napp.empty=\napp.path=C:\\\\dir\\\\x\n';
+    const yaml = 'app:\n  label: \'has: colon\'\n  empty: \'\'\n  path: "C:\\\\dir\\\\x"\n';
+    assert.deepStrictEqual(compare(properties, yaml, { rightType: 'yaml' }), ['unchanged app.empty', 'unchanged app.label', 'unchanged app.path']);
+});
+
+test('still reports a changed quoted YAML value', () => {
+    assert.deepStrictEqual(compare('app.label=a\n', 'app:\n  label: "b"\n', { rightType: 'yaml' }), ['modified app.label']);
+});
+
+test('compares a quoted YAML secret by its text', () => {
+    assert.deepStrictEqual(compare('db.password=p: w\n', 'db:\n  password: "p: w"\n', { rightType: 'yaml', maskSecrets: true }), ['unchanged db.password']);
+});
+
+test('matches an environment variable with its kebab-case key and shows the key as written', () => {
+    const rows = compare('SPRING_DATASOURCE_HIKARI_MAXIMUMPOOLSIZE=10\n', 'spring.datasource.hikari.maximum-pool-size=10\n', { leftType: 'dotenv' });
+    assert.deepStrictEqual(rows, ['unchanged spring.datasource.hikari.maximum-pool-size']);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateConfig } = require('../core.js');
+const { compareTexts } = require('./helpers.js');
+
+const manifest = [
+    'apiVersion: v1',
+    'kind: ConfigMap',
+    'metadata:',
+    '  name: app',
+    'data:',
+    '  application.properties: |',
+    '    server.port=80',
+    '    server.port=81',
+    ''
+].join('\n');
+
+test('reports a duplicate key of an embedded file on the manifest lines', () => {
+    const [diagnostic] = validateConfig(manifest, 'configmap');
+    assert.strictEqual(diagnostic.line, 8);
+    assert.strictEqual(diagnostic.message, 'Duplicate key "server.port" overrides the value on line 7');
+});
+
+const secret = (data) => 'apiVersion: v1\nkind: Secret\nmetadata:\n  name: db\ndata:\n' +
+    Object.entries(data).map(([key, value]) => `  ${key}: ${Buffer.from(value).toString('base64')}\n`).join('');
+
+test('compares the decoded data of Secrets', () => {
+    const rows = compareTexts(secret({ password: 'old', user: 'sa' }), secret({ password: 'new', user: 'sa' }), { leftType: 'configmap', rightType: 'configmap', maskSecrets: false });
+    assert.deepStrictEqual(rows.map(row => [row.status, row.key, row.leftValue, row.rightValue]), [
+        ['modified', 'password', 'old', 'new'],
+        ['unchanged', 'user', 'sa', 'sa']
+    ]);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { myersDiff, highlightDifferences } = require('../core.js');
+
+/**
+ * Counts the insertions and deletions of a diff
+ */
+function edits(ops) {
+    return ops.filter(op => op.type !== 'unchanged').length;
+}
+
+test('diffs two sequences into unchanged, removed and added runs', () => {
+    assert.deepStrictEqual(myersDiff('abc', 'abd'), [
+        { type: 'unchanged', value: 'a' },
+        { type: 'unchanged', value: 'b' },
+        { type: 'removed', value: 'c' },
+        { type: 'added', value: 'd' }
+    ]);
+});
+
+test('gives up only beyond cutoff edits', () => {
+    assert.strictEqual(edits(myersDiff('abc', 'xyz', 6)), 6);
+    assert.strictEqual(myersDiff('abc', 'xyz', 5), null);
+    assert.strictEqual(edits(myersDiff('abbbc', 'abaac', 4)), 4);
+    assert.strictEqual(myersDiff('abbbc', 'abaac', 3), null);
+    assert.strictEqual(myersDiff('', 'abc', 2), null);
+});
+
+test('finds a shortest diff within every cutoff', () => {
+    const words = [''];
+    for (let length = 1; length <= 4; length++) {
+        for (const word of words.filter(item => item.length === length - 1)) words.push(word + 'a', word + 'b');
+    }
+    for (const left of words) {
+        for (const right of words) {
+            const shortest = edits(myersDiff(left, right));
+            for (let cutoff = 0; cutoff <= 8; cutoff++) {
+                const ops = myersDiff(left, right, cutoff);
+                assert.strictEqual(ops === null ? null : edits(ops), shortest > cutoff ? null : shortest, `${left} -> ${right} within ${cutoff}`);
+            }
+        }
+    }
+});
+
+test('highlights a value as a whole beyond the cutoff', () => {
+    const highlights = highlightDifferences('abc', 'xyz', { cutoff: 2 });
+    assert.deepStrictEqual(highlights.left, [{ text: 'abc', type: 'removed' }]);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { editConfig, convertValue } = require('../core.js');
+
+const yaml = [
+    '# defaults',
+    'defaults: &defaults',
+    '  timeout: 30   # seconds',
+    '  retries: 3',
+    'service:',
+    '  <<: *defaults',
+    '  name: "svc" # quoted',
+    'other: *defaults',
+    'hosts: [a, b, c]',
+    'server:',
+    '  port: 80 # http',
+    ''
+].join('\n');
+
+test('changes only the line of a YAML key', () => {
+    const edited = editConfig(yaml, 'yaml', 'service.name', '"api"');
+    assert.strictEqual(edited, yaml.replace('name: "svc" # quoted', 'name: "api" # quoted'));
+});
+
+test('keeps the inline comment of an edited YAML value', () => {
+    const edited = editConfig(yaml, 'yaml', 'server.port', '8080');
+    assert.strictEqual(edited, yaml.replace('port: 80 # http', 'port: 8080 # http'));
+});
+
+test('edits an item of a flow list in place', () => {
+    assert.strictEqual(editConfig(yaml, 'yaml', 'hosts[1]', 'x'), yaml.replace('[a, b, c]', '[a, x, c]'));
+    assert.strictEqual(editConfig(yaml, 'yaml', 'hosts[0]', undefined), yaml.replace('[a, b, c]', '[b, c]'));
+});
+
+test('adds a new YAML key under its nearest existing parent', () => {
+    const edited = editConfig(yaml, 'yaml', 'server.ssl.enabled', 'true');
+    assert.strictEqual(edited, yaml.replace('  port: 80 # http\n', '  port: 80 # http\n  ssl:\n    enabled: true\n'));
+});
+
+test('overrides a merged YAML key in its own mapping', () => {
+    const edited = editConfig(yaml, 'yaml', 'service.timeout', '10');
+    assert.strictEqual(edited, yaml.replace('  name: "svc" # quoted\n', '  name: "svc" # quoted\n  timeout: 10\n'));
+});
+
+test('removes a YAML key with the mappings it leaves empty', () => {
+    const edited = editConfig(yaml, 'yaml', 'server.port', undefined);
+    assert.strictEqual(edited, yaml.replace('server:\n  port: 80 # http\n', ''));
+});
+
+test('refuses to change a YAML value shared through an anchor', () => {
+    assert.throws(() => editConfig(yaml, 'yaml', 'defaults.timeout', '40'), /service\.timeout shares the value/);
+});
+
+test('refuses to write a YAML key that comes from an alias', () => {
+    assert.throws(() => editConfig(yaml, 'yaml', 'other.retries', '4'), /Cannot write other\.retries/);
+    assert.throws(() => editConfig(yaml, 'yaml', 'service.retries', undefined), /Cannot write service\.retries/);
+});
+
+test('quotes a copied value YAML 1.1 would read as another type', () => {
+    assert.strictEqual(convertValue('on', 'properties', 'yaml'), "'on'");
+    assert.strictEqual(editConfig(yaml, 'yaml', 'server.port', convertValue('010', 'properties', 'yaml')), yaml.replace('port: 80 # http', "port: '010' # http"));
+});
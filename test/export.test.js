@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DiffExporter } = require('../core.js');
+const { compareTexts } = require('./helpers.js');
+
+/**
+ * Compares two .properties texts with secrets masked and exports the rows as a patch
+ */
+function patch(left, right) {
+    const rows = compareTexts(left, right, { maskSecrets: true });
+    return new DiffExporter().toUnifiedPatch(rows, { leftName: 'a.properties', rightName: 'b.properties' });
+}
+
+test('writes a changed masked value as a removed and an added line', () => {
+    const output = patch('db.password=old\nserver.port=80\n', 'db.password=new\nserver.port=80\n');
+    assert.match(output, /^-db\.password=\*+\n\+db\.password=\*+\n server\.port=80$/m);
+    assert.doesNotMatch(output, /changed/);
+    assert.doesNotMatch(output, /old|new/);
+});
+
+test('leaves an unchanged masked value out of the unified patch', () => {
+    assert.strictEqual(patch('db.password=same\n', 'db.password=same\n'), '');
+});
+
+test('writes both sides of a cross-format patch in the format of the left side', () => {
+    const rows = compareTexts('a=1\nb=2\n', 'a: 1\nb: 3\n', { rightType: 'yaml' });
+    const output = new DiffExporter().toUnifiedPatch(rows, { leftName: 'a.properties', rightName: 'b.yml' });
+    assert.strictEqual(output, '--- a/a.properties\n+++ b/b.yml\n@@ -1,2 +1,2 @@\n a=1\n-b=2\n+b=3\n');
+});
+
+test('writes YAML sides as sorted YAML files', () => {
+    const rows = compareTexts('server:\n  port: 80\n  host: a\n', 'server:\n  host: a\n  port: 81\n', { leftType: 'yaml', rightType: 'yaml' });
+    const output = new DiffExporter().toUnifiedPatch(rows, { leftName: 'a.yml', rightName: 'b.yml' });
+    assert.strictEqual(output, '--- a/a.yml\n+++ b/b.yml\n@@ -1,3 +1,3 @@\n server:\n   host: a\n-  port: 80\n+  port: 81\n');
+});
+
+test('writes keys YAML cannot hold as .properties lines after the YAML', () => {
+    const rows = compareTexts('a:\n  b: 2\n', 'a=1\na.b=2\n', { leftType: 'yaml' });
+    const output = new DiffExporter().toUnifiedPatch(rows, { leftName: 'y1.yml', rightName: 'p1.properties' });
+    assert.strictEqual(output, '--- a/y1.yml\n+++ b/p1.properties\n@@ -1,2 +1,3 @@\n a:\n   b: 2\n+a=1\n');
+});
+
+test('keeps a changed value next to keys under it in a YAML patch', () => {
+    const rows = compareTexts('a=1\na.b=2\n', 'a=2\na.b=2\n');
+    const output = new DiffExporter().toUnifiedPatch(rows, { fileType: 'yaml' });
+    assert.match(output, /^-a=1\n\+a=2$/m);
+});
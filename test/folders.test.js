@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { readConfigZip, matchFiles, compareFileSets } = require('../core.js');
+
+/**
+ * Builds a zip archive of the { name: text } files, deflating the ones named in deflated
+ */
+function zip(files, deflated = []) {
+    const locals = [];
+    const central = [];
+    let offset = 0;
+    for (const [name, text] of Object.entries(files)) {
+        const nameBytes = Buffer.from(name);
+        const method = deflated.includes(name) ? 8 : 0;
+        const data = method === 8 ? zlib.deflateRawSync(Buffer.from(text)) : Buffer.from(text);
+        
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(Buffer.byteLength(text), 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        locals.push(local, nameBytes, data);
+        
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(method, 10);
+        header.writeUInt32LE(data.length, 20);
+        header.writeUInt32LE(Buffer.byteLength(text), 24);
+        header.writeUInt16LE(nameBytes.length, 28);
+        header.writeUInt32LE(offset, 42);
+        central.push(header, nameBytes);
+        offset += local.length + nameBytes.length + data.length;
+    }
+    
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(central.length / 2, 8);
+    end.writeUInt16LE(central.length / 2, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return new Uint8Array(Buffer.concat([...locals, directory, end]));
+}
+
+test('reads the config files of a zip archive relative to their common folder', async () => {
+    const archive = zip({
+        'repo/src/main/resources/application.properties': 'server.port=80\n',
+        'repo/src/main/resources/application-prod.yml': 'server:\n  port: 443\n',
+        'repo/src/main/resources/logo.png': 'not a config file',
+        'repo/src/main/resources/config/': ''
+    }, ['repo/src/main/resources/application-prod.yml']);
+    assert.deepStrictEqual(await readConfigZip(archive, zlib.inflateRawSync), [
+        { name: 'application.properties', text: 'server.port=80\n' },
+        { name: 'application-prod.yml', text: 'server:\n  port: 443\n' }
+    ]);
+});
+
+test('inflates only the config files of a zip archive', async () => {
+    const archive = zip({ 'application.yml': 'a: 1\n', 'lib/app.jar': 'binary' }, ['application.yml', 'lib/app.jar']);
+    const inflated = [];
+    await readConfigZip(archive, bytes => {
+        inflated.push(bytes);
+        return zlib.inflateRawSync(bytes);
+    });
+    assert.strictEqual(inflated.length, 1);
+});
+
+test('rejects data that is not a zip archive', async () => {
+    await assert.rejects(readConfigZip(new Uint8Array(40), zlib.inflateRawSync), /Not a zip archive/);
+});
+
+test('matches files by name', () => {
+    const pairs = matchFiles(
+        [{ name: 'application.yml', text: '' }, { name: 'application-dev.yml', text: '' }],
+        [{ name: 'application.yml', text: '' }, { name: 'application-prod.yml', text: '' }]
+    );
+    assert.deepStrictEqual(pairs.map(pair => `${pair.status} ${pair.name}`),
+        ['removed application-dev.yml', 'added application-prod.yml', 'matched application.yml']);
+});
+
+test('compares matched files and counts their changes', () => {
+    const results = compareFileSets(
+        [{ name: 'a.properties', text: 'x=1\ny=2\n' }, { name: 'b.yml', text: 'z: 1\n' }, { name: 'c.properties', text: 'k=v\n' }],
+        [{ name: 'a.properties', text: 'x=1\ny=3\nw=4\n' }, { name: 'b.yml', text: 'z: 1\n' }]
+    );
+    assert.deepStrictEqual(results.map(result => `${result.status} ${result.name}`), ['modified a.properties', 'unchanged b.yml', 'removed c.properties']);
+    assert.strictEqual(results[0].summary.modified, 1);
+    assert.strictEqual(results[0].summary.added, 1);
+    assert.strictEqual(results[2].summary.removed, 1);
+});
@@ -0,0 +1,30 @@
+const { compareConfigs } = require('../core.js');
+
+/**
+ * Compares a left and a right text, .properties unless options.leftType or options.rightType
+ * names another file type, and returns the diff rows; the other options go to compareConfigs
+ */
+function compareTexts(left, right, options = {}) {
+    const { leftType = 'properties', rightType = 'properties', ...compareOptions } = options;
+    return compareConfigs(
+        [{ name: `a.${leftType}`, text: left, fileType: leftType }],
+        [{ name: `b.${rightType}`, text: right, fileType: rightType }],
+        compareOptions
+    ).rows;
+}
+
+/**
+ * Lists diff rows as "status key", or "renamed oldKey -> key" for renamed rows
+ */
+function statusKeys(rows) {
+    return rows.map(row => row.status === 'renamed' ? `renamed ${row.oldKey} -> ${row.key}` : `${row.status} ${row.key}`);
+}
+
+/**
+ * Compares a left and a right text like compareTexts and lists the rows as statusKeys does
+ */
+function compare(left, right, options = {}) {
+    return statusKeys(compareTexts(left, right, options));
+}
+
+module.exports = { compareTexts, statusKeys, compare };
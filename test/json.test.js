@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateConfig } = require('../core.js');
+
+test('reports a dotted key and a nested key that flatten to the same key', () => {
+    assert.deepStrictEqual(validateConfig('{\n  "a.b": 1,\n  "a": { "b": 2 }\n}\n', 'json'), [
+        { line: 3, column: 10, message: 'Duplicate key "a.b" overrides the value on line 2', severity: 'warning' }
+    ]);
+});
+
+test('reports a key given twice in one object once', () => {
+    assert.deepStrictEqual(validateConfig('{\n  "a": 1,\n  "a": 2\n}\n', 'json').map(diagnostic => diagnostic.message),
+        ['Duplicate key "a" overrides the value on line 2']);
+});
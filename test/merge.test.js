@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConfigMerger, mergeConfigs } = require('../core.js');
+
+const base = [
+    '# shared',
+    'defaults: &defaults',
+    '  timeout: 30 # seconds',
+    '  retries: 3',
+    'service:',
+    '  <<: *defaults',
+    '  name: svc   # the name',
+    'hosts: [a, b]',
+    'other: *defaults',
+    ''
+].join('\n');
+
+/**
+ * Merges the texts, taking theirs for conflicts, and writes the result
+ */
+function merge(texts) {
+    const merger = new ConfigMerger();
+    const rows = mergeConfigs(texts, 'yaml').rows
+        .map(row => row.status === 'conflict' ? merger.resolve(row, 'theirs') : row);
+    return merger.write(texts, 'yaml', rows);
+}
+
+test('keeps anchors, flow lists and inline comments of a merged YAML file', () => {
+    const ours = base.replace('name: svc', 'name: api');
+    const theirs = base.replace('timeout: 30', 'timeout: 40').replace('[a, b]', '[a, b, c]');
+    assert.strictEqual(merge({ base, ours, theirs }), ours.replace('timeout: 30', 'timeout: 40').replace('[a, b]', '[a, b, c]'));
+});
+
+test('adds and removes merged YAML keys on their own lines', () => {
+    const ours = base.replace('  retries: 3\n', '  retries: 3\n  extra: 1\n');
+    const theirs = base.replace('  name: svc   # the name\n', '');
+    assert.strictEqual(merge({ base, ours, theirs }), ours.replace('  name: svc   # the name\n', ''));
+});
+
+test('refuses a merged YAML value that needs an alias rewritten', () => {
+    const theirs = base.replace('other: *defaults', 'other:\n  timeout: 30\n  retries: 5');
+    assert.throws(() => merge({ base, ours: base, theirs }), /Cannot write other\.retries/);
+});
+
+test('reports a list both sides changed as one conflict', () => {
+    const texts = { base: 'hosts:\n  - x\n  - y\n', ours: 'hosts:\n  - x\n', theirs: 'hosts:\n  - x\n  - y\n  - z\n' };
+    const rows = mergeConfigs(texts, 'yaml').rows;
+    assert.deepStrictEqual(rows.map(row => `${row.status} ${row.list}`), ['conflict hosts', 'conflict hosts', 'conflict hosts']);
+    const merger = new ConfigMerger();
+    assert.strictEqual(merger.write(texts, 'yaml', rows.map(row => merger.resolve(row, 'ours'))), 'hosts:\n  - x\n');
+    assert.strictEqual(merge(texts), texts.theirs);
+});
+
+test('takes the comments of a key from the side its value comes from', () => {
+    const texts = { base: 'a=1\nb=1\n', ours: 'a=1\nb=2\n', theirs: '# why\na=5\nb=1\n' };
+    const merger = new ConfigMerger();
+    assert.strictEqual(merger.write(texts, 'properties', mergeConfigs(texts, 'properties').rows), '# why\na=5\nb=2\n');
+});
+
+test('keeps the trailing comments theirs added', () => {
+    assert.strictEqual(merge({ base: 'a: 1\n', ours: 'a: 2\n', theirs: 'a: 1\n# end\n' }), 'a: 2\n# end\n');
+});
+
+test('keeps the comment above a new YAML mapping from theirs', () => {
+    assert.strictEqual(merge({ base: 'a: 1\n', ours: 'a: 2\n', theirs: 'a: 1\n# new\nc:\n  d: 3\n' }), 'a: 2\n# new\nc:\n  d: 3\n');
+});
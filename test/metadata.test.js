@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MetadataIndex } = require('../core.js');
+
+const index = new MetadataIndex();
+index.add(JSON.stringify({
+    properties: [
+        { name: 'server.port', type: 'java.lang.Integer', defaultValue: 8080, description: 'Server HTTP port.' },
+        { name: 'logging.level', type: 'java.util.Map<java.lang.String,java.lang.String>' },
+        { name: 'spring.redis.host', type: 'java.lang.String', deprecation: { level: 'error', replacement: 'spring.data.redis.host' } },
+        { name: 'app.mode', type: 'java.lang.String' }
+    ],
+    hints: [{ name: 'app.mode', values: [{ value: 'fast' }, { value: 'safe' }] }]
+}), 'spring-configuration-metadata.json');
+
+test('finds the type of a property and of the entries of a map property', () => {
+    assert.strictEqual(index.typeOf('server.port'), 'java.lang.Integer');
+    assert.strictEqual(index.typeOf('logging.level.org.example'), 'java.lang.String');
+    assert.strictEqual(index.typeOf('server.address'), undefined);
+});
+
+test('reports values that do not convert to the property type', () => {
+    assert.deepStrictEqual(index.annotate('server.port', '80', 'eighty', 'properties'), {
+        known: true,
+        name: 'server.port',
+        type: 'java.lang.Integer',
+        description: 'Server HTTP port.',
+        defaultValue: 8080,
+        rightMismatch: 'expected a whole number, the type is java.lang.Integer'
+    });
+    assert.strictEqual(index.annotate('app.mode', 'fast', 'slow', 'properties').rightMismatch, 'expected one of fast, safe');
+});
+
+test('suggests a known key for an unknown one and leaves other namespaces alone', () => {
+    assert.deepStrictEqual(index.annotate('server.prot', '80', '80', 'properties'), { known: false, suggestion: 'server.port' });
+    assert.strictEqual(index.annotate('other.thing', '1', '1', 'properties'), null);
+});
+
+test('reports deprecated properties with their replacement', () => {
+    assert.deepStrictEqual(index.annotate('spring.redis.host', 'a', 'b', 'properties').deprecation,
+        { level: 'error', replacement: 'spring.data.redis.host' });
+});
+
+test('rejects a file that is not configuration metadata', () => {
+    assert.throws(() => new MetadataIndex().add('[]', 'other.json'), /other\.json: not a Spring Boot configuration metadata file/);
+});
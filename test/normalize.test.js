@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConfigNormalizer } = require('../core.js');
+
+test('quotes values YAML 1.1 reads as another type when converting to YAML', () => {
+    const output = new ConfigNormalizer().normalize('a=null\nb=~\nc=yes\nd=off\ne=010\nf=8080\ng=true\n', 'properties', { targetType: 'yaml' });
+    assert.strictEqual(output, "a: 'null'\nb: '~'\nc: 'yes'\nd: 'off'\ne: '010'\nf: 8080\ng: true\n");
+});
+
+test('reports a value left out because keys under its key are set too', () => {
+    const normalizer = new ConfigNormalizer();
+    assert.strictEqual(normalizer.normalize('a=2\na.b=1\n', 'properties', { targetType: 'yaml' }), 'a:\n  b: 1\n');
+    assert.deepStrictEqual(normalizer.diagnostics.map(diagnostic => diagnostic.message),
+        ['a is left out: keys under it are set too, and YAML cannot hold both']);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PlaceholderResolver } = require('../core.js');
+const { compareTexts } = require('./helpers.js');
+
+/**
+ * Resolves every value of the { key: value } config against the { name: value } environment
+ */
+function resolveAll(config, environment = {}) {
+    const resolved = new PlaceholderResolver().resolveAll(new Map(Object.entries(config)), new Map(Object.entries(environment)));
+    return Object.fromEntries(resolved);
+}
+
+test('expands nested placeholders', () => {
+    assert.deepStrictEqual(resolveAll({ 'db.host': 'db', 'db.port': '5432', 'db.url': 'jdbc://${db.host}:${db.port}', 'app.db': '${db.url}/app' }), {
+        'db.host': 'db',
+        'db.port': '5432',
+        'db.url': 'jdbc://db:5432',
+        'app.db': 'jdbc://db:5432/app'
+    });
+    assert.strictEqual(resolveAll({ name: 'host', host: 'db', url: '${${name}}' }).url, 'db');
+});
+
+test('falls back to the default after the colon', () => {
+    const resolved = resolveAll({ 'db.host': '${DB_HOST:localhost}', 'db.url': '${db.name:${db.host}:5432}' });
+    assert.strictEqual(resolved['db.host'], 'localhost');
+    assert.strictEqual(resolved['db.url'], 'localhost:5432');
+    assert.strictEqual(resolveAll({ 'db.host': '${DB_HOST:}' })['db.host'], '');
+});
+
+test('reads environment variables before the config keys', () => {
+    const resolved = resolveAll({ 'db.host': 'config', 'db.url': '${db.host}', 'db.name': '${DB_NAME:app}' }, { DB_HOST: 'env', DB_NAME: 'prod' });
+    assert.strictEqual(resolved['db.url'], 'env');
+    assert.strictEqual(resolved['db.name'], 'prod');
+});
+
+test('leaves circular and unknown placeholders as written', () => {
+    assert.deepStrictEqual(resolveAll({ a: '${b}', b: '${a}', c: '${c}', d: '${missing}' }), { a: '${a}', b: '${b}', c: '${c}', d: '${missing}' });
+});
+
+test('takes the environment of compareConfigs as a plain object too', () => {
+    const rows = compareTexts('url=${DB_HOST}\n', 'url=db\n', { resolvePlaceholders: true, environment: { DB_HOST: 'db' } });
+    assert.strictEqual(rows[0].leftResolved, 'db');
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ProfileResolver, ConfigStack } = require('../core.js');
+const { compare } = require('./helpers.js');
+
+const yaml = [
+    'server:',
+    '  port: 80',
+    '---',
+    'spring:',
+    '  config:',
+    '    activate:',
+    '      on-profile: prod',
+    'server:',
+    '  port: 443',
+    '---',
+    'spring:',
+    '  profiles: "!prod"',
+    'app:',
+    '  debug: true',
+    ''
+].join('\n');
+
+/**
+ * Parses the YAML text into the stack's documents
+ */
+function documents(text) {
+    const layers = [{ name: 'application.yml', text: text, fileType: 'yaml' }];
+    return new ConfigStack().documents(layers, []);
+}
+
+test('matches profile expressions against the active profiles', () => {
+    const resolver = new ProfileResolver();
+    assert.ok(resolver.matches('prod', ['prod']));
+    assert.ok(resolver.matches('dev, prod', ['prod']));
+    assert.ok(resolver.matches('prod & (eu | us)', ['prod', 'us']));
+    assert.ok(!resolver.matches('prod & (eu | us)', ['prod']));
+    assert.ok(resolver.matches('!prod', ['dev']));
+    assert.ok(resolver.matches('default', []));
+});
+
+test('reads the profile of a document and leaves its activation keys out of the entries', () => {
+    const [base, prod, notProd] = new ProfileResolver().parseDocuments(yaml, 'yaml');
+    assert.strictEqual(base.profile, null);
+    assert.strictEqual(prod.profile, 'prod');
+    assert.strictEqual(notProd.profile, '!prod');
+    assert.deepStrictEqual(Array.from(prod.entries.keys()), ['server.port']);
+    assert.deepStrictEqual(Array.from(notProd.entries.keys()), ['app.debug']);
+});
+
+test('splits .properties documents with CRLF line endings', () => {
+    const text = 'server.port=80\r\n#---\r\nspring.config.activate.on-profile=prod\r\nserver.port=443\r\n';
+    const [base, prod] = new ProfileResolver().parseDocuments(text, 'properties');
+    assert.strictEqual(prod.profile, 'prod');
+    assert.strictEqual(base.entries.get('server.port'), '80');
+    assert.strictEqual(prod.entries.get('server.port'), '443');
+});
+
+test('resolves the documents for the active profiles', () => {
+    const stack = new ConfigStack();
+    const prod = stack.resolve(documents(yaml), ['prod']);
+    assert.deepStrictEqual(Object.fromEntries(prod.values), { 'server.port': '443' });
+    const dev = stack.resolve(documents(yaml), ['dev']);
+    assert.deepStrictEqual(Object.fromEntries(dev.values), { 'server.port': '80', 'app.debug': 'true' });
+});
+
+test('merges only the documents written for one profile', () => {
+    const stack = new ConfigStack();
+    assert.deepStrictEqual(Object.fromEntries(stack.documentFor(documents(yaml), 'prod').values), { 'server.port': '443' });
+    assert.deepStrictEqual(Object.fromEntries(stack.documentFor(documents(yaml), null).values), { 'server.port': '80' });
+});
+
+test('compares a resolved view with a flat file without the activation keys', () => {
+    assert.deepStrictEqual(compare(yaml, 'server.port=443\n', { leftType: 'yaml', activeProfiles: ['prod'] }), ['unchanged server.port']);
+});
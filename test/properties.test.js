@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PropertyParser } = require('../core.js');
+
+/**
+ * Parses a .properties text and returns its properties as [key, value] pairs
+ */
+function properties(text) {
+    return new PropertyParser().parse(text).filter(entry => entry.type === 'property').map(entry => [entry.key, entry.value]);
+}
+
+test('reads the separators java.util.Properties accepts', () => {
+    assert.deepStrictEqual(properties('a = one\nb:two\nc three\n  d=four\n'), [['a', 'one'], ['b', 'two'], ['c', 'three'], ['d', 'four']]);
+});
+
+test('skips # and ! comment lines', () => {
+    assert.deepStrictEqual(properties('# hash\n! bang\na=1\n'), [['a', '1']]);
+});
+
+test('joins continuation lines without their leading whitespace', () => {
+    assert.deepStrictEqual(properties('list=a, \\\n    b, \\\n    c\n'), [['list', 'a, b, c']]);
+});
+
+test('decodes escapes in keys and values', () => {
+    assert.deepStrictEqual(properties('key\\ with\\:colon=tab\\there \\u0041\n'), [['key with:colon', 'tab\there A']]);
+});
+
+test('warns about a duplicate key on the line that overrides it', () => {
+    const parser = new PropertyParser();
+    parser.parse('dup=1\nother=2\ndup=3\n');
+    assert.deepStrictEqual(parser.diagnostics, [
+        { line: 3, column: 1, message: 'Duplicate key "dup" overrides the value on line 1', severity: 'warning' }
+    ]);
+});
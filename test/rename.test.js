@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compare } = require('./helpers.js');
+
+test('pairs a key renamed with the same value', () => {
+    assert.deepStrictEqual(compare('app.cache.location=/var/cache\n', 'app.caching.location=/var/cache\n'),
+        ['renamed app.cache.location -> app.caching.location']);
+});
+
+test('pairs a known migration whatever the value', () => {
+    assert.deepStrictEqual(compare('spring.redis.port=6379\n', 'spring.data.redis.port=6380\n'),
+        ['renamed spring.redis.port -> spring.data.redis.port']);
+});
+
+test('does not pair keys on a shared boolean', () => {
+    assert.deepStrictEqual(compare('management.endpoint.health.enabled=true\n', 'management.endpoint.info.enabled=true\n'),
+        ['removed management.endpoint.health.enabled', 'added management.endpoint.info.enabled']);
+});
+
+test('does not pair keys on a short number', () => {
+    assert.deepStrictEqual(compare('server.port=80\n', 'management.server.port=80\n'), ['added management.server.port', 'removed server.port']);
+});
+
+test('does not pair keys on a very short value', () => {
+    assert.deepStrictEqual(compare('app.mode=abc\n', 'app.modes=abc\n'), ['removed app.mode', 'added app.modes']);
+});
+
+test('does not pair keys whose changed elements differ', () => {
+    assert.deepStrictEqual(compare('app.primary.url=http://example.com\n', 'app.fallback.url=http://example.com\n'),
+        ['added app.fallback.url', 'removed app.primary.url']);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compare } = require('./helpers.js');
+
+test('resolves placeholders from ignored keys', () => {
+    const rows = compare('db.host=one\ndb.url=jdbc://${db.host}\n', 'db.host=two\ndb.url=jdbc://${db.host}\n',
+        { resolvePlaceholders: true, rules: { ignore: ['db.host'] } });
+    assert.deepStrictEqual(rows, ['modified db.url']);
+});
+
+test('matches glob rules in canonical form under relaxed binding', () => {
+    const rules = { ignore: ['spring.datasource.maxPoolSize', 'app.*Timeout'] };
+    const left = 'spring.datasource.max-pool-size=5\napp.read-timeout=1\napp.name=a\n';
+    const right = 'spring.datasource.max-pool-size=6\napp.read-timeout=2\napp.name=b\n';
+    assert.deepStrictEqual(compare(left, right, { rules }), ['modified app.name']);
+});
+
+test('matches a regex rule with the g flag on every key', () => {
+    const left = 'a1=1\na2=1\na3=1\na4=1\nb=1\n';
+    const right = 'a1=2\na2=2\na3=2\na4=2\nb=2\n';
+    assert.deepStrictEqual(compare(left, right, { rules: { ignore: ['/^a/g'] } }), ['modified b']);
+});
+
+test('matches regex rules against the keys as written', () => {
+    const left = 'spring.datasource.maxPoolSize=5\napp.name=a\n';
+    const right = 'spring.datasource.maxPoolSize=6\napp.name=b\n';
+    assert.deepStrictEqual(compare(left, right, { rules: { ignore: ['/maxPoolSize/'] } }), ['modified app.name']);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compare } = require('./helpers.js');
+
+const metadata = [{
+    name: 'spring-configuration-metadata.json',
+    text: JSON.stringify({
+        properties: [
+            { name: 'app.enabled', type: 'java.lang.Boolean' },
+            { name: 'app.timeout', type: 'java.time.Duration' },
+            { name: 'app.buffer', type: 'org.springframework.util.unit.DataSize' },
+            { name: 'app.hosts', type: 'java.util.List<java.lang.String>' },
+            { name: 'app.greeting', type: 'java.lang.String' }
+        ]
+    })
+}];
+
+// Options comparing a .properties text against a YAML text with semantic values on
+const semantic = { rightType: 'yaml', semantic: true, detectRenames: false };
+
+test('treats spellings of one literal as equivalent', () => {
+    assert.deepStrictEqual(compare('app.enabled=TRUE\n', 'app.enabled: true\n', semantic), ['equivalent app.enabled']);
+    assert.deepStrictEqual(compare('app.timeout=30s\n', 'app.timeout: 30000ms\n', semantic), ['equivalent app.timeout']);
+    assert.deepStrictEqual(compare('app.buffer=10MB\n', 'app.buffer: 10240KB\n', semantic), ['equivalent app.buffer']);
+    assert.deepStrictEqual(compare('app.buffer=10MB\n', 'app.buffer: 10485760\n', semantic), ['equivalent app.buffer']);
+    assert.deepStrictEqual(compare('app.hosts=a,b\n', 'app:\n  hosts:\n    - a\n    - b\n', semantic), ['equivalent app.hosts']);
+});
+
+test('compares comma-separated values as lists either way', () => {
+    const list = 'app:\n  hosts:\n    - a\n    - b\n';
+    assert.deepStrictEqual(compare('app.hosts=a,b\n', list, semantic), ['equivalent app.hosts']);
+    assert.deepStrictEqual(compare('app.hosts=a, b\n', list, semantic), ['equivalent app.hosts']);
+    assert.deepStrictEqual(compare('app.hosts=a,b\n', 'app.hosts: a, b\n', semantic), ['equivalent app.hosts']);
+    assert.deepStrictEqual(compare('app.hosts=a,b\n', 'app.hosts: a, c\n', semantic), ['modified app.hosts']);
+});
+
+test('does not match different kinds of literals', () => {
+    assert.deepStrictEqual(compare('app.enabled=1\n', 'app.enabled: true\n', semantic), ['modified app.enabled']);
+    assert.deepStrictEqual(compare('app.enabled=0\n', 'app.enabled: false\n', semantic), ['modified app.enabled']);
+    assert.deepStrictEqual(compare('app.enabled=on\n', 'app.enabled: yes\n', semantic), ['modified app.enabled']);
+    assert.deepStrictEqual(compare('app.timeout=60000\n', 'app.timeout: 1m\n', semantic), ['modified app.timeout']);
+});
+
+test('reads values as the type of their property from metadata', () => {
+    assert.deepStrictEqual(compare('app.enabled=on\n', 'app.enabled: yes\n', { ...semantic, metadata }), ['equivalent app.enabled']);
+    assert.deepStrictEqual(compare('app.timeout=60000\n', 'app.timeout: 1m\n', { ...semantic, metadata }), ['equivalent app.timeout']);
+    assert.deepStrictEqual(compare('app.buffer=1024\n', 'app.buffer: 1KB\n', { ...semantic, metadata }), ['equivalent app.buffer']);
+    assert.deepStrictEqual(compare('app.hosts=a,b\n', 'app.hosts: a, b\n', { ...semantic, metadata }), ['equivalent app.hosts']);
+    assert.deepStrictEqual(compare('app.greeting=TRUE\n', 'app.greeting: true\n', { ...semantic, metadata }), ['modified app.greeting']);
+    assert.deepStrictEqual(compare('app.greeting=Hello, World\n', 'app.greeting: Hello,World\n', { ...semantic, metadata }), ['modified app.greeting']);
+});
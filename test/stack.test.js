@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compareConfigs } = require('../core.js');
+const { statusKeys } = require('./helpers.js');
+
+const layer = (name, text, fileType) => ({ name, text, fileType });
+
+test('reads each value of a mixed stack as the file type of its layer', () => {
+    const { rows } = compareConfigs(
+        [layer('application.yml', 'a: "hello world"\n', 'yaml'), layer('application-dev.properties', 'b="q"\n', 'properties')],
+        [layer('application.properties', 'a=hello world\nb="q"\n', 'properties')]
+    );
+    assert.deepStrictEqual(rows.map(row => `${row.status} ${row.leftLine}`), ['unchanged a: "hello world"', 'unchanged b="q"']);
+    assert.deepStrictEqual(rows.map(row => row.leftFileType), ['yaml', 'properties']);
+});
+
+test('does not unquote a .properties value stacked over YAML', () => {
+    const { rows } = compareConfigs(
+        [layer('application.yml', 'a: 1\n', 'yaml'), layer('application-dev.properties', 'b="q"\n', 'properties')],
+        [layer('application.yml', 'a: 1\nb: q\n', 'yaml')]
+    );
+    assert.deepStrictEqual(statusKeys(rows), ['unchanged a', 'modified b']);
+});
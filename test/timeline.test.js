@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { keyTimeline } = require('../core.js');
+
+/**
+ * Lists the entries of a key's timeline as "status value"
+ */
+function timeline(texts, key, options) {
+    const snapshots = texts.map((text, index) => ({ name: `v${index + 1}`, savedAt: index, text: text, fileType: 'properties' }));
+    return keyTimeline(snapshots, key, options).map(entry => `${entry.status} ${entry.value}`);
+}
+
+test('follows a key through the snapshots', () => {
+    assert.deepStrictEqual(timeline(['a=1\n', 'server.port=80\n', 'server.port=80\n', 'server.port=81\n', 'a=1\n'], 'server.port'),
+        ['absent undefined', 'added 80', 'unchanged 80', 'modified 81', 'removed undefined']);
+});
+
+test('matches the key under relaxed binding', () => {
+    assert.deepStrictEqual(timeline(['server.maxThreads=10\n', 'server.max-threads=20\n'], 'server.max-threads'), ['added 10', 'modified 20']);
+});
+
+test('resolves each snapshot for the active profiles', () => {
+    const text = 'server.port=80\n#---\nspring.config.activate.on-profile=prod\nserver.port=443\n';
+    assert.deepStrictEqual(timeline([text], 'server.port', { activeProfiles: ['prod'] }), ['added 443']);
+});
+
+test('masks secret values after comparing them', () => {
+    assert.deepStrictEqual(timeline(['db.password=old\n', 'db.password=new\n'], 'db.password', { maskSecrets: true }),
+        ['added ********', 'modified ********']);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildDiffTree } = require('../core.js');
+const { compareTexts } = require('./helpers.js');
+
+test('nests rows by key path with change counts per branch', () => {
+    const rows = compareTexts('server.port=80\nserver.ssl.enabled=true\napp.name=a\n', 'server.port=81\nserver.ssl.enabled=true\napp.name=a\napp.mode=b\n');
+    const root = buildDiffTree(rows);
+    assert.deepStrictEqual(root.children.map(node => node.name), ['app', 'server']);
+    assert.deepStrictEqual(root.summary, { added: 1, unchanged: 2, modified: 1 });
+    
+    const [app, server] = root.children;
+    assert.deepStrictEqual(app.summary, { added: 1, unchanged: 1 });
+    assert.deepStrictEqual(server.summary, { modified: 1, unchanged: 1 });
+    assert.deepStrictEqual(server.children.map(node => node.path), ['server.port', 'server.ssl']);
+    assert.strictEqual(server.children[0].row.status, 'modified');
+    assert.strictEqual(server.row, null);
+});
+
+test('orders list indices numerically', () => {
+    const left = Array.from({ length: 11 }, (value, index) => `hosts[${index}]=h${index}`).join('\n');
+    const [hosts] = buildDiffTree(compareTexts(left, left)).children;
+    assert.deepStrictEqual(hosts.children.map(node => node.name).slice(0, 3), ['[0]', '[1]', '[2]']);
+    assert.strictEqual(hosts.children[10].path, 'hosts[10]');
+});
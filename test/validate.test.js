@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateConfig, countDiagnostics, compareConfigs } = require('../core.js');
+
+/**
+ * Lists diagnostics as "line:column severity message"
+ */
+function problems(diagnostics) {
+    return diagnostics.map(diagnostic => `${diagnostic.line}:${diagnostic.column} ${diagnostic.severity} ${diagnostic.message}`);
+}
+
+test('reports YAML problems with their lines and columns in line order', () => {
+    assert.deepStrictEqual(problems(validateConfig('a: 1\n\tb: 2\nc: "x\nd: 1\nd: 2\n', 'yaml')), [
+        '2:1 error Tab character in indentation; YAML indents with spaces only',
+        '2:2 error Unexpected indentation; the line does not belong to the key above it and is ignored',
+        '3:4 error Unterminated quoted value',
+        '5:1 warning Duplicate key "d" overrides the value on line 4'
+    ]);
+});
+
+test('reports .properties problems', () => {
+    assert.deepStrictEqual(problems(validateConfig('a=1\nb=\\uZZZZ\na=2\nnokey\n', 'properties')), [
+        '2:3 error Malformed \\uXXXX escape',
+        '3:1 warning Duplicate key "a" overrides the value on line 1',
+        '4:1 warning No "=" or ":" after "nokey", so it is read as a key with an empty value'
+    ]);
+});
+
+test('counts diagnostics by severity', () => {
+    assert.deepStrictEqual(countDiagnostics(validateConfig('a: 1\n\tb: 2\nd: 1\nd: 2\n', 'yaml')), { errors: 2, warnings: 1 });
+    assert.deepStrictEqual(countDiagnostics([]), { errors: 0, warnings: 0 });
+});
+
+test('numbers the lines of later documents from the start of the file', () => {
+    const { diagnostics } = compareConfigs([{ name: 'application.yml', text: 'a: 1\n---\nb: 1\nb: 2\n', fileType: 'yaml' }], []);
+    assert.deepStrictEqual(problems(diagnostics.left), ['4:1 warning Duplicate key "b" overrides the value on line 3']);
+    assert.strictEqual(diagnostics.left[0].source, 'application.yml');
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YAMLParser, ConfigNormalizer } = require('../core.js');
+const { compare } = require('./helpers.js');
+
+const yaml = [
+    'servers:',
+    '  - host: a',
+    '    port: 1',
+    '  - host: b',
+    'names: [x, y]',
+    ''
+].join('\n');
+
+test('flattens YAML sequences to indexed keys', () => {
+    const parser = new YAMLParser();
+    assert.deepStrictEqual(parser.flatten(parser.parse(yaml)).map(entry => `${entry.key}=${entry.value}`),
+        ['servers[0].host=a', 'servers[0].port=1', 'servers[1].host=b', 'names[0]=x', 'names[1]=y']);
+});
+
+test('matches a YAML list with indexed properties', () => {
+    const properties = 'names[0]=x\nnames[1]=z\nservers[0].host=a\nservers[0].port=1\nservers[1].host=b\n';
+    assert.deepStrictEqual(compare(yaml, properties, { leftType: 'yaml' }),
+        ['unchanged names[0]', 'modified names[1]', 'unchanged servers[0].host', 'unchanged servers[0].port', 'unchanged servers[1].host']);
+});
+
+test('writes indexed properties back as YAML sequences', () => {
+    const properties = new ConfigNormalizer().normalize(yaml, 'yaml', { targetType: 'properties' });
+    assert.strictEqual(new ConfigNormalizer().normalize(properties, 'properties', { targetType: 'yaml' }),
+        'names:\n  - x\n  - y\nservers:\n  - host: a\n    port: 1\n  - host: b\n');
+});
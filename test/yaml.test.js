@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YAMLParser } = require('../core.js');
+
+/**
+ * Parses a YAML text and returns its flattened entries as { key: value }
+ */
+function entries(text) {
+    const parser = new YAMLParser();
+    return Object.fromEntries(parser.flatten(parser.parse(text)).map(entry => [entry.key, entry.value]));
+}
+
+test('reads literal and folded block scalars', () => {
+    assert.deepStrictEqual(entries('text: |\n  line one\n  line two\nfolded: >-\n  a\n  b\n'),
+        { text: 'line one\nline two\n', folded: 'a b' });
+});
+
+test('reads quoted keys and keeps bracketed map keys', () => {
+    assert.deepStrictEqual(entries('"quoted key": 1\n"[x.y]": 2\n'), { 'quoted key': '1', '[x.y]': '2' });
+});
+
+test('strips inline comments but not a # inside quotes', () => {
+    assert.deepStrictEqual(entries('port: 80 # http\nurl: "http://a#b"\n'), { port: '80', url: '"http://a#b"' });
+});
+
+test('reads flow maps and sequences', () => {
+    assert.deepStrictEqual(entries('map: {a: 1, b: [x, y]}\n'), { 'map.a': '1', 'map.b[0]': 'x', 'map.b[1]': 'y' });
+});
+
+test('resolves anchors, aliases and merge keys', () => {
+    assert.deepStrictEqual(entries('base: &base\n  t: 30\nsvc:\n  <<: *base\n  n: s\nalias: *base\n'),
+        { 'base.t': '30', 'svc.t': '30', 'svc.n': 's', 'alias.t': '30' });
+});
+
+test('keeps the trailing line breaks of a keep-chomped block scalar', () => {
+    assert.deepStrictEqual(entries('sql: |+\n  a\n'), { sql: 'a\n' });
+    assert.deepStrictEqual(entries('sql: |+\n  a\n\n'), { sql: 'a\n\n' });
+    assert.deepStrictEqual(entries('sql: |+\n  a\nnext: 1\n'), { sql: 'a\n', next: '1' });
+    assert.deepStrictEqual(entries('sql: >+\n  a\n\nnext: 1\n'), { sql: 'a\n\n', next: '1' });
+});
+
+test('keeps the line breaks of a keep-chomped block scalar before a document marker', () => {
+    const parser = new YAMLParser();
+    const [first] = parser.parseDocuments('sql: |+\n  a\n\n---\nb: 1\n');
+    assert.deepStrictEqual(parser.flatten(first.data).map(entry => entry.value), ['a\n\n']);
+});